@@ -190,6 +190,60 @@ async function initializeServices() {
       });
     });
 
+    // Chart scans stream progress and each patch as it is processed
+    deviceManager.on('measurement:scan:progress', (data) => {
+      wsServer.broadcast({
+        type: 'measurement:scan:progress',
+        ...data
+      });
+    });
+
+    deviceManager.on('measurement:scan:patch', (data) => {
+      wsServer.broadcast({
+        type: 'measurement:scan:patch',
+        ...data
+      });
+    });
+
+    // Calibration steps and outcomes and session supervision go to every client
+    for (const event of [
+      'calibration:progress', 'calibration:complete', 'calibration:error',
+      'session:lost', 'session:recovered', 'session:recovery-failed'
+    ]) {
+      deviceManager.on(event, (data) => {
+        wsServer.broadcast({
+          type: event,
+          ...data
+        });
+      });
+    }
+
+    // Averaged measurements prompt between readings
+    deviceManager.on('measurement:averaging:prompt', (data) => {
+      wsServer.broadcast({
+        type: 'measurement:averaging:prompt',
+        ...data
+      });
+    });
+
+    // Queue positions go to every client; each matches its own requestId
+    deviceManager.on('measurement:queued', (data) => {
+      wsServer.broadcast({
+        type: 'measurement:queued',
+        ...data
+      });
+    });
+
+    // Cancellations reach every client, not just the one that asked for them
+    for (const event of ['calibration:cancelled', 'measurement:cancelled']) {
+      deviceManager.on(event, (data) => {
+        wsServer.broadcast({
+          type: event,
+          ...data
+        });
+      });
+    }
+
     logger.info('Spectro Bridge initialized successfully');
     console.log('=== SPECTRO BRIDGE INITIALIZED SUCCESSFULLY ===');
   } catch (error) {
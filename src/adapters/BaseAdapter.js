@@ -1,5 +1,8 @@
 const EventEmitter = require('events');
 
+// Longest wait for the user between averaged readings
+const PROMPT_TIMEOUT_MS = 5 * 60 * 1000;
+
 /**
  * Base adapter interface for spectrophotometer devices
  * All device adapters must extend this class and implement the required methods
@@ -9,6 +12,7 @@ class BaseAdapter extends EventEmitter {
     super();
     this.deviceInfo = deviceInfo;
     this.connected = false;
+    this.prompt = null; // { prompt, resolve, reject, timeoutId } between averaged readings
   }
 
   /**
@@ -39,13 +43,120 @@ class BaseAdapter extends EventEmitter {
    * Perform a measurement
    * @param {Object} options - Measurement options
    * @param {string} options.measurementType - 'spot' or 'scan'
+   * @param {string} [options.geometry] - Must match the calibrated geometry: reflective, emissive, ambient or transmissive
    * @param {string[]} options.modes - Array of measurement modes ['M0', 'M1', 'M2']
+   * @param {Object} [options.colorimetry] - Extra tables { observers: ['2', '10'], illuminants: ['D50', 'D65'] }
+   * @param {Object} [options.density] - Density options { statuses: ['T', 'E'], paper: { spectral } | { results } }
+   * @param {Object} [options.colorSpaces] - Conversions { spaces: ['LCh', 'sRGB'], adaptation: 'bradford', adaptTo: 'D65' }
+   * @param {Object} [options.resample] - Spectral grid { interval: 1|5|10|20, method: 'sprague'|'linear', start, end }
+   * @param {boolean} [options.paper] - Include paper whiteness, tint and OBA indices
+   * @param {string} [options.chart] - Chart layout (.ti2 text), required for 'scan'
+   * @param {boolean} [options.patchByPatch] - Scan one patch at a time instead of strips
+   * @param {Object} [options.averaging] - Average readings { count, prompt, outlierThreshold, formula }
+   * @param {boolean} [options.transcript] - Include the instrument's output for the reading
    * @returns {Promise<Object>} Measurement results
    */
   async measure(options) {
     throw new Error('measure() must be implemented by subclass');
   }
 
+  /**
+   * Take the readings of an averaged measurement
+   * The first reading is taken straight away; each further reading waits for
+   * the prompt (emitted as measurement:averaging:prompt) to be answered
+   * @param {Object} averaging - Resolved averaging options
+   * @param {Function} read - Takes one reading
+   * @returns {Promise<Object[]>} The readings
+   */
+  async collectReadings(averaging, read) {
+    const { count, prompt } = averaging;
+    const readings = [];
+
+    while (readings.length < count) {
+      let reading = null;
+      if (readings.length > 0 && prompt !== 'none') {
+        reading = await this.waitForPrompt(prompt, readings.length + 1, count);
+      }
+      readings.push(reading || await read());
+      this.emit('measurement:progress', { message: `Reading ${readings.length} of ${count} taken` });
+    }
+    return readings;
+  }
+
+  /**
+   * Wait for the user to move to the next position
+   * A button prompt resolves with the reading the button press took,
+   * a software prompt with null
+   */
+  waitForPrompt(prompt, reading, count) {
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.prompt = null;
+        reject(new Error('MEASUREMENT_TIMEOUT: No response to the averaging prompt'));
+      }, PROMPT_TIMEOUT_MS);
+      this.prompt = { prompt, resolve, reject, timeoutId };
+
+      this.emit('measurement:averaging:prompt', {
+        prompt,
+        reading,
+        count,
+        message: prompt === 'button'
+          ? `Move to the next position and press the instrument button (reading ${reading} of ${count})`
+          : `Move to the next position and continue (reading ${reading} of ${count})`
+      });
+    });
+  }
+
+  /**
+   * Answer the averaging prompt
+   * @param {string} prompt - 'software' or 'button'
+   * @param {Object} [reading] - Reading taken by a button press
+   * @returns {boolean} Whether a prompt of that kind was waiting
+   */
+  answerPrompt(prompt, reading = null) {
+    if (!this.prompt || this.prompt.prompt !== prompt) {
+      return false;
+    }
+    const { resolve, timeoutId } = this.prompt;
+    clearTimeout(timeoutId);
+    this.prompt = null;
+    resolve(reading);
+    return true;
+  }
+
+  /**
+   * Take the next averaged reading (measurement:averaging:next)
+   * @returns {boolean} Whether a software prompt was waiting
+   */
+  continueAveraging() {
+    return this.answerPrompt('software');
+  }
+
+  /**
+   * Abort an averaged measurement waiting at its prompt
+   * @returns {boolean} Whether a prompt was waiting
+   */
+  cancelPrompt() {
+    if (!this.prompt) {
+      return false;
+    }
+    const { reject, timeoutId } = this.prompt;
+    clearTimeout(timeoutId);
+    this.prompt = null;
+    reject(new Error('CANCELLED: Measurement cancelled'));
+    return true;
+  }
+
+  /**
+   * Abort the calibration or measurement in progress
+   * The aborted call rejects with a CANCELLED error
+   * @param {string} operation - 'calibration' or 'measurement'
+   * @returns {Promise<boolean>} Whether an operation was cancelled
+   */
+  async cancel(operation) {
+    return false;
+  }
+
   /**
    * Get device capabilities
    * @returns {Object} Device capabilities
@@ -75,6 +186,14 @@ class BaseAdapter extends EventEmitter {
     return this.connected;
   }
 
+  /**
+   * Whether the device is simulated rather than a USB instrument
+   * @returns {boolean}
+   */
+  isVirtual() {
+    return false;
+  }
+
   /**
    * Check if device is currently busy
    * @returns {boolean}
@@ -1,9 +1,35 @@
 const { BaseAdapter } = require('./BaseAdapter');
-const { SpotreadWrapper } = require('../argyll/spotread');
+const { SpotreadWrapper, GEOMETRIES } = require('../argyll/spotread');
+const { ChartreadWrapper, validateChart } = require('../argyll/chartread');
 const { FWACompensation } = require('../argyll/fwaCompensation');
+const { STATUSES, resolveDensityOptions } = require('../argyll/density');
+const { SPACES, resolveConversionOptions } = require('../argyll/colorSpaces');
+const { resolveResampling } = require('../argyll/spectrum');
+const {
+  tm30Samples,
+  describeGrid,
+  resampleMeasurement,
+  computeModeResults,
+  computeResults,
+  computePaperResult
+} = require('../measurement/results');
+const { resolveAveraging, checkAveragingGeometry, averageReadings } = require('../measurement/averaging');
 const { logger } = require('../utils/logger');
+const config = require('../utils/config');
 const { v4: uuidv4 } = require('uuid');
 
+// Nominal i1Pro spectral grids; the grid of the latest reading is reported once known
+const STANDARD_GRID = { start: 380, end: 730, interval: 10 };
+const HIGH_RESOLUTION_GRID = { start: 380, end: 730, interval: 3.333 };
+
+// What the user has to do for the calibration step of each geometry
+const CALIBRATION_INSTRUCTIONS = {
+  reflective: 'Place device on white calibration tile',
+  emissive: 'Place device on white calibration tile for the dark calibration',
+  ambient: 'Place device on white calibration tile, then fit the ambient diffuser',
+  transmissive: 'Place device on white calibration tile, then on the light table with no sample when prompted'
+};
+
 /**
  * Adapter for X-Rite i1Pro/i1Pro2/i1Pro3 devices using ArgyllCMS
  * Maintains a persistent spotread session after calibration for fast measurements
@@ -13,17 +39,46 @@ class I1ProAdapter extends BaseAdapter {
   constructor(deviceInfo) {
     super(deviceInfo);
     this.spotread = new SpotreadWrapper();
+    this.chartread = new ChartreadWrapper();
     this.fwaCompensation = new FWACompensation();
     this.busy = false;
     this.calibrationTimestamp = null;
     this.calibrationExpiresAt = null;
+    this.spectralGrid = null; // Native grid of the latest reading
+    this.lostSession = null; // { geometry, highResolution } of a session that ended unexpectedly
     
-    // Set up hardware measurement listener
+    // Set up hardware measurement listener; a press answering an averaging
+    // prompt is a reading of that measurement
     this.spotread.on('hardware-measurement', (spectralData) => {
-      this.handleHardwareMeasurement(spectralData);
+      if (!this.answerPrompt('button', spectralData)) {
+        this.handleHardwareMeasurement(spectralData);
+      }
+    });
+
+    this.chartread.on('progress', (progress) => {
+      this.emit('measurement:scan:progress', progress);
+    });
+
+    this.spotread.on('session-lost', ({ exitCode, sessionOptions }) => {
+      this.handleSessionLost(exitCode, sessionOptions);
     });
   }
 
+  /**
+   * The calibrated spotread session ended on its own
+   * The calibration went with it; the session options are kept so the same
+   * session can be recalibrated (see DeviceManager.recoverSession)
+   */
+  handleSessionLost(exitCode, sessionOptions) {
+    const { geometry = 'reflective', highResolution = false } = sessionOptions;
+    this.calibrationTimestamp = null;
+    this.calibrationExpiresAt = null;
+    this.lostSession = { geometry, highResolution: Boolean(highResolution) };
+
+    logger.warn(`spotread session lost (exit code ${exitCode}), recalibration needed`);
+    this.emit('session:lost', { exitCode, ...this.lostSession });
+  }
+
   /**
    * Handle hardware-triggered measurement (device button press)
    */
@@ -32,17 +87,11 @@ class I1ProAdapter extends BaseAdapter {
     
     try {
       // Compute Lab/XYZ for all modes using FWA compensation
-      const modes = ['M0', 'M1', 'M2'];
-      const results = {};
-      
-      for (const mode of modes) {
-        const computed = this.fwaCompensation.computeMode(spectralData, mode);
-        results[mode] = {
-          Lab: computed.Lab,
-          XYZ: computed.XYZ,
-          spectral: computed.spectral
-        };
-      }
+      const geometry = this.spotread.getGeometry();
+      this.spectralGrid = describeGrid(spectralData);
+      const results = computeResults(spectralData, geometry, ['M0', 'M1', 'M2'], {
+        density: resolveDensityOptions()
+      });
 
       // Emit event for hardware-triggered measurement
       this.emit('measurement:hardware-triggered', {
@@ -50,8 +99,11 @@ class I1ProAdapter extends BaseAdapter {
         measurementId: uuidv4(),
         timestamp: new Date().toISOString(),
         measurementType: 'spot',
+        geometry,
         source: 'hardware',
-        results
+        spectralRange: this.spectralGrid,
+        results,
+        ...(spectralData.warnings.length > 0 && { warnings: spectralData.warnings })
       });
       
       logger.info('Hardware measurement processed and emitted');
@@ -112,7 +164,14 @@ class I1ProAdapter extends BaseAdapter {
     return new Date() < new Date(this.calibrationExpiresAt);
   }
 
-  async calibrate() {
+  /**
+   * Calibrate and start a measurement session
+   * @param {Object} [options]
+   * @param {boolean} [options.highResolution] - High-resolution spectra (i1Pro2/i1Pro3),
+   *   defaults to the measurement.highResolution setting
+   * @param {string} [options.geometry] - reflective (default), emissive, ambient or transmissive
+   */
+  async calibrate(options = {}) {
     if (!this.connected) {
       throw new Error('Device not connected');
     }
@@ -121,14 +180,29 @@ class I1ProAdapter extends BaseAdapter {
       throw new Error('Device is busy');
     }
 
+    const highResolution = options.highResolution ??
+      (this.hasHighResolution() && config.isHighResolutionEnabled());
+    if (highResolution && !this.hasHighResolution()) {
+      throw new Error(`INVALID_PARAMETERS: High-resolution spectra are not supported by the ${this.deviceInfo.model}`);
+    }
+    const geometry = this.resolveGeometry(options.geometry);
+
     try {
       this.busy = true;
       logger.info('Starting calibration...');
       
-      this.emit('calibration:progress', { message: 'Place device on white calibration tile' });
+      this.emit('calibration:progress', { message: CALIBRATION_INSTRUCTIONS[geometry] });
 
       // Start new persistent session with calibration
-      const result = await this.spotread.calibrate();
+      // Dual-pass instruments add a UV LED pass used for M1 fluorescence compensation;
+      // high-resolution mode and the geometry are session options because each
+      // is calibrated separately
+      this.spectralGrid = null;
+      const result = await this.spotread.calibrate({
+        uvMode: geometry === 'reflective' && this.hasDualPass() && config.isDualPassEnabled(),
+        highResolution,
+        geometry
+      });
       
       // Update device info with serial number from spotread output
       if (result.deviceInfo?.serialNumber) {
@@ -137,6 +211,7 @@ class I1ProAdapter extends BaseAdapter {
       }
       
       // Set calibration timestamps
+      this.lostSession = null;
       this.calibrationTimestamp = new Date().toISOString();
       this.calibrationExpiresAt = new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString(); // 8 hours
       
@@ -145,7 +220,9 @@ class I1ProAdapter extends BaseAdapter {
         success: true,
         serialNumber: this.deviceInfo.serialNumber,
         timestamp: this.calibrationTimestamp,
-        expiresAt: this.calibrationExpiresAt
+        expiresAt: this.calibrationExpiresAt,
+        highResolution,
+        geometry
       };
     } catch (error) {
       logger.error('Calibration failed:', error);
@@ -156,6 +233,10 @@ class I1ProAdapter extends BaseAdapter {
   }
 
   async measure(options) {
+    if (options.measurementType === 'scan') {
+      return this.scan(options);
+    }
+
     if (!this.connected) {
       throw new Error('Device not connected');
     }
@@ -166,47 +247,93 @@ class I1ProAdapter extends BaseAdapter {
 
     // Check for active calibrated session
     if (!this.spotread.hasActiveSession()) {
-      throw new Error('Device not calibrated. Please calibrate before measuring.');
+      throw new Error('DEVICE_NOT_CALIBRATED: No active spotread session, calibrate before measuring');
     }
 
     const { measurementType = 'spot', modes = ['M0', 'M1', 'M2'] } = options;
 
+    // The geometry is fixed by the calibrated session; switching needs a new calibration
+    const geometry = this.spotread.getGeometry();
+    const requested = options.geometry || (GEOMETRIES.includes(measurementType) ? measurementType : null);
+    if (requested && this.resolveGeometry(requested) !== geometry) {
+      throw new Error(`DEVICE_NOT_CALIBRATED: Session is calibrated for ${geometry} readings, calibrate with geometry ${requested} first`);
+    }
+
+    // Validate requested tables, density and colour-space options before touching the device
+    const colorimetry = this.fwaCompensation.resolveColorimetry(options.colorimetry);
+    const density = resolveDensityOptions(options.density);
+    const conversions = resolveConversionOptions(options.colorSpaces);
+    const resampling = resolveResampling(options.resample);
+    const averaging = resolveAveraging(options.averaging);
+    if (averaging) {
+      checkAveragingGeometry(geometry);
+    }
+
     try {
       this.busy = true;
-      logger.info(`Starting ${measurementType} measurement for modes: ${modes.join(', ')}`);
+      logger.info(geometry === 'reflective'
+        ? `Starting ${measurementType} measurement for modes: ${modes.join(', ')}`
+        : `Starting ${geometry} measurement`);
 
       this.emit('measurement:progress', { message: 'Place device on sample' });
 
-      // Perform measurement using existing calibrated session
-      const spectralData = await this.spotread.measure(measurementType);
+      // spotread's output for each reading is returned on request, for diagnostics
+      const readOptions = { transcript: Boolean(options.transcript) };
 
-      // Compute Lab/XYZ for each requested mode using FWA compensation
-      const results = {};
-      
-      for (const mode of modes) {
-        if (mode === 'M3') {
-          logger.warn('M3 mode requires physical polarizing filter - skipping');
-          continue;
-        }
-
-        const computed = this.fwaCompensation.computeMode(spectralData, mode);
-        results[mode] = {
-          Lab: computed.Lab,
-          XYZ: computed.XYZ,
-          spectral: computed.spectral
-        };
+      // Perform measurement using existing calibrated session; averaged
+      // readings are all taken in it and resampled before they are averaged
+      let spectralData;
+      let averaged = null;
+      let warnings;
+      if (averaging) {
+        const readings = await this.collectReadings(averaging, () => this.spotread.measure(measurementType, readOptions));
+        this.spectralGrid = describeGrid(readings[0]);
+        warnings = readings.flatMap(reading => reading.warnings);
+        averaged = averageReadings(
+          resampling ? readings.map(reading => resampleMeasurement(reading, resampling)) : readings,
+          geometry,
+          { ...averaging, mode: modes.find(mode => mode !== 'M3') || 'M0' }
+        );
+        spectralData = averaged.mean;
+      } else {
+        const measured = await this.spotread.measure(measurementType, readOptions);
+        this.spectralGrid = describeGrid(measured);
+        warnings = measured.warnings;
+        spectralData = resampling ? resampleMeasurement(measured, resampling) : measured;
       }
 
+      // Compute Lab/XYZ for each requested mode using FWA compensation;
+      // other geometries give a single result keyed by the geometry
+      const results = computeResults(spectralData, geometry, modes, { colorimetry, density, conversions });
+
       logger.info('Measurement complete');
 
-      return {
+      const measurement = {
         success: true,
         measurementId: uuidv4(),
         timestamp: new Date().toISOString(),
         measurementType,
+        geometry,
         source: 'software',
+        spectralRange: describeGrid(spectralData),
         results
       };
+
+      if (averaged) {
+        measurement.averaging = averaged.averaging;
+      } else if (spectralData.transcript) {
+        measurement.transcript = spectralData.transcript;
+      }
+      // spotread's doubts about the reading, e.g. "reading is too low"
+      if (warnings.length > 0) {
+        measurement.warnings = warnings;
+      }
+
+      if (options.paper && geometry === 'reflective') {
+        measurement.paper = computePaperResult(spectralData, results);
+      }
+
+      return measurement;
     } catch (error) {
       logger.error('Measurement failed:', error);
       throw error;
@@ -215,21 +342,220 @@ class I1ProAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Abort the calibration, spot reading or chart read in progress
+   * A cancelled calibration leaves no session; a cancelled spot reading keeps it
+   * @param {string} operation - 'calibration' or 'measurement'
+   * @returns {Promise<boolean>} Whether an operation was cancelled
+   */
+  async cancel(operation) {
+    if (operation === 'calibration') {
+      return this.spotread.cancelCalibration();
+    }
+    if (this.cancelPrompt()) {
+      return true;
+    }
+    if (this.chartread.isRunning()) {
+      return this.chartread.stop();
+    }
+    return this.spotread.cancelMeasurement();
+  }
+
+  /**
+   * Read a test chart strip by strip with chartread
+   * chartread calibrates the instrument itself and needs it to itself, so any
+   * spot session is closed first and a new calibration is needed for spot
+   * readings afterwards. Each patch is emitted as a measurement:scan:patch
+   * event with its own measurement ID as soon as chartread prints its values;
+   * patches it doesn't print are emitted once the chart has been read. The
+   * response carries every patch as saved in the .ti3.
+   * @param {Object} options - Measurement options plus chart (.ti2 text),
+   *   patchByPatch and highResolution
+   * @returns {Promise<Object>} Chart dataset { measurementId, patchCount, patches, ti3 }
+   */
+  async scan(options) {
+    if (!this.connected) {
+      throw new Error('Device not connected');
+    }
+
+    if (this.busy) {
+      throw new Error('Device is busy');
+    }
+
+    const { modes = ['M0', 'M1', 'M2'] } = options;
+    const layout = validateChart(options.chart);
+    const { patchCount } = layout;
+    const highResolution = options.highResolution ??
+      (this.hasHighResolution() && config.isHighResolutionEnabled());
+    if (highResolution && !this.hasHighResolution()) {
+      throw new Error(`INVALID_PARAMETERS: High-resolution spectra are not supported by the ${this.deviceInfo.model}`);
+    }
+    const computeOptions = {
+      colorimetry: this.fwaCompensation.resolveColorimetry(options.colorimetry),
+      density: resolveDensityOptions(options.density),
+      conversions: resolveConversionOptions(options.colorSpaces)
+    };
+    const resampling = resolveResampling(options.resample);
+
+    try {
+      this.busy = true;
+      logger.info(`Starting chart scan of ${patchCount} patches for modes: ${modes.join(', ')}`);
+
+      if (this.spotread.hasActiveSession()) {
+        logger.info('Closing spot session for chartread');
+        await this.spotread.stopSession();
+        this.calibrationTimestamp = null;
+        this.calibrationExpiresAt = null;
+      }
+
+      const scanId = uuidv4();
+      const timestamp = new Date().toISOString();
+      const buildPatch = (reading, index, measurementId = uuidv4()) => {
+        const spectralData = resampling ? resampleMeasurement(reading, resampling) : reading;
+        return {
+          success: true,
+          measurementId,
+          scanId,
+          timestamp,
+          measurementType: 'scan',
+          geometry: 'reflective',
+          source: 'software',
+          index,
+          patchCount,
+          sampleId: reading.sampleId,
+          location: reading.location,
+          spectralRange: describeGrid(spectralData),
+          results: computeModeResults(spectralData, modes, computeOptions)
+        };
+      };
+
+      // Patches emitted while the chart is read, by location; a patch read
+      // again keeps its measurement ID
+      const streamed = new Map();
+      const onReading = (reading) => {
+        const index = layout.patches.findIndex(patch => patch.location === reading.location);
+        if (index === -1) {
+          logger.warn(`chartread printed values for ${reading.location}, which is not on the chart`);
+          return;
+        }
+        try {
+          const patch = buildPatch({ ...reading, ...layout.patches[index] }, index, streamed.get(reading.location));
+          streamed.set(reading.location, patch.measurementId);
+          this.emit('measurement:scan:patch', patch);
+        } catch (error) {
+          logger.warn(`Patch ${reading.location} is reported once the chart is saved: ${error.message}`);
+        }
+      };
+
+      let ti3, readings;
+      this.chartread.on('reading', onReading);
+      try {
+        ({ ti3, readings } = await this.chartread.scan(options.chart, {
+          patchByPatch: Boolean(options.patchByPatch),
+          highResolution
+        }));
+      } finally {
+        this.chartread.off('reading', onReading);
+      }
+
+      // Every reading is checked and computed before the rest are emitted
+      if (readings.some(reading => !reading.spectral)) {
+        throw new Error('MEASUREMENT_FAILED: chartread saved no spectral data');
+      }
+      const patches = readings.map((reading, index) => buildPatch(reading, index, streamed.get(reading.location)));
+      patches
+        .filter(patch => !streamed.has(patch.location))
+        .forEach(patch => this.emit('measurement:scan:patch', patch));
+      if (readings.length > 0) {
+        this.spectralGrid = describeGrid(readings[0]);
+      }
+
+      logger.info(`Chart scan complete: ${patches.length} patches`);
+      return {
+        success: true,
+        measurementId: scanId,
+        timestamp,
+        measurementType: 'scan',
+        source: 'software',
+        patchCount: patches.length,
+        patches: patches.map(({ measurementId, index, sampleId, location, spectralRange, results }) =>
+          ({ measurementId, index, sampleId, location, spectralRange, results })),
+        ti3
+      };
+    } catch (error) {
+      logger.error('Chart scan failed:', error);
+      throw error;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Validate a measurement geometry
+   */
+  resolveGeometry(geometry = 'reflective') {
+    if (!GEOMETRIES.includes(geometry)) {
+      throw new Error(`INVALID_PARAMETERS: Unknown measurement geometry ${geometry}, expected one of ${GEOMETRIES.join(', ')}`);
+    }
+    return geometry;
+  }
+
+  /**
+   * i1Pro2 and i1Pro3 carry a UV LED for a second, UV-only pass
+   */
+  hasDualPass() {
+    return this.deviceInfo.model.includes('i1Pro2') || 
+           this.deviceInfo.model.includes('i1Pro3');
+  }
+
+  /**
+   * spotread's high-resolution mode is supported on the i1Pro2 and i1Pro3
+   */
+  hasHighResolution() {
+    return this.hasDualPass();
+  }
+
   getCapabilities() {
-    const isDualPass = this.deviceInfo.model.includes('i1Pro2') || 
-                       this.deviceInfo.model.includes('i1Pro3');
+    const isDualPass = this.hasDualPass();
+    const sessionActive = this.spotread.hasActiveSession();
+    const uvPassActive = sessionActive
+      ? Boolean(this.spotread.sessionOptions.uvMode)
+      : isDualPass && config.isDualPassEnabled();
+    const highResolution = sessionActive
+      ? Boolean(this.spotread.sessionOptions.highResolution)
+      : this.hasHighResolution() && config.isHighResolutionEnabled();
+    const geometry = sessionActive ? this.spotread.getGeometry() : 'reflective';
 
     return {
       supportedModes: ['M0', 'M1', 'M2'],
       hasDualPass: isDualPass,
+      fwaCompensation: uvPassActive ? 'uv-dual-pass' : 'single-pass-estimate',
       hasPhysicalFilters: false,
-      spectralRange: {
-        start: 380,
-        end: 730,
-        interval: 10
+      geometries: GEOMETRIES,
+      geometry,
+      lightSource: {
+        photometry: true,
+        cct: true,
+        cri: true,
+        tlci: true,
+        tm30: tm30Samples() !== null
       },
+      supportsHighResolution: this.hasHighResolution(),
+      highResolution,
+      spectralRange: this.spectralGrid || (highResolution ? HIGH_RESOLUTION_GRID : STANDARD_GRID),
       canMultiMode: true,
+      colorimetry: this.fwaCompensation.getAvailableTables(),
+      colorSpaces: SPACES,
+      density: {
+        statuses: STATUSES,
+        visual: true,
+        paperRelative: true
+      },
       supportsScanning: true,
+      scanning: {
+        chartFormat: 'ti2',
+        patchByPatch: true
+      },
       supportsHardwareButton: true
     };
   }
@@ -242,7 +568,8 @@ class I1ProAdapter extends BaseAdapter {
       calibrationExpiresAt: this.calibrationExpiresAt,
       ...this.getInfo(),
       capabilities: this.getCapabilities(),
-      busy: this.busy
+      busy: this.busy,
+      lostSession: this.lostSession
     };
   }
 }
@@ -0,0 +1,468 @@
+const { BaseAdapter } = require('./BaseAdapter');
+const { GEOMETRIES } = require('../argyll/spotread');
+const { FWACompensation } = require('../argyll/fwaCompensation');
+const { STATUSES, resolveDensityOptions } = require('../argyll/density');
+const { SPACES, resolveConversionOptions } = require('../argyll/colorSpaces');
+const { Spectrum, resolveResampling } = require('../argyll/spectrum');
+const {
+  loadSampleLibrary,
+  parseSamples,
+  samplesForGeometry,
+  createRandom,
+  addNoise
+} = require('../simulator/sampleLibrary');
+const {
+  tm30Samples,
+  describeGrid,
+  resampleMeasurement,
+  computeResults,
+  computePaperResult
+} = require('../measurement/results');
+const { resolveAveraging, checkAveragingGeometry, averageReadings } = require('../measurement/averaging');
+const { logger } = require('../utils/logger');
+const config = require('../utils/config');
+const { v4: uuidv4 } = require('uuid');
+
+// Grid of the simulated high-resolution mode, as on the i1Pro2
+const HIGH_RESOLUTION_GRID = { start: 380, end: 730, interval: 10 / 3 };
+
+const ORDERS = ['sequence', 'random'];
+
+/**
+ * Simulated spectrophotometer for demos and client development
+ *
+ * Behaves like a dual-pass i1Pro without the hardware: it calibrates in any
+ * geometry, its calibration expires like a real one, and readings come from
+ * a sample set in sequence or at random, with optional measurement noise.
+ * Simulated instrument-button readings are emitted on a timer or by
+ * pressButton(). The bundled simulator samples are used unless a library
+ * file or an inline sample set is given.
+ */
+class VirtualAdapter extends BaseAdapter {
+  /**
+   * @param {Object} deviceInfo - { make, model, serialNumber, firmwareVersion }
+   * @param {Object} [options]
+   * @param {string} [options.samplesFile] - Sample library (.json or CGATS .ti3)
+   * @param {Object[]} [options.samples] - Samples in the JSON library format, instead of a file
+   * @param {string} [options.order] - 'sequence' (default) or 'random'
+   * @param {number} [options.seed] - Seed for the random order and noise
+   * @param {number} [options.noise] - Noise standard deviation in % reflectance
+   * @param {number} [options.buttonIntervalMs] - Press the button this often while calibrated, 0 for never
+   * @param {number} [options.delayMs] - How long a calibration or reading takes
+   */
+  constructor(deviceInfo, options = {}) {
+    super(deviceInfo);
+    this.options = VirtualAdapter.resolveOptions(options);
+    this.fwaCompensation = new FWACompensation();
+    this.random = createRandom(this.options.seed);
+    this.samples = [];
+    this.nextSample = 0;
+    this.busy = false;
+    this.session = null; // { geometry, highResolution } once calibrated
+    this.calibrationTimestamp = null;
+    this.calibrationExpiresAt = null;
+    this.spectralGrid = null;
+    this.buttonTimer = null;
+    this.pending = null; // { operation, timeoutId, reject } while simulating
+  }
+
+  /**
+   * Validate virtual device options
+   */
+  static resolveOptions(options) {
+    const resolved = {
+      samplesFile: options.samplesFile || null,
+      samples: options.samples || null,
+      order: options.order || 'sequence',
+      seed: options.seed !== undefined ? Number(options.seed) : 1,
+      noise: options.noise !== undefined ? Number(options.noise) : 0,
+      buttonIntervalMs: options.buttonIntervalMs !== undefined ? Number(options.buttonIntervalMs) : 0,
+      delayMs: options.delayMs !== undefined ? Number(options.delayMs) : 500
+    };
+
+    if (!ORDERS.includes(resolved.order)) {
+      throw new Error(`INVALID_PARAMETERS: Unknown sample order ${resolved.order}, expected one of ${ORDERS.join(', ')}`);
+    }
+    for (const key of ['seed', 'noise', 'buttonIntervalMs', 'delayMs']) {
+      if (!Number.isFinite(resolved[key]) || resolved[key] < 0) {
+        throw new Error(`INVALID_PARAMETERS: ${key} must be a non-negative number`);
+      }
+    }
+    return resolved;
+  }
+
+  isVirtual() {
+    return true;
+  }
+
+  async connect() {
+    this.samples = this.options.samples
+      ? parseSamples(this.options.samples)
+      : loadSampleLibrary(this.options.samplesFile || undefined);
+
+    this.connected = true;
+    logger.info(`VirtualAdapter: ${this.deviceInfo.model} ready with ${this.samples.length} samples`);
+    this.emit('connected');
+  }
+
+  async disconnect() {
+    this.stopButtonTimer();
+    this.connected = false;
+    this.session = null;
+    this.calibrationTimestamp = null;
+    this.calibrationExpiresAt = null;
+    logger.info(`Disconnected from ${this.deviceInfo.model}`);
+    this.emit('disconnected');
+  }
+
+  /**
+   * Check if calibration is still valid
+   * A calibration restored from storage is honoured until it expires
+   */
+  isCalibrationValid() {
+    if (!this.calibrationExpiresAt) {
+      return false;
+    }
+    return new Date() < new Date(this.calibrationExpiresAt);
+  }
+
+  getGeometry() {
+    return this.session ? this.session.geometry : 'reflective';
+  }
+
+  /**
+   * Simulate calibration
+   * @param {Object} [options] - { highResolution, geometry }
+   */
+  async calibrate(options = {}) {
+    if (!this.connected) {
+      throw new Error('Device not connected');
+    }
+
+    if (this.busy) {
+      throw new Error('Device is busy');
+    }
+
+    const geometry = options.geometry || 'reflective';
+    if (!GEOMETRIES.includes(geometry)) {
+      throw new Error(`INVALID_PARAMETERS: Unknown measurement geometry ${geometry}, expected one of ${GEOMETRIES.join(', ')}`);
+    }
+    const highResolution = options.highResolution ?? config.isHighResolutionEnabled();
+
+    try {
+      this.busy = true;
+      this.stopButtonTimer();
+      this.emit('calibration:progress', { message: 'Simulating calibration' });
+      await this.delay('calibration');
+
+      this.session = { geometry, highResolution: Boolean(highResolution) };
+      this.spectralGrid = null;
+      this.calibrationTimestamp = new Date().toISOString();
+      this.calibrationExpiresAt = new Date(Date.now() + config.getCalibrationExpiryHours() * 60 * 60 * 1000).toISOString();
+      this.startButtonTimer();
+
+      logger.info(`VirtualAdapter: Calibrated for ${geometry} readings`);
+      return {
+        success: true,
+        serialNumber: this.deviceInfo.serialNumber,
+        timestamp: this.calibrationTimestamp,
+        expiresAt: this.calibrationExpiresAt,
+        highResolution: this.session.highResolution,
+        geometry
+      };
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async measure(options) {
+    if (options.measurementType === 'scan') {
+      return this.scan(options);
+    }
+
+    if (!this.connected) {
+      throw new Error('Device not connected');
+    }
+
+    if (this.busy) {
+      throw new Error('Device is busy');
+    }
+
+    this.requireCalibration();
+
+    const { measurementType = 'spot', modes = ['M0', 'M1', 'M2'] } = options;
+    const geometry = this.getGeometry();
+    const requested = options.geometry || (GEOMETRIES.includes(measurementType) ? measurementType : null);
+    if (requested && requested !== geometry) {
+      throw new Error(`DEVICE_NOT_CALIBRATED: Session is calibrated for ${geometry} readings, calibrate with geometry ${requested} first`);
+    }
+
+    const colorimetry = this.fwaCompensation.resolveColorimetry(options.colorimetry);
+    const density = resolveDensityOptions(options.density);
+    const conversions = resolveConversionOptions(options.colorSpaces);
+    const resampling = resolveResampling(options.resample);
+    const averaging = resolveAveraging(options.averaging);
+    if (averaging) {
+      checkAveragingGeometry(geometry);
+    }
+
+    const read = async () => {
+      await this.delay('measurement');
+      return this.nextReading();
+    };
+
+    try {
+      this.busy = true;
+      this.emit('measurement:progress', { message: 'Place device on sample' });
+
+      let measured;
+      let spectralData;
+      let averaged = null;
+      if (averaging) {
+        const readings = await this.collectReadings(averaging, read);
+        this.spectralGrid = describeGrid(readings[0]);
+        averaged = averageReadings(
+          resampling ? readings.map(reading => resampleMeasurement(reading, resampling)) : readings,
+          geometry,
+          { ...averaging, mode: modes.find(mode => mode !== 'M3') || 'M0' }
+        );
+        measured = averaged.mean;
+        spectralData = averaged.mean;
+      } else {
+        measured = await read();
+        this.spectralGrid = describeGrid(measured);
+        spectralData = resampling ? resampleMeasurement(measured, resampling) : measured;
+      }
+      const results = computeResults(spectralData, geometry, modes, { colorimetry, density, conversions });
+
+      const measurement = {
+        success: true,
+        measurementId: uuidv4(),
+        timestamp: new Date().toISOString(),
+        measurementType,
+        geometry,
+        source: 'software',
+        sampleName: measured.sampleName,
+        spectralRange: describeGrid(spectralData),
+        results
+      };
+
+      if (averaged) {
+        measurement.averaging = averaged.averaging;
+      }
+
+      if (options.paper && geometry === 'reflective') {
+        measurement.paper = computePaperResult(spectralData, results);
+      }
+
+      return measurement;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async scan() {
+    throw new Error('INVALID_PARAMETERS: Chart scanning is not supported by the virtual device');
+  }
+
+  /**
+   * Simulate a press of the instrument button
+   * The reading is emitted as measurement:hardware-triggered, like a real one,
+   * unless it answers the prompt of an averaged measurement
+   * @returns {Object|null} The emitted measurement, null for an averaged reading
+   */
+  pressButton() {
+    if (!this.connected) {
+      throw new Error('DEVICE_NOT_CONNECTED: Virtual device is disconnected');
+    }
+    if (this.prompt && this.prompt.prompt === 'button') {
+      this.answerPrompt('button', this.nextReading());
+      return null;
+    }
+    if (this.busy) {
+      throw new Error('DEVICE_BUSY: Virtual device is busy');
+    }
+    this.requireCalibration();
+
+    const geometry = this.getGeometry();
+    const measured = this.nextReading();
+    this.spectralGrid = describeGrid(measured);
+
+    const measurement = {
+      success: true,
+      measurementId: uuidv4(),
+      timestamp: new Date().toISOString(),
+      measurementType: 'spot',
+      geometry,
+      source: 'hardware',
+      sampleName: measured.sampleName,
+      spectralRange: this.spectralGrid,
+      results: computeResults(measured, geometry, ['M0', 'M1', 'M2'], { density: resolveDensityOptions() })
+    };
+    this.emit('measurement:hardware-triggered', measurement);
+    return measurement;
+  }
+
+  requireCalibration() {
+    if (!this.calibrationExpiresAt) {
+      throw new Error('DEVICE_NOT_CALIBRATED: Device requires calibration');
+    }
+    if (!this.isCalibrationValid()) {
+      throw new Error('CALIBRATION_EXPIRED: Calibration has expired');
+    }
+  }
+
+  startButtonTimer() {
+    if (!this.options.buttonIntervalMs) return;
+
+    this.buttonTimer = setInterval(() => {
+      if (this.busy && !(this.prompt && this.prompt.prompt === 'button')) return;
+      try {
+        this.pressButton();
+      } catch (error) {
+        // Stop pressing once the calibration has expired or the device is gone
+        logger.info(`VirtualAdapter: Stopping simulated button presses: ${error.message}`);
+        this.stopButtonTimer();
+      }
+    }, this.options.buttonIntervalMs);
+    this.buttonTimer.unref();
+  }
+
+  stopButtonTimer() {
+    clearInterval(this.buttonTimer);
+    this.buttonTimer = null;
+  }
+
+  /**
+   * Wait while an operation is simulated; cancel() ends the wait early
+   */
+  delay(operation) {
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pending = null;
+        resolve();
+      }, this.options.delayMs);
+      this.pending = { operation, timeoutId, reject };
+    });
+  }
+
+  /**
+   * Abort a simulated calibration or reading
+   * As on a real instrument, a cancelled calibration leaves the device uncalibrated
+   * @param {string} operation - 'calibration' or 'measurement'
+   * @returns {Promise<boolean>} Whether an operation was cancelled
+   */
+  async cancel(operation) {
+    if (operation === 'measurement' && this.cancelPrompt()) {
+      return true;
+    }
+    if (!this.pending || this.pending.operation !== operation) {
+      return false;
+    }
+
+    const { timeoutId, reject } = this.pending;
+    clearTimeout(timeoutId);
+    this.pending = null;
+    if (operation === 'calibration') {
+      this.session = null;
+      this.calibrationTimestamp = null;
+      this.calibrationExpiresAt = null;
+    }
+
+    logger.info(`VirtualAdapter: Cancelled ${operation}`);
+    reject(new Error(`CANCELLED: ${operation === 'calibration' ? 'Calibration' : 'Measurement'} cancelled`));
+    return true;
+  }
+
+  /**
+   * Next reading from the sample set, in the shape the spotread parser produces
+   */
+  nextReading() {
+    const geometry = this.getGeometry();
+    const samples = samplesForGeometry(this.samples, geometry);
+    if (samples.length === 0) {
+      throw new Error(`MEASUREMENT_FAILED: The sample set has no samples for ${geometry} readings`);
+    }
+
+    const index = this.options.order === 'random'
+      ? Math.floor(this.random() * samples.length)
+      : this.nextSample++ % samples.length;
+    const sample = samples[index];
+
+    const lightSource = geometry === 'emissive' || geometry === 'ambient';
+    // A calibration restored from storage has no session options: standard grid
+    const grid = table => (this.session && this.session.highResolution
+      ? Spectrum.fromTable(table).resample({ ...HIGH_RESOLUTION_GRID, method: 'sprague' }).toTable()
+      : table);
+
+    const spectral = grid(addNoise(sample.spectral, this.options.noise, this.random, lightSource));
+    // The UV pass holds only the fluorescent emission, none for samples without OBAs
+    const fluorescence = sample.fluorescence ||
+      Object.fromEntries(Object.keys(sample.spectral).map(wl => [wl, 0]));
+
+    return {
+      sampleName: sample.name,
+      spectral,
+      uvSpectral: geometry === 'reflective' ? grid(fluorescence) : null,
+      Lab: null,
+      XYZ: null,
+      lightSource: lightSource ? sample.lightSource : null
+    };
+  }
+
+  getCapabilities() {
+    const highResolution = this.session
+      ? this.session.highResolution
+      : config.isHighResolutionEnabled();
+
+    return {
+      supportedModes: ['M0', 'M1', 'M2'],
+      hasDualPass: true,
+      fwaCompensation: 'uv-dual-pass',
+      hasPhysicalFilters: false,
+      geometries: GEOMETRIES,
+      geometry: this.getGeometry(),
+      lightSource: {
+        photometry: true,
+        cct: true,
+        cri: true,
+        tlci: true,
+        tm30: tm30Samples() !== null
+      },
+      supportsHighResolution: true,
+      highResolution,
+      spectralRange: this.spectralGrid || (highResolution
+        ? { ...HIGH_RESOLUTION_GRID, interval: 3.333 }
+        : { start: 380, end: 730, interval: 10 }),
+      canMultiMode: true,
+      colorimetry: this.fwaCompensation.getAvailableTables(),
+      colorSpaces: SPACES,
+      density: {
+        statuses: STATUSES,
+        visual: true,
+        paperRelative: true
+      },
+      supportsScanning: false,
+      supportsHardwareButton: true,
+      virtual: {
+        samples: this.samples.map(sample => sample.name),
+        order: this.options.order,
+        buttonIntervalMs: this.options.buttonIntervalMs
+      }
+    };
+  }
+
+  getStatus() {
+    return {
+      connected: this.connected,
+      calibrated: this.isCalibrationValid(),
+      calibrationTimestamp: this.calibrationTimestamp,
+      calibrationExpiresAt: this.calibrationExpiresAt,
+      ...this.getInfo(),
+      capabilities: this.getCapabilities(),
+      busy: this.busy
+    };
+  }
+}
+
+module.exports = { VirtualAdapter };
@@ -0,0 +1,325 @@
+const { Spectrum } = require('./spectrum');
+
+/**
+ * CGATS.17 reader and writer, including the ArgyllCMS flavours (.ti2 chart
+ * layouts, .ti3 readings, .sp spectra)
+ *
+ * A file holds one or more tables. Each starts with a file identifier line
+ * (CGATS.17, CTI2, CTI3, SPECT, ...), followed by keyword/value lines and the
+ * BEGIN_DATA_FORMAT / BEGIN_DATA blocks. Values are kept as strings; quoted
+ * values are unquoted.
+ */
+
+// Field name of a spectral band, e.g. SPEC_380 or SPEC_383_3
+const SPECTRAL_FIELD = /^SPEC_(\d+(?:[._]\d+)?)$/;
+
+// Keywords defined by CGATS.17; any other keyword is declared with KEYWORD when written
+const STANDARD_KEYWORDS = [
+  'ORIGINATOR', 'DESCRIPTOR', 'CREATED', 'MANUFACTURER', 'PROD_DATE', 'SERIAL',
+  'MATERIAL', 'INSTRUMENTATION', 'MEASUREMENT_SOURCE', 'PRINT_CONDITIONS',
+  'FILE_DESCRIPTOR', 'WEIGHTING_FUNCTION', 'SAMPLE_BACKING', 'MEASUREMENT_CONDITION'
+];
+
+// Written by writeCGATS from the table itself
+const COUNT_KEYWORDS = ['NUMBER_OF_FIELDS', 'NUMBER_OF_SETS'];
+
+// Decimals written for numeric values
+const VALUE_PRECISION = 6;
+
+/**
+ * Split a line into tokens, keeping quoted strings together
+ */
+function tokenize(line) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    tokens.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return tokens;
+}
+
+/**
+ * Parse CGATS text
+ * @param {string} text - File content
+ * @returns {Object[]} Tables [{ fileType, keywords, fields, rows }], rows keyed by field
+ */
+function parseCGATS(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('INVALID_PARAMETERS: CGATS data is empty');
+  }
+
+  const tables = [];
+  let table = null;
+  let section = 'header';
+  let values = [];
+
+  const finishData = () => {
+    const width = table.fields.length;
+    if (width === 0 || values.length % width !== 0) {
+      throw new Error(`INVALID_PARAMETERS: CGATS data does not match its ${width} fields`);
+    }
+    const declaredFields = table.keywords.NUMBER_OF_FIELDS;
+    if (declaredFields !== undefined && parseInt(declaredFields, 10) !== width) {
+      throw new Error(`INVALID_PARAMETERS: CGATS table declares ${declaredFields} fields but has ${width}`);
+    }
+    const declaredSets = table.keywords.NUMBER_OF_SETS;
+    if (declaredSets !== undefined && parseInt(declaredSets, 10) !== values.length / width) {
+      throw new Error(`INVALID_PARAMETERS: CGATS table declares ${declaredSets} sets but has ${values.length / width}`);
+    }
+    for (let i = 0; i < values.length; i += width) {
+      const row = {};
+      table.fields.forEach((field, j) => {
+        row[field] = values[i + j];
+      });
+      table.rows.push(row);
+    }
+    values = [];
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) continue;
+
+    if (section === 'format') {
+      if (line === 'END_DATA_FORMAT') {
+        section = 'header';
+      } else {
+        table.fields.push(...tokenize(line));
+      }
+      continue;
+    }
+
+    if (section === 'data') {
+      if (line === 'END_DATA') {
+        finishData();
+        section = 'header';
+      } else {
+        values.push(...tokenize(line));
+      }
+      continue;
+    }
+
+    const tokens = tokenize(line);
+    const keyword = tokens[0];
+
+    // A lone identifier starts a new table
+    if (tokens.length === 1 && !/^(BEGIN|END)_DATA/.test(keyword) &&
+        (!table || table.rows.length > 0)) {
+      table = { fileType: keyword, keywords: {}, fields: [], rows: [] };
+      tables.push(table);
+      continue;
+    }
+    if (!table) {
+      throw new Error('INVALID_PARAMETERS: CGATS data must start with a file identifier');
+    }
+
+    if (keyword === 'BEGIN_DATA_FORMAT') {
+      section = 'format';
+    } else if (keyword === 'BEGIN_DATA') {
+      section = 'data';
+    } else if (keyword !== 'KEYWORD') {
+      // KEYWORD only declares a non-standard keyword name
+      table.keywords[keyword] = tokens.slice(1).join(' ');
+    }
+  }
+
+  if (section !== 'header') {
+    throw new Error('INVALID_PARAMETERS: CGATS data ends inside a data block');
+  }
+  if (tables.length === 0) {
+    throw new Error('INVALID_PARAMETERS: CGATS data has no tables');
+  }
+  return tables;
+}
+
+/**
+ * Spectral wavelengths of a table's SPEC_ fields
+ * Uses SPECTRAL_START_NM / SPECTRAL_END_NM when given, so fractional grids
+ * keep their exact wavelengths
+ * @returns {Object[]} [{ field, wavelength }] in field order, empty when the table has no spectra
+ */
+function spectralFields(table) {
+  const fields = table.fields.filter(field => SPECTRAL_FIELD.test(field));
+  if (fields.length === 0) return [];
+
+  const start = parseFloat(table.keywords.SPECTRAL_START_NM);
+  const end = parseFloat(table.keywords.SPECTRAL_END_NM);
+  if (Number.isFinite(start) && Number.isFinite(end)) {
+    const grid = Spectrum.fromRange(start, end, fields.map(() => 0)).wavelengths;
+    return fields.map((field, i) => ({ field, wavelength: grid[i] }));
+  }
+
+  return fields.map(field => ({
+    field,
+    wavelength: parseFloat(field.match(SPECTRAL_FIELD)[1].replace('_', '.'))
+  }));
+}
+
+/**
+ * Spectrum of one row, keyed by wavelength
+ * @returns {Object|null} Spectral values, or null when the table has no spectra
+ */
+function rowSpectrum(table, row, fields = spectralFields(table)) {
+  if (fields.length === 0) return null;
+  return new Spectrum(fields.map(f => f.wavelength), fields.map(f => parseFloat(row[f.field]))).toTable();
+}
+
+/**
+ * SPEC_ field name of a wavelength, as ArgyllCMS writes it: whole nanometres,
+ * with the exact grid in SPECTRAL_START_NM / SPECTRAL_END_NM
+ */
+function spectralFieldName(wavelength) {
+  return `SPEC_${String(Math.round(wavelength)).padStart(3, '0')}`;
+}
+
+/**
+ * Keywords and fields for spectra on one grid
+ * @param {Object} spectral - Wavelength-keyed spectrum setting the grid
+ * @returns {Object} { keywords, fields, values(spectral) } - values() gives a row's
+ *   spectral values keyed by field
+ */
+function spectralColumns(spectral) {
+  const spectrum = Spectrum.fromTable(spectral);
+  const fields = spectrum.wavelengths.map(spectralFieldName);
+  if (new Set(fields).size !== fields.length) {
+    throw new Error(`INVALID_PARAMETERS: A ${spectrum.interval}nm grid can't be written as SPEC_ fields, resample it first`);
+  }
+
+  return {
+    keywords: {
+      SPECTRAL_BANDS: spectrum.count,
+      SPECTRAL_START_NM: spectrum.start.toFixed(VALUE_PRECISION),
+      SPECTRAL_END_NM: spectrum.end.toFixed(VALUE_PRECISION)
+    },
+    fields,
+    values: (table) => {
+      const other = Spectrum.fromTable(table);
+      if (other.count !== spectrum.count || other.start !== spectrum.start || other.end !== spectrum.end) {
+        throw new Error(`INVALID_PARAMETERS: Spectra on different grids (${spectrum.start}-${spectrum.end}nm in ` +
+          `${spectrum.count} bands, ${other.start}-${other.end}nm in ${other.count}) can't share a table`);
+      }
+      return Object.fromEntries(fields.map((field, i) => [field, other.values[i]]));
+    }
+  };
+}
+
+/**
+ * Data value as written: numbers with fixed decimals, strings quoted
+ * CGATS has no escape for quotes inside a string, so they become apostrophes
+ */
+function formatValue(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`INVALID_PARAMETERS: ${value} can't be written to CGATS`);
+    }
+    return Number.isInteger(value) ? String(value) : value.toFixed(VALUE_PRECISION);
+  }
+  return `"${String(value ?? '').replace(/"/g, "'")}"`;
+}
+
+/**
+ * Write CGATS text
+ * NUMBER_OF_FIELDS and NUMBER_OF_SETS are written from the table; keywords
+ * outside CGATS.17 are declared with KEYWORD, as ArgyllCMS does
+ * @param {Object[]} tables - [{ fileType, keywords, fields, rows }], rows keyed by field
+ * @returns {string} File content
+ */
+function writeCGATS(tables) {
+  const lines = [];
+
+  tables.forEach((table, index) => {
+    if (!table.fields || table.fields.length === 0) {
+      throw new Error('INVALID_PARAMETERS: A CGATS table needs at least one field');
+    }
+    if (index > 0) lines.push('');
+    lines.push(table.fileType, '');
+
+    for (const [keyword, value] of Object.entries(table.keywords || {})) {
+      if (value === undefined || value === null || COUNT_KEYWORDS.includes(keyword)) continue;
+      if (!STANDARD_KEYWORDS.includes(keyword)) {
+        lines.push(`KEYWORD "${keyword}"`);
+      }
+      lines.push(`${keyword} "${String(value).replace(/"/g, "'")}"`);
+    }
+
+    lines.push(
+      '',
+      `NUMBER_OF_FIELDS ${table.fields.length}`,
+      'BEGIN_DATA_FORMAT',
+      table.fields.join(' '),
+      'END_DATA_FORMAT',
+      '',
+      `NUMBER_OF_SETS ${table.rows.length}`,
+      'BEGIN_DATA'
+    );
+    for (const row of table.rows) {
+      lines.push(table.fields.map(field => formatValue(row[field])).join(' '));
+    }
+    lines.push('END_DATA');
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Spectra of an ArgyllCMS .sp file (SPECT tables)
+ * Values are returned as written; divided by norm they are the spectral
+ * factors (reflectance or transmittance) or absolute values
+ * @param {string} text - .sp file content
+ * @returns {Object[]} [{ spectral, norm }], one entry per data set
+ */
+function readSpectrumFile(text) {
+  const spectra = [];
+  for (const table of parseCGATS(text).filter(t => t.fileType === 'SPECT')) {
+    const fields = spectralFields(table);
+    const norm = table.keywords.SPECTRAL_NORM !== undefined ? parseFloat(table.keywords.SPECTRAL_NORM) : 1;
+    if (fields.length === 0 || !(norm > 0)) {
+      throw new Error('INVALID_PARAMETERS: .sp table has no spectral bands or an invalid SPECTRAL_NORM');
+    }
+    table.rows.forEach(row => spectra.push({ spectral: rowSpectrum(table, row, fields), norm }));
+  }
+
+  if (spectra.length === 0) {
+    throw new Error('INVALID_PARAMETERS: No SPECT table with spectra in .sp data');
+  }
+  return spectra;
+}
+
+/**
+ * Write spectra on one grid as an ArgyllCMS .sp file
+ * @param {Object[]} spectra - Wavelength-keyed spectra
+ * @param {Object} [options]
+ * @param {number} [options.norm=1] - SPECTRAL_NORM; 100 for percent reflectance
+ * @param {Object} [options.keywords] - Further keywords, e.g. DESCRIPTOR
+ * @returns {string} File content
+ */
+function writeSpectrumFile(spectra, options = {}) {
+  const { norm = 1, keywords = {} } = options;
+  if (spectra.length === 0) {
+    throw new Error('INVALID_PARAMETERS: No spectra to write');
+  }
+
+  const columns = spectralColumns(spectra[0]);
+  return writeCGATS([{
+    fileType: 'SPECT',
+    keywords: {
+      ...keywords,
+      ...columns.keywords,
+      SPECTRAL_NORM: norm.toFixed(VALUE_PRECISION)
+    },
+    fields: columns.fields,
+    rows: spectra.map(columns.values)
+  }]);
+}
+
+module.exports = {
+  parseCGATS,
+  writeCGATS,
+  spectralFields,
+  spectralFieldName,
+  spectralColumns,
+  rowSpectrum,
+  readSpectrumFile,
+  writeSpectrumFile
+};
@@ -0,0 +1,335 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const { parseCGATS, spectralFields, rowSpectrum } = require('./cgats');
+const { parseConsoleOutput } = require('./parser');
+const config = require('../utils/config');
+
+// Longest wait for chartread output, e.g. while the user moves to the next strip
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Output kept for prompt matching and error reports
+const MAX_BUFFER = 64 * 1024;
+
+// chartread prompts and progress messages, matched in order of appearance
+const PROMPTS = [
+  {
+    // "Place the instrument on its reflective white reference ... and then hit any key to continue"
+    pattern: /(?:white reference|calibration position)[\s\S]{0,300}?hit any key[^\r\n]*/i,
+    stage: 'calibration',
+    reply: '\r'
+  },
+  { pattern: /Calibration complete/i, stage: 'calibrated' },
+  { pattern: /Ready to read strip pass\s+(\S+)/i, stage: 'strip' },
+  { pattern: /Ready to read patch\s+'?([^'\s,]+)'?/i, stage: 'patch' },
+  {
+    pattern: /(?:strip read failed|wrong number of patches|too (?:few|many) patches|mis-?read|bad reading)[^\r\n]*/i,
+    stage: 'retry'
+  },
+  // Every strip or patch has been read: save the .ti3 and exit
+  { pattern: /All (?:patches|strips|readings)[^\r\n]*(?:read|done)[^\r\n]*/i, stage: 'complete', reply: 'd' }
+];
+
+// Values printed as a patch is read: a line naming the patch, then the
+// reading in spotread's format ("Result is XYZ: ..." and its spectrum)
+const READING_HEADER = /^(?:Read\s+)?patch\s+'?([^'\s,:]+)'?/i;
+const SPECTRUM_HEADER = /^Spectrum from\s+\S+\s+to\s+\S+\s+nm\s+in\s+(\d+)\s+steps/i;
+const SPECTRUM_VALUES = /^[-+\d.eE]+(?:\s*,\s*[-+\d.eE]*)*$/;
+
+// Lines a printed reading may take before it is given up
+const MAX_READING_LINES = 64;
+
+/**
+ * Wrapper for the ArgyllCMS chartread tool
+ *
+ * chartread reads a chart laid out by a .ti2 file strip by strip (or patch by
+ * patch), calibrating the instrument itself first, and writes the readings
+ * to a .ti3 file when the chart is saved. It checks for a terminal, so it runs
+ * in a pseudo-terminal (node-pty). Strips are read with the instrument button;
+ * progress is emitted as 'progress' events { stage, strip, patch, message }.
+ * Patch values printed while the chart is read are emitted as 'reading'
+ * events { location, XYZ, spectral } as soon as each is complete; the .ti3
+ * remains the record of the chart.
+ */
+class ChartreadWrapper extends EventEmitter {
+  constructor() {
+    super();
+    this.chartreadPath = this.findChartread();
+    this.tempDir = path.join(os.tmpdir(), 'spectro-bridge');
+    this.terminal = null;
+    this.cancelled = false; // Set by stop() so the exit is reported as a cancellation
+    this.reading = null; // { location, lines, steps, values } of the patch values being printed
+  }
+
+  /**
+   * Find chartread executable using configured ArgyllCMS path
+   */
+  findChartread() {
+    const argyllPath = config.getArgyllPath();
+    const executable = os.platform() === 'win32' ? 'chartread.exe' : 'chartread';
+
+    if (!argyllPath) {
+      logger.warn('No ArgyllCMS path configured, trying system PATH');
+      return executable;
+    }
+    return path.join(argyllPath, executable);
+  }
+
+  isRunning() {
+    return this.terminal !== null;
+  }
+
+  /**
+   * Build chartread command-line arguments
+   * -p reads patch by patch instead of strips; -H selects high-resolution spectra
+   */
+  getChartreadArgs(options = {}) {
+    const args = ['-c', '1'];
+    if (options.patchByPatch) {
+      args.push('-p');
+    }
+    if (options.highResolution) {
+      args.push('-H');
+    }
+    return args;
+  }
+
+  /**
+   * Read a chart
+   * @param {string} ti2 - Chart layout (.ti2 CGATS text)
+   * @param {Object} [options] - { patchByPatch, highResolution }
+   * @returns {Promise<Object>} { ti3, readings: [{ sampleId, location, XYZ, spectral }] }
+   */
+  async scan(ti2, options = {}) {
+    if (this.terminal) {
+      throw new Error('DEVICE_BUSY: A chart is already being read');
+    }
+
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(this.tempDir, 'chart-'));
+    const basename = path.join(workDir, 'chart');
+
+    try {
+      fs.writeFileSync(`${basename}.ti2`, ti2);
+      await this.run([...this.getChartreadArgs(options), basename], workDir);
+
+      const ti3 = fs.readFileSync(`${basename}.ti3`, 'utf8');
+      return { ti3, readings: readChartReadings(ti3) };
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Run chartread to completion, answering its prompts
+   */
+  run(args, cwd) {
+    // Loaded on first use: node-pty is a native module that is only needed for charts
+    const pty = require('node-pty');
+    logger.info(`Starting chartread: ${this.chartreadPath} ${args.join(' ')}`);
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let partialLine = '';
+      let idleTimer = null;
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          logger.error('chartread timeout');
+          this.terminal.kill();
+          reject(new Error('MEASUREMENT_TIMEOUT: No response from chartread'));
+        }, IDLE_TIMEOUT_MS);
+      };
+
+      try {
+        this.terminal = pty.spawn(this.chartreadPath, args, {
+          name: 'xterm',
+          cols: 120,
+          rows: 40,
+          cwd,
+          env: process.env
+        });
+      } catch (error) {
+        reject(new Error(`MEASUREMENT_FAILED: Could not start chartread: ${error.message}`));
+        return;
+      }
+
+      resetIdleTimer();
+
+      this.terminal.onData((data) => {
+        buffer += data;
+        logger.debug(`chartread: ${data.substring(0, 300)}`);
+        resetIdleTimer();
+        buffer = this.handlePrompts(buffer);
+
+        const lines = (partialLine + data).split(/\r\n|\r|\n/);
+        partialLine = lines.pop();
+        lines.forEach(line => this.readOutputLine(line.trim()));
+      });
+
+      this.terminal.onExit(({ exitCode }) => {
+        clearTimeout(idleTimer);
+        this.terminal = null;
+        this.reading = null;
+        logger.info(`chartread exited with code ${exitCode}`);
+
+        if (this.cancelled) {
+          this.cancelled = false;
+          reject(new Error('CANCELLED: Chart scan cancelled'));
+        } else if (exitCode === 0) {
+          resolve();
+        } else {
+          const lastLine = buffer.trim().split(/\r?\n/).pop() || '';
+          reject(new Error(`MEASUREMENT_FAILED: chartread exited with code ${exitCode}${lastLine ? `: ${lastLine.trim()}` : ''}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Act on every complete prompt in the output
+   * @returns {string} Output left over for the next chunk
+   */
+  handlePrompts(buffer) {
+    for (;;) {
+      let next = null;
+      for (const prompt of PROMPTS) {
+        const match = buffer.match(prompt.pattern);
+        if (match && (!next || match.index < next.match.index)) {
+          next = { prompt, match };
+        }
+      }
+      if (!next) break;
+
+      const { prompt, match } = next;
+      const progress = { stage: prompt.stage, message: match[0].replace(/\s+/g, ' ').trim() };
+      if (prompt.stage === 'strip') progress.strip = match[1];
+      if (prompt.stage === 'patch') progress.patch = match[1];
+      this.emit('progress', progress);
+
+      if (prompt.reply) {
+        this.terminal.write(prompt.reply);
+      }
+      buffer = buffer.substring(match.index + match[0].length);
+    }
+
+    return buffer.length > MAX_BUFFER ? buffer.slice(-MAX_BUFFER) : buffer;
+  }
+
+  /**
+   * Follow the values chartread prints for each patch as it is read
+   * A reading is emitted once its spectrum is complete; one interrupted by
+   * the next patch or other output is left to the .ti3.
+   */
+  readOutputLine(line) {
+    const header = line.match(READING_HEADER);
+    if (header) {
+      this.dropReading();
+      this.reading = { location: header[1], lines: [], steps: null, values: 0 };
+      return;
+    }
+
+    const reading = this.reading;
+    if (!reading || line === '') return;
+
+    const spectrum = line.match(SPECTRUM_HEADER);
+    if (spectrum) {
+      reading.steps = parseInt(spectrum[1], 10);
+    } else if (reading.steps !== null) {
+      if (!SPECTRUM_VALUES.test(line)) {
+        this.dropReading();
+        return;
+      }
+      reading.values += line.split(',').filter(token => token.trim() !== '').length;
+    }
+    reading.lines.push(line);
+
+    if (reading.steps !== null && reading.values >= reading.steps) {
+      this.reading = null;
+      try {
+        const { XYZ, spectral } = parseConsoleOutput(reading.lines.join('\n'));
+        this.emit('reading', { location: reading.location, XYZ, spectral });
+      } catch (error) {
+        logger.warn(`chartread: unreadable values for patch ${reading.location}: ${error.message}`);
+      }
+    } else if (reading.lines.length > MAX_READING_LINES) {
+      this.dropReading();
+    }
+  }
+
+  dropReading() {
+    if (this.reading) {
+      logger.debug(`chartread: incomplete values for patch ${this.reading.location}, waiting for the .ti3`);
+      this.reading = null;
+    }
+  }
+
+  /**
+   * Abort a running chart read without saving
+   * @returns {boolean} Whether a chart read was running
+   */
+  stop() {
+    if (!this.terminal) {
+      return false;
+    }
+    logger.info('Stopping chartread');
+    this.cancelled = true;
+    this.terminal.kill();
+    return true;
+  }
+}
+
+/**
+ * Per-patch readings from a chartread .ti3 file
+ * @param {string} ti3 - .ti3 CGATS text
+ * @returns {Object[]} [{ sampleId, location, XYZ, spectral }] in chart order
+ */
+function readChartReadings(ti3) {
+  const table = parseCGATS(ti3).find(t => t.fileType === 'CTI3');
+  if (!table) {
+    throw new Error('MEASUREMENT_FAILED: chartread output has no CTI3 table');
+  }
+
+  const fields = spectralFields(table);
+  const hasXYZ = ['XYZ_X', 'XYZ_Y', 'XYZ_Z'].every(field => table.fields.includes(field));
+
+  return table.rows.map(row => ({
+    sampleId: row.SAMPLE_ID,
+    location: row.SAMPLE_LOC || null,
+    XYZ: hasXYZ
+      ? { X: parseFloat(row.XYZ_X), Y: parseFloat(row.XYZ_Y), Z: parseFloat(row.XYZ_Z) }
+      : null,
+    spectral: rowSpectrum(table, row, fields)
+  }));
+}
+
+/**
+ * Check a chart layout before the instrument is handed to chartread
+ * @param {string} ti2 - .ti2 CGATS text
+ * @returns {Object} { patchCount, patches: [{ sampleId, location }] } in chart order
+ */
+function validateChart(ti2) {
+  let tables;
+  try {
+    tables = parseCGATS(ti2);
+  } catch (error) {
+    throw new Error(`INVALID_CHART: ${error.message.replace(/^[A-Z_]+: /, '')}`);
+  }
+
+  const table = tables.find(t => t.fileType === 'CTI2');
+  if (!table) {
+    throw new Error('INVALID_CHART: Chart layout must be a .ti2 (CTI2) file');
+  }
+  if (!table.fields.includes('SAMPLE_ID') || table.rows.length === 0) {
+    throw new Error('INVALID_CHART: Chart layout has no patches');
+  }
+  return {
+    patchCount: table.rows.length,
+    patches: table.rows.map(row => ({ sampleId: row.SAMPLE_ID, location: row.SAMPLE_LOC || null }))
+  };
+}
+
+module.exports = { ChartreadWrapper, readChartReadings, validateChart };
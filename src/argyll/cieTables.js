@@ -0,0 +1,246 @@
+/**
+ * CIE colorimetric reference data
+ *
+ * Tables are keyed by wavelength (nm, as string) to match the spectral
+ * objects produced by the spotread parser.
+ *
+ * Sources:
+ * - CIE 1931 2° Standard Observer: CIE 015:2018, Table T.4 (5 nm)
+ * - CIE 1964 10° Standard Observer: CIE 015:2018, Table T.5 (5 nm)
+ * - Illuminant A: CIE 015:2018, Planckian formula (T = 2856 K)
+ * - D-series: CIE 015:2018, Table T.2 (S0, S1, S2 daylight components)
+ * - F2, F11: CIE 015:2018, Table T.6 (5 nm)
+ */
+
+/**
+ * Build a wavelength-keyed table from evenly spaced values
+ * @param {number} start - First wavelength (nm)
+ * @param {number} interval - Wavelength interval (nm)
+ * @param {number[]} values - Tabulated values
+ * @returns {Object} Table keyed by wavelength
+ */
+function tabulate(start, interval, values) {
+  const table = {};
+  values.forEach((value, i) => {
+    table[(start + i * interval).toString()] = value;
+  });
+  return table;
+}
+
+// CIE 1931 2° Standard Observer, 360-780nm @ 5nm
+const CIE1931_2DEG = {
+  x_bar: tabulate(360, 5, [
+    0.0001299, 0.0002321, 0.0004149, 0.0007416, 0.001368, 0.002236,
+    0.004243, 0.00765, 0.01431, 0.02319, 0.04351, 0.07763,
+    0.13438, 0.21477, 0.2839, 0.3285, 0.34828, 0.34806,
+    0.3362, 0.3187, 0.2908, 0.2511, 0.19536, 0.1421,
+    0.09564, 0.05795001, 0.03201, 0.0147, 0.0049, 0.0024,
+    0.0093, 0.0291, 0.06327, 0.1096, 0.1655, 0.2257499,
+    0.2904, 0.3597, 0.4334499, 0.5120501, 0.5945, 0.6784,
+    0.7621, 0.8425, 0.9163, 0.9786, 1.0263, 1.0567,
+    1.0622, 1.0456, 1.0026, 0.9384, 0.8544499, 0.7514,
+    0.6424, 0.5419, 0.4479, 0.3608, 0.2835, 0.2187,
+    0.1649, 0.1212, 0.0874, 0.0636, 0.04677, 0.0329,
+    0.0227, 0.01584, 0.01135916, 0.008110916, 0.005790346, 0.004109457,
+    0.002899327, 0.00204919, 0.001439971, 0.0009999493, 0.0006900786, 0.0004760213,
+    0.0003323011, 0.0002348261, 0.0001661505, 0.000117413, 0.00008307527, 0.00005870652,
+    0.00004150994
+  ]),
+  y_bar: tabulate(360, 5, [
+    0.000003917, 0.000006965, 0.00001239, 0.00002202, 0.000039, 0.000064,
+    0.00012, 0.000217, 0.000396, 0.00064, 0.00121, 0.00218,
+    0.004, 0.0073, 0.0116, 0.01684, 0.023, 0.0298,
+    0.038, 0.048, 0.06, 0.0739, 0.09098, 0.1126,
+    0.13902, 0.1693, 0.20802, 0.2586, 0.323, 0.4073,
+    0.503, 0.6082, 0.71, 0.7932, 0.862, 0.9148501,
+    0.954, 0.9803, 0.9949501, 1.0, 0.995, 0.9786,
+    0.952, 0.9154, 0.87, 0.8163, 0.757, 0.6949,
+    0.631, 0.5668, 0.503, 0.4412, 0.381, 0.321,
+    0.265, 0.217, 0.175, 0.1382, 0.107, 0.0816,
+    0.061, 0.04458, 0.032, 0.0232, 0.017, 0.01192,
+    0.00821, 0.005723, 0.004102, 0.002929, 0.002091, 0.001484,
+    0.001047, 0.00074, 0.00052, 0.0003611, 0.0002492, 0.0001719,
+    0.00012, 0.0000848, 0.00006, 0.0000424, 0.00003, 0.0000212,
+    0.00001499
+  ]),
+  z_bar: tabulate(360, 5, [
+    0.0006061, 0.001086, 0.001946, 0.003486, 0.006450001, 0.01054999,
+    0.02005001, 0.03621, 0.06785001, 0.1102, 0.2074, 0.3713,
+    0.6456, 1.0390501, 1.3856, 1.62296, 1.74706, 1.7826,
+    1.77211, 1.7441, 1.6692, 1.5281, 1.28764, 1.0419,
+    0.8129501, 0.6162, 0.46518, 0.3533, 0.272, 0.2123,
+    0.1582, 0.1117, 0.07824999, 0.05725001, 0.04216, 0.02984,
+    0.0203, 0.0134, 0.008749999, 0.005749999, 0.0039, 0.002749999,
+    0.0021, 0.0018, 0.001650001, 0.0014, 0.0011, 0.001,
+    0.0008, 0.0006, 0.00034, 0.00024, 0.00019, 0.0001,
+    0.00004999999, 0.00003, 0.00002, 0.00001, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0
+  ])
+};
+
+// CIE 1964 10° Standard Observer, 360-780nm @ 5nm
+const CIE1964_10DEG = {
+  x_bar: tabulate(360, 5, [
+    0.0000001222, 0.00000091927, 0.0000059586, 0.000033266, 0.000159952, 0.00066244,
+    0.0023616, 0.0072423, 0.0191097, 0.0434, 0.084736, 0.140638,
+    0.204492, 0.264737, 0.314679, 0.357719, 0.383734, 0.386726,
+    0.370702, 0.342957, 0.302273, 0.254085, 0.195618, 0.132349,
+    0.080507, 0.041072, 0.016172, 0.005132, 0.003816, 0.015444,
+    0.037465, 0.071358, 0.117749, 0.172953, 0.236491, 0.304213,
+    0.376772, 0.451584, 0.529826, 0.616053, 0.705224, 0.793832,
+    0.878655, 0.951162, 1.01416, 1.0743, 1.11852, 1.1343,
+    1.12399, 1.0891, 1.03048, 0.95074, 0.856297, 0.75493,
+    0.647467, 0.53511, 0.431567, 0.34369, 0.268329, 0.2043,
+    0.152568, 0.11221, 0.0812606, 0.05793, 0.0408508, 0.028623,
+    0.0199413, 0.013842, 0.00957688, 0.0066052, 0.00455263, 0.0031447,
+    0.00217496, 0.0015057, 0.00104476, 0.00072745, 0.000508258, 0.00035638,
+    0.000250969, 0.00017773, 0.00012639, 0.000090151, 0.000064525, 0.000046339,
+    0.000033411
+  ]),
+  y_bar: tabulate(360, 5, [
+    0.000000013398, 0.00000010065, 0.0000006511, 0.000003625, 0.000017364, 0.00007156,
+    0.0002534, 0.0007685, 0.0020044, 0.004509, 0.008756, 0.014456,
+    0.021391, 0.029497, 0.038676, 0.049602, 0.062077, 0.074704,
+    0.089456, 0.106256, 0.128201, 0.152761, 0.18519, 0.21994,
+    0.253589, 0.297665, 0.339133, 0.395379, 0.460777, 0.53136,
+    0.606741, 0.68566, 0.761757, 0.82333, 0.875211, 0.92381,
+    0.961988, 0.9822, 0.991761, 0.99911, 0.99734, 0.98238,
+    0.955552, 0.915175, 0.868934, 0.825623, 0.777405, 0.720353,
+    0.658341, 0.593878, 0.527963, 0.461834, 0.398057, 0.339554,
+    0.283493, 0.228254, 0.179828, 0.140211, 0.107633, 0.081187,
+    0.060281, 0.044096, 0.0318004, 0.0226017, 0.0159051, 0.0111303,
+    0.0077488, 0.0053751, 0.00371774, 0.00256456, 0.00176847, 0.00122239,
+    0.00084619, 0.00058644, 0.00040741, 0.000284041, 0.00019873, 0.00013955,
+    0.000098428, 0.000069819, 0.000049737, 0.00003554, 0.000025486, 0.000018338,
+    0.000013249
+  ]),
+  z_bar: tabulate(360, 5, [
+    0.000000535027, 0.0000040283, 0.0000261437, 0.00014622, 0.000704776, 0.0029278,
+    0.0104822, 0.032344, 0.0860109, 0.19712, 0.389366, 0.65676,
+    0.972542, 1.2825, 1.55348, 1.7985, 1.96728, 2.0273,
+    1.9948, 1.9007, 1.74537, 1.5549, 1.31756, 1.0302,
+    0.772125, 0.57006, 0.415254, 0.302356, 0.218502, 0.159249,
+    0.112044, 0.082248, 0.060709, 0.04305, 0.030451, 0.020584,
+    0.013676, 0.007918, 0.003988, 0.001091, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0,
+    0
+  ])
+};
+
+// CIE daylight components S0, S1, S2, 300-780nm @ 10nm
+const DAYLIGHT_COMPONENTS = {
+  S0: tabulate(300, 10, [
+    0.04, 6.0, 29.6, 55.3, 57.3, 61.8, 61.5, 68.8, 63.4, 65.8, 94.8, 104.8, 105.9,
+    96.8, 113.9, 125.6, 125.5, 121.3, 121.3, 113.5, 113.1, 110.8, 106.5, 108.8,
+    105.3, 104.4, 100.0, 96.0, 95.1, 89.1, 90.5, 90.3, 88.4, 84.0, 85.1, 81.9,
+    82.6, 84.9, 81.3, 71.9, 74.3, 76.4, 63.3, 71.7, 77.0, 65.2, 47.7, 68.6, 65.0
+  ]),
+  S1: tabulate(300, 10, [
+    0.02, 4.5, 22.4, 42.0, 40.6, 41.6, 38.0, 42.4, 38.5, 35.0, 43.4, 46.3, 43.9,
+    37.1, 36.7, 35.9, 32.6, 27.9, 24.3, 20.1, 16.2, 13.2, 8.6, 6.1, 4.2, 1.9, 0.0,
+    -1.6, -3.5, -3.5, -5.8, -7.2, -8.6, -9.5, -10.9, -10.7, -12.0, -14.0, -13.6,
+    -12.0, -13.3, -12.9, -10.6, -11.6, -12.2, -10.2, -7.8, -11.2, -10.4
+  ]),
+  S2: tabulate(300, 10, [
+    0.0, 2.0, 4.0, 8.5, 7.8, 6.7, 5.3, 6.1, 3.0, 1.2, -1.1, -0.5, -0.7, -1.2,
+    -2.6, -2.9, -2.8, -2.6, -2.6, -1.8, -1.5, -1.3, -1.2, -1.0, -0.5, -0.3, 0.0,
+    0.2, 0.5, 2.1, 3.2, 4.1, 4.7, 5.1, 6.7, 7.3, 8.6, 9.8, 10.2, 8.3, 9.6, 8.5,
+    7.0, 7.6, 8.0, 6.7, 5.2, 7.4, 6.8
+  ])
+};
+
+/**
+ * Compute CIE Standard Illuminant A from Planck's law, 300-780nm @ 5nm
+ * Normalised to 100 at 560nm
+ * @returns {Object} SPD keyed by wavelength
+ */
+function illuminantA() {
+  const c2 = 1.435e7;
+  const T = 2848;
+  const spd = {};
+  for (let wl = 300; wl <= 780; wl += 5) {
+    spd[wl.toString()] = 100 * Math.pow(560 / wl, 5) *
+      (Math.exp(c2 / (T * 560)) - 1) / (Math.exp(c2 / (T * wl)) - 1);
+  }
+  return spd;
+}
+
+/**
+ * Compute a CIE D-series daylight illuminant, 300-780nm @ 10nm
+ * @param {number} cct - Correlated colour temperature (K), 4000-25000
+ * @returns {Object} SPD keyed by wavelength
+ */
+function daylightIlluminant(cct) {
+  if (cct < 4000 || cct > 25000) {
+    throw new Error(`Daylight CCT out of range (4000-25000K): ${cct}`);
+  }
+
+  const xD = cct <= 7000
+    ? -4.6070e9 / cct ** 3 + 2.9678e6 / cct ** 2 + 0.09911e3 / cct + 0.244063
+    : -2.0064e9 / cct ** 3 + 1.9018e6 / cct ** 2 + 0.24748e3 / cct + 0.237040;
+  const yD = -3.000 * xD ** 2 + 2.870 * xD - 0.275;
+
+  // CIE 015 rounds M1 and M2 to three decimals so tabulated D-illuminants are reproduced exactly
+  const M = 0.0241 + 0.2562 * xD - 0.7341 * yD;
+  const M1 = Math.round(((-1.3515 - 1.7703 * xD + 5.9114 * yD) / M) * 1000) / 1000;
+  const M2 = Math.round(((0.0300 - 31.4424 * xD + 30.0717 * yD) / M) * 1000) / 1000;
+
+  const { S0, S1, S2 } = DAYLIGHT_COMPONENTS;
+  const spd = {};
+  for (const wl of Object.keys(S0)) {
+    spd[wl] = S0[wl] + M1 * S1[wl] + M2 * S2[wl];
+  }
+  return spd;
+}
+
+// Nominal CCTs of the standard D-illuminants (c2 changed from 1.4380e-2 to 1.4388e-2 m·K)
+const DAYLIGHT_CCT = {
+  D50: 5000 * 1.4388 / 1.4380,
+  D55: 5500 * 1.4388 / 1.4380,
+  D65: 6500 * 1.4388 / 1.4380,
+  D75: 7500 * 1.4388 / 1.4380
+};
+
+// CIE F2 (cool white fluorescent), 380-780nm @ 5nm
+const ILLUMINANT_F2 = tabulate(380, 5, [
+  1.18, 1.48, 1.84, 2.15, 3.44, 15.69, 3.85, 3.74, 4.19, 4.62, 5.06, 34.98, 11.81,
+  6.27, 6.63, 6.93, 7.19, 7.40, 7.54, 7.62, 7.65, 7.62, 7.62, 7.45, 7.28, 7.15,
+  7.05, 7.04, 7.16, 7.47, 8.04, 8.88, 10.01, 24.88, 16.64, 14.59, 16.16, 17.56,
+  18.62, 21.47, 22.79, 19.29, 18.66, 17.73, 16.54, 15.21, 13.80, 12.36, 10.95,
+  9.65, 8.40, 7.32, 6.31, 5.43, 4.68, 4.02, 3.45, 2.96, 2.55, 2.19, 1.89, 1.64,
+  1.53, 1.27, 1.10, 0.99, 0.88, 0.76, 0.68, 0.61, 0.56, 0.54, 0.51, 0.47, 0.47,
+  0.43, 0.46, 0.47, 0.40, 0.33, 0.27
+]);
+
+// CIE F11 (narrow-band tri-phosphor, TL84 type), 380-780nm @ 5nm
+const ILLUMINANT_F11 = tabulate(380, 5, [
+  0.91, 0.63, 0.46, 0.37, 1.29, 12.68, 1.59, 1.79, 2.46, 3.33, 4.49, 33.94, 12.13,
+  6.95, 7.19, 7.12, 6.72, 6.13, 5.46, 4.79, 5.66, 14.29, 14.96, 8.97, 4.72, 2.33,
+  1.47, 1.10, 0.89, 0.83, 1.18, 4.90, 39.59, 72.84, 32.61, 7.52, 2.83, 1.96, 1.67,
+  4.43, 11.28, 14.76, 12.73, 9.74, 7.33, 9.72, 55.27, 42.58, 13.18, 13.16, 12.26,
+  5.11, 2.07, 2.34, 3.58, 3.01, 2.48, 2.14, 1.54, 1.33, 1.46, 1.94, 2.00, 1.20,
+  1.35, 4.10, 5.58, 2.51, 0.57, 0.27, 0.23, 0.21, 0.24, 0.24, 0.20, 0.24, 0.32,
+  0.26, 0.16, 0.12, 0.09
+]);
+
+module.exports = {
+  tabulate,
+  CIE1931_2DEG,
+  CIE1964_10DEG,
+  DAYLIGHT_COMPONENTS,
+  DAYLIGHT_CCT,
+  ILLUMINANT_F2,
+  ILLUMINANT_F11,
+  illuminantA,
+  daylightIlluminant
+};
@@ -0,0 +1,229 @@
+/**
+ * CIE colour-difference formulae
+ *
+ * All functions take the reference (standard) first and the sample second;
+ * signed components are sample minus reference. Hue differences are the
+ * signed metric ΔH, not an angle.
+ */
+
+const toRadians = deg => deg * Math.PI / 180;
+const toDegrees = rad => rad * 180 / Math.PI;
+
+// CIE94 application presets (CIE 116-1995)
+const CIE94_PRESETS = {
+  'graphic-arts': { kL: 1, K1: 0.045, K2: 0.015 },
+  textiles: { kL: 2, K1: 0.048, K2: 0.014 }
+};
+
+/**
+ * Hue angle in degrees, 0-360
+ */
+function hueAngle(a, b) {
+  if (a === 0 && b === 0) return 0;
+  const h = toDegrees(Math.atan2(b, a));
+  return h < 0 ? h + 360 : h;
+}
+
+/**
+ * Signed CIELAB hue difference ΔH*ab
+ */
+function deltaHab(reference, sample) {
+  const C1 = Math.hypot(reference.a, reference.b);
+  const C2 = Math.hypot(sample.a, sample.b);
+  const da = sample.a - reference.a;
+  const db = sample.b - reference.b;
+  const dC = C2 - C1;
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  // Sign follows the direction of the hue rotation
+  const sign = (reference.a * sample.b - sample.a * reference.b) < 0 ? -1 : 1;
+  return sign * Math.sqrt(dH2);
+}
+
+/**
+ * CIE 1976 ΔE*ab
+ */
+function deltaE76(reference, sample) {
+  const dL = sample.L - reference.L;
+  const da = sample.a - reference.a;
+  const db = sample.b - reference.b;
+  return {
+    dE: Math.sqrt(dL * dL + da * da + db * db),
+    dL,
+    da,
+    db,
+    dC: Math.hypot(sample.a, sample.b) - Math.hypot(reference.a, reference.b),
+    dH: deltaHab(reference, sample)
+  };
+}
+
+/**
+ * CIE 1994 ΔE*94
+ * @param {Object} factors - { application: 'graphic-arts'|'textiles', kL, kC, kH, K1, K2 }
+ */
+function deltaE94(reference, sample, factors = {}) {
+  const preset = CIE94_PRESETS[factors.application || 'graphic-arts'];
+  if (!preset) {
+    throw new Error(`INVALID_PARAMETERS: Unknown CIE94 application: ${factors.application}`);
+  }
+  const { kL, K1, K2 } = { ...preset, ...factors };
+  const kC = factors.kC ?? 1;
+  const kH = factors.kH ?? 1;
+
+  const C1 = Math.hypot(reference.a, reference.b);
+  const dL = sample.L - reference.L;
+  const dC = Math.hypot(sample.a, sample.b) - C1;
+  const dH = deltaHab(reference, sample);
+
+  const SL = 1;
+  const SC = 1 + K1 * C1;
+  const SH = 1 + K2 * C1;
+
+  return {
+    dE: Math.sqrt((dL / (kL * SL)) ** 2 + (dC / (kC * SC)) ** 2 + (dH / (kH * SH)) ** 2),
+    dL,
+    dC,
+    dH
+  };
+}
+
+/**
+ * CIEDE2000 ΔE00 (CIE 142-2001)
+ * @param {Object} factors - { kL, kC, kH }
+ */
+function deltaE2000(reference, sample, factors = {}) {
+  const kL = factors.kL ?? 1;
+  const kC = factors.kC ?? 1;
+  const kH = factors.kH ?? 1;
+
+  const C1 = Math.hypot(reference.a, reference.b);
+  const C2 = Math.hypot(sample.a, sample.b);
+  const Cbar7 = ((C1 + C2) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+
+  const a1p = (1 + G) * reference.a;
+  const a2p = (1 + G) * sample.a;
+  const C1p = Math.hypot(a1p, reference.b);
+  const C2p = Math.hypot(a2p, sample.b);
+  const h1p = hueAngle(a1p, reference.b);
+  const h2p = hueAngle(a2p, sample.b);
+
+  const dLp = sample.L - reference.L;
+  const dCp = C2p - C1p;
+
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+  const Lbarp = (reference.L + sample.L) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else if (h1p + h2p < 360) hbarp = (h1p + h2p + 360) / 2;
+    else hbarp = (h1p + h2p - 360) / 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(toRadians(hbarp - 30)) +
+    0.24 * Math.cos(toRadians(2 * hbarp)) +
+    0.32 * Math.cos(toRadians(3 * hbarp + 6)) -
+    0.20 * Math.cos(toRadians(4 * hbarp - 63));
+
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Cbarp7 = Cbarp ** 7;
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7));
+  const SL = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(toRadians(2 * dTheta)) * RC;
+
+  const lTerm = dLp / (kL * SL);
+  const cTerm = dCp / (kC * SC);
+  const hTerm = dHp / (kH * SH);
+
+  return {
+    dE: Math.sqrt(lTerm ** 2 + cTerm ** 2 + hTerm ** 2 + RT * cTerm * hTerm),
+    dL: dLp,
+    dC: dCp,
+    dH: dHp
+  };
+}
+
+/**
+ * CMC(l:c) ΔE (BS 6923, ISO 105-J03)
+ * @param {Object} factors - { l, c }, default 2:1 (acceptability)
+ */
+function deltaECMC(reference, sample, factors = {}) {
+  const l = factors.l ?? 2;
+  const c = factors.c ?? 1;
+
+  const C1 = Math.hypot(reference.a, reference.b);
+  const h1 = hueAngle(reference.a, reference.b);
+  const dL = sample.L - reference.L;
+  const dC = Math.hypot(sample.a, sample.b) - C1;
+  const dH = deltaHab(reference, sample);
+
+  const SL = reference.L < 16 ? 0.511 : (0.040975 * reference.L) / (1 + 0.01765 * reference.L);
+  const SC = (0.0638 * C1) / (1 + 0.0131 * C1) + 0.638;
+  const T = h1 >= 164 && h1 <= 345
+    ? 0.56 + Math.abs(0.2 * Math.cos(toRadians(h1 + 168)))
+    : 0.36 + Math.abs(0.4 * Math.cos(toRadians(h1 + 35)));
+  const F = Math.sqrt(C1 ** 4 / (C1 ** 4 + 1900));
+  const SH = SC * (F * T + 1 - F);
+
+  return {
+    dE: Math.sqrt((dL / (l * SL)) ** 2 + (dC / (c * SC)) ** 2 + (dH / SH) ** 2),
+    dL,
+    dC,
+    dH
+  };
+}
+
+const FORMULAS = {
+  dE76: (reference, sample) => deltaE76(reference, sample),
+  dE94: (reference, sample, parameters) => deltaE94(reference, sample, parameters.dE94),
+  dE2000: (reference, sample, parameters) => deltaE2000(reference, sample, parameters.dE2000),
+  dECMC: (reference, sample, parameters) => deltaECMC(reference, sample, parameters.dECMC)
+};
+
+/**
+ * Compute every supported colour difference between two Lab values
+ * @param {Object} reference - Reference Lab
+ * @param {Object} sample - Sample Lab
+ * @param {Object} parameters - Per-formula factors { dE94: {...}, dE2000: {...}, dECMC: {...} }
+ * @returns {Object} Results keyed by formula name
+ */
+function compareLab(reference, sample, parameters = {}) {
+  const results = {};
+  for (const [name, formula] of Object.entries(FORMULAS)) {
+    results[name] = formula(reference, sample, parameters);
+  }
+  return results;
+}
+
+/**
+ * Compute a single colour difference by formula name
+ */
+function deltaE(formulaName, reference, sample, parameters = {}) {
+  const formula = FORMULAS[formulaName];
+  if (!formula) {
+    throw new Error(`INVALID_PARAMETERS: Unknown colour difference formula: ${formulaName}`);
+  }
+  return formula(reference, sample, parameters);
+}
+
+module.exports = {
+  FORMULAS: Object.keys(FORMULAS),
+  hueAngle,
+  deltaE76,
+  deltaE94,
+  deltaE2000,
+  deltaECMC,
+  deltaE,
+  compareLab
+};
@@ -0,0 +1,231 @@
+const { FWACompensation } = require('./fwaCompensation');
+const { whitePoint } = require('./colorimetry');
+const { hueAngle } = require('./colorDifference');
+
+/**
+ * Chromatic adaptation and conversions from measured XYZ/Lab to other
+ * colour spaces
+ *
+ * Measured XYZ and Lab are D50 / 2°. RGB previews are adapted to the D65
+ * white of sRGB and Display P3 with the selected transform and encoded with
+ * the sRGB transfer curve (shared by Display P3); out-of-gamut colours are
+ * clipped and flagged.
+ */
+
+// Cone response matrices for von Kries-type adaptation
+const ADAPTATION_MATRICES = {
+  bradford: [
+    [0.8951, 0.2664, -0.1614],
+    [-0.7502, 1.7135, 0.0367],
+    [0.0389, -0.0685, 1.0296]
+  ],
+  cat02: [
+    [0.7328, 0.4296, -0.1624],
+    [-0.7036, 1.6975, 0.0061],
+    [0.0030, 0.0136, 0.9834]
+  ]
+};
+
+// sRGB / Display P3 reference white (D65 / 2°)
+const D65_WHITE = { X: 95.047, Y: 100, Z: 108.883 };
+
+// RGB primaries (xy chromaticities), both with the D65 white
+const RGB_PRIMARIES = {
+  sRGB: [[0.640, 0.330], [0.300, 0.600], [0.150, 0.060]], // IEC 61966-2-1
+  P3: [[0.680, 0.320], [0.265, 0.690], [0.150, 0.060]]    // Display P3 (SMPTE EG 432-1)
+};
+
+const SPACES = ['LCh', 'xyY', 'uv', 'HunterLab', 'sRGB', 'P3'];
+
+// Linear RGB tolerance before a colour is reported out of gamut
+const GAMUT_TOLERANCE = 1e-4;
+
+const fwaCompensation = new FWACompensation();
+
+function multiply(matrix, vector) {
+  return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+function invert(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  return [
+    [A / det, (c * h - b * i) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, (c * d - a * f) / det],
+    [C / det, (b * g - a * h) / det, (a * e - b * d) / det]
+  ];
+}
+
+/**
+ * XYZ (Y = 1) to linear RGB matrix from primaries and white point
+ */
+function rgbMatrix(primaries, white) {
+  const columns = primaries.map(([x, y]) => [x / y, 1, (1 - x - y) / y]);
+  const toXYZ = [0, 1, 2].map(row => columns.map(column => column[row]));
+  const scale = multiply(invert(toXYZ), [white.X / white.Y, 1, white.Z / white.Y]);
+  return invert(toXYZ.map(row => row.map((value, i) => value * scale[i])));
+}
+
+const RGB_SPACES = {};
+for (const [space, primaries] of Object.entries(RGB_PRIMARIES)) {
+  RGB_SPACES[space] = rgbMatrix(primaries, D65_WHITE);
+}
+
+/**
+ * Adapt XYZ from one white point to another
+ * @param {Object} XYZ - Colour under the source white
+ * @param {Object} sourceWhite - Source white XYZ
+ * @param {Object} destinationWhite - Destination white XYZ
+ * @param {string} method - 'bradford' or 'cat02'
+ * @returns {Object} Corresponding colour XYZ under the destination white
+ */
+function adaptXYZ(XYZ, sourceWhite, destinationWhite, method = 'bradford') {
+  const matrix = ADAPTATION_MATRICES[method];
+  if (!matrix) {
+    throw new Error(`INVALID_PARAMETERS: Unknown adaptation ${method}, expected one of ${Object.keys(ADAPTATION_MATRICES).join(', ')}`);
+  }
+
+  const source = multiply(matrix, [sourceWhite.X, sourceWhite.Y, sourceWhite.Z]);
+  const destination = multiply(matrix, [destinationWhite.X, destinationWhite.Y, destinationWhite.Z]);
+  const cone = multiply(matrix, [XYZ.X, XYZ.Y, XYZ.Z]).map((value, i) => value * destination[i] / source[i]);
+  const [X, Y, Z] = multiply(invert(matrix), cone);
+  return { X, Y, Z };
+}
+
+function toLCh({ L, a, b }) {
+  return { L, C: Math.hypot(a, b), h: hueAngle(a, b) };
+}
+
+function toxyY({ X, Y, Z }) {
+  const sum = X + Y + Z;
+  if (sum === 0) return { x: 0, y: 0, Y: 0 };
+  return { x: X / sum, y: Y / sum, Y };
+}
+
+/**
+ * CIE 1976 UCS chromaticity u'v'
+ */
+function toUV({ X, Y, Z }) {
+  const denominator = X + 15 * Y + 3 * Z;
+  if (denominator === 0) return { u: 0, v: 0 };
+  return { u: 4 * X / denominator, v: 9 * Y / denominator };
+}
+
+/**
+ * Hunter Lab (1966), with Ka and Kb derived from the white point
+ */
+function toHunterLab({ X, Y, Z }, white) {
+  const Ka = (175 / 198.04) * (white.X + white.Y);
+  const Kb = (70 / 218.11) * (white.Y + white.Z);
+  const y = Y / white.Y;
+  if (y <= 0) return { L: 0, a: 0, b: 0 };
+
+  const root = Math.sqrt(y);
+  return {
+    L: 100 * root,
+    a: Ka * (X / white.X - y) / root,
+    b: Kb * (y - Z / white.Z) / root
+  };
+}
+
+/**
+ * sRGB transfer curve, shared by Display P3
+ */
+function encode(linear) {
+  return linear <= 0.0031308 ? 12.92 * linear : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+}
+
+/**
+ * RGB preview of a D65-adapted XYZ
+ * @returns {Object} { rgb: [0-255], hex, inGamut }
+ */
+function toRGB(XYZ, space) {
+  const linear = multiply(RGB_SPACES[space], [XYZ.X / 100, XYZ.Y / 100, XYZ.Z / 100]);
+  const inGamut = linear.every(value => value >= -GAMUT_TOLERANCE && value <= 1 + GAMUT_TOLERANCE);
+  const rgb = linear.map(value => Math.round(255 * encode(Math.min(1, Math.max(0, value)))));
+  const hex = '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('');
+  return { rgb, hex, inGamut };
+}
+
+/**
+ * Validate colour-space request options
+ * @param {Object} [options] - { spaces: [...], adaptation, adaptTo }
+ * @returns {Object|null} Resolved options, or null when none requested
+ */
+function resolveConversionOptions(options) {
+  if (!options) return null;
+
+  const spaces = options.spaces || SPACES;
+  for (const space of spaces) {
+    if (!SPACES.includes(space)) {
+      throw new Error(`INVALID_PARAMETERS: Unknown colour space ${space}, expected one of ${SPACES.join(', ')}`);
+    }
+  }
+
+  const adaptation = options.adaptation || 'bradford';
+  if (!ADAPTATION_MATRICES[adaptation]) {
+    throw new Error(`INVALID_PARAMETERS: Unknown adaptation ${adaptation}, expected one of ${Object.keys(ADAPTATION_MATRICES).join(', ')}`);
+  }
+
+  let adaptTo = null;
+  if (options.adaptTo) {
+    const illuminant = fwaCompensation.resolveIlluminant(options.adaptTo);
+    adaptTo = { name: illuminant.name, white: whitePoint(illuminant.table, fwaCompensation.observer_2deg) };
+  }
+
+  return { spaces, adaptation, adaptTo };
+}
+
+/**
+ * Convert a D50 / 2° measurement result to the requested colour spaces
+ * @param {Object} result - { Lab, XYZ }
+ * @param {Object} options - Output of resolveConversionOptions()
+ * @returns {Object} Conversions keyed by space name, plus adapted XYZ when requested
+ */
+function convertColor(result, options) {
+  const sourceWhite = whitePoint(fwaCompensation.illuminants.D50, fwaCompensation.observer_2deg);
+  const conversions = {};
+
+  for (const space of options.spaces) {
+    switch (space) {
+      case 'LCh':
+        conversions.LCh = toLCh(result.Lab);
+        break;
+      case 'xyY':
+        conversions.xyY = toxyY(result.XYZ);
+        break;
+      case 'uv':
+        conversions.uv = toUV(result.XYZ);
+        break;
+      case 'HunterLab':
+        conversions.HunterLab = toHunterLab(result.XYZ, sourceWhite);
+        break;
+      default:
+        conversions[space] = toRGB(adaptXYZ(result.XYZ, sourceWhite, D65_WHITE, options.adaptation), space);
+    }
+  }
+
+  if (options.adaptTo) {
+    conversions.adapted = {
+      whitePoint: options.adaptTo.name,
+      method: options.adaptation,
+      XYZ: adaptXYZ(result.XYZ, sourceWhite, options.adaptTo.white, options.adaptation)
+    };
+  }
+
+  return conversions;
+}
+
+module.exports = {
+  SPACES,
+  adaptXYZ,
+  toLCh,
+  toxyY,
+  toUV,
+  toHunterLab,
+  resolveConversionOptions,
+  convertColor
+};
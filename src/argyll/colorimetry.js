@@ -0,0 +1,169 @@
+/**
+ * Tristimulus integration of spectral reflectance data
+ *
+ * Implements the ASTM E308 weighting-factor method: for the wavelength grid
+ * of the measurement, weights W(λ) are built from the illuminant and observer
+ * tables and normalised so that ΣWy = 100. Observer data outside the measured
+ * range is accumulated into the first and last measured bands (ASTM E308
+ * §7.3.2), so truncated instrument ranges such as 380-730nm still integrate
+ * the full observer.
+ *
+ * Spectral values are percent reflectance factor, as reported by spotread.
+ */
+
+// illuminant -> observer -> grid key -> weights
+const weightCache = new WeakMap();
+
+/**
+ * Sorted numeric wavelengths of a wavelength-keyed table
+ */
+function tableWavelengths(table) {
+  return Object.keys(table).map(parseFloat).sort((a, b) => a - b);
+}
+
+/**
+ * Linearly interpolate a wavelength-keyed table, zero outside its range
+ */
+function interpolate(table, wavelength, wavelengths = tableWavelengths(table)) {
+  const first = wavelengths[0];
+  const last = wavelengths[wavelengths.length - 1];
+  if (wavelength < first || wavelength > last) return 0;
+
+  const exact = table[wavelength.toString()];
+  if (exact !== undefined) return exact;
+
+  for (let i = 1; i < wavelengths.length; i++) {
+    if (wavelengths[i] >= wavelength) {
+      const lo = wavelengths[i - 1];
+      const hi = wavelengths[i];
+      const t = (wavelength - lo) / (hi - lo);
+      return table[lo.toString()] * (1 - t) + table[hi.toString()] * t;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Compute ASTM E308 tristimulus weighting factors for a wavelength grid
+ *
+ * The illuminant/observer product is evaluated at the observer's 5nm
+ * wavelengths and each contribution is distributed to the two neighbouring
+ * measurement bands in proportion to their linear-interpolation
+ * coefficients, which is exact for linearly interpolated reflectance. The
+ * 5nm F-series tables are used as published, so their lines are not
+ * smeared by interpolating the colour matching functions.
+ *
+ * @param {number[]} wavelengths - Sorted measurement wavelengths (nm)
+ * @param {Object} illuminant - Illuminant SPD keyed by wavelength
+ * @param {Object} observer - Colour matching functions { x_bar, y_bar, z_bar }
+ * @returns {Object} Weights { x: [], y: [], z: [] } aligned with wavelengths
+ */
+function computeWeightingFactors(wavelengths, illuminant, observer) {
+  let byObserver = weightCache.get(illuminant);
+  if (!byObserver) {
+    byObserver = new WeakMap();
+    weightCache.set(illuminant, byObserver);
+  }
+  let byGrid = byObserver.get(observer);
+  if (!byGrid) {
+    byGrid = new Map();
+    byObserver.set(observer, byGrid);
+  }
+  const gridKey = wavelengths.join(',');
+  if (byGrid.has(gridKey)) {
+    return byGrid.get(gridKey);
+  }
+
+  const illumWls = tableWavelengths(illuminant);
+  const cmfWls = tableWavelengths(observer.y_bar);
+  const channels = [['x', 'x_bar'], ['y', 'y_bar'], ['z', 'z_bar']];
+  const weights = { x: [], y: [], z: [] };
+  for (const [channel] of channels) {
+    weights[channel] = new Array(wavelengths.length).fill(0);
+  }
+
+  const first = wavelengths[0];
+  const last = wavelengths[wavelengths.length - 1];
+  let band = 0;
+
+  for (const wl of cmfWls) {
+    const S = interpolate(illuminant, wl, illumWls);
+    if (S === 0) continue;
+
+    // Observer range outside the measured range folds into the end bands
+    let shares;
+    if (wl <= first) {
+      shares = [[0, 1]];
+    } else if (wl >= last) {
+      shares = [[wavelengths.length - 1, 1]];
+    } else {
+      while (wavelengths[band + 1] < wl) band++;
+      const t = (wl - wavelengths[band]) / (wavelengths[band + 1] - wavelengths[band]);
+      shares = [[band, 1 - t], [band + 1, t]];
+    }
+
+    for (const [channel, cmf] of channels) {
+      const product = S * observer[cmf][wl.toString()];
+      for (const [index, share] of shares) {
+        weights[channel][index] += product * share;
+      }
+    }
+  }
+
+  const k = 100 / weights.y.reduce((sum, w) => sum + w, 0);
+  for (const [channel] of channels) {
+    weights[channel] = weights[channel].map(w => w * k);
+  }
+
+  byGrid.set(gridKey, weights);
+  return weights;
+}
+
+/**
+ * Integrate spectral reflectance to CIE XYZ
+ * @param {Object} spectral - Percent reflectance keyed by wavelength
+ * @param {Object} illuminant - Illuminant SPD keyed by wavelength
+ * @param {Object} observer - Colour matching functions { x_bar, y_bar, z_bar }
+ * @returns {Object} XYZ (Y = 100 for the perfect reflecting diffuser)
+ */
+function spectralToXYZ(spectral, illuminant, observer) {
+  const wavelengths = tableWavelengths(spectral);
+  if (wavelengths.length === 0) {
+    throw new Error('No spectral data to integrate');
+  }
+
+  const weights = computeWeightingFactors(wavelengths, illuminant, observer);
+  const XYZ = { X: 0, Y: 0, Z: 0 };
+
+  wavelengths.forEach((wl, i) => {
+    const R = spectral[wl.toString()] / 100;
+    XYZ.X += weights.x[i] * R;
+    XYZ.Y += weights.y[i] * R;
+    XYZ.Z += weights.z[i] * R;
+  });
+
+  return XYZ;
+}
+
+/**
+ * Reference white (perfect reflecting diffuser) for an illuminant/observer pair
+ * @returns {Object} XYZ with Y = 100
+ */
+function whitePoint(illuminant, observer) {
+  const wavelengths = tableWavelengths(observer.y_bar);
+  const weights = computeWeightingFactors(wavelengths, illuminant, observer);
+  const sum = values => values.reduce((total, w) => total + w, 0);
+  return {
+    X: sum(weights.x),
+    Y: sum(weights.y),
+    Z: sum(weights.z)
+  };
+}
+
+module.exports = {
+  tableWavelengths,
+  interpolate,
+  computeWeightingFactors,
+  spectralToXYZ,
+  whitePoint
+};
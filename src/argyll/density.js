@@ -0,0 +1,232 @@
+/**
+ * ISO 5-3 / ISO 5-4 reflection density
+ *
+ * Density is D = -log10(Σ Π(λ)·R(λ) / Σ Π(λ)) where Π(λ) is the spectral
+ * product of the status response: the ISO 5-3 illuminant (A, 2856 K) times
+ * the filter/detector response. Status tables are the ISO 5-3:2009 log10
+ * spectral products at 10nm, normalised to a peak of 5.000; wavelengths not
+ * listed have a negligible response. ISO visual density uses Π = S_A·V(λ).
+ *
+ * The red, green and blue responses read the cyan, magenta and yellow inks
+ * respectively; black (K) is read on the visual response.
+ */
+
+const { tabulate, CIE1931_2DEG, illuminantA } = require('./cieTables');
+const { interpolate, tableWavelengths } = require('./colorimetry');
+
+// Density reported for a zero or negative reflectance sum (instrument noise floor)
+const MAX_DENSITY = 5;
+
+// ISO 5-3 Status T (graphic arts, wide band) - red and green are shared with Status E
+const STATUS_T_RED = tabulate(580, 10, [
+  0.301, 2.471, 4.477, 4.896, 5.000, 4.972, 4.923, 4.856, 4.775, 4.669,
+  4.525, 4.331, 4.093, 3.832, 3.513, 3.192, 2.847, 2.549
+]);
+const STATUS_T_GREEN = tabulate(490, 10, [
+  1.301, 3.090, 3.984, 4.518, 4.835, 5.000, 4.955, 4.787, 4.539, 4.173,
+  3.617, 2.727, 1.346
+]);
+
+const STATUS_LOG_PRODUCTS = {
+  T: {
+    red: STATUS_T_RED,
+    green: STATUS_T_GREEN,
+    blue: tabulate(380, 10, [
+      3.000, 3.845, 4.436, 4.770, 4.917, 4.991, 5.000, 4.958, 4.862, 4.700,
+      4.412, 3.976, 3.310, 2.332, 1.000
+    ])
+  },
+  // Status E (European graphic arts): narrower blue response peaking at 430nm
+  E: {
+    red: STATUS_T_RED,
+    green: STATUS_T_GREEN,
+    blue: tabulate(380, 10, [
+      2.630, 3.556, 4.223, 4.668, 4.924, 5.000, 4.918, 4.671, 4.239, 3.628,
+      2.842, 1.853, 0.800
+    ])
+  },
+  // Status I (narrow band, Wratten 92/93/94)
+  I: {
+    red: tabulate(600, 10, [2.260, 3.880, 4.740, 5.000, 4.810, 4.140, 3.160, 2.000, 0.800]),
+    green: tabulate(500, 10, [1.650, 3.230, 4.410, 4.930, 5.000, 4.680, 3.880, 2.620, 1.100]),
+    blue: tabulate(400, 10, [2.400, 3.960, 4.760, 5.000, 4.800, 4.180, 3.150, 1.800, 0.500])
+  },
+  // Status A (colour photographic prints and transparencies)
+  A: {
+    red: tabulate(600, 10, [
+      2.568, 4.638, 5.000, 4.871, 4.604, 4.286, 3.900, 3.551, 3.165, 2.776,
+      2.383, 1.970, 1.551, 1.141, 0.741, 0.341
+    ]),
+    green: tabulate(500, 10, [
+      1.650, 3.822, 4.782, 5.000, 4.906, 4.644, 4.221, 3.609, 2.766, 1.579, 0.652
+    ]),
+    blue: tabulate(400, 10, [3.602, 4.819, 5.000, 4.912, 4.620, 4.040, 2.989, 1.566, 0.165])
+  }
+};
+
+const STATUSES = Object.keys(STATUS_LOG_PRODUCTS);
+
+// Ink read by each filter channel
+const CHANNELS = { C: 'red', M: 'green', Y: 'blue' };
+
+/**
+ * Convert a log10 spectral product table to linear weights
+ */
+function linearProduct(logTable) {
+  const product = {};
+  for (const [wl, value] of Object.entries(logTable)) {
+    product[wl] = Math.pow(10, value);
+  }
+  return product;
+}
+
+/**
+ * ISO visual spectral product, illuminant A times the photopic V(λ)
+ */
+function visualProduct() {
+  const illuminant = illuminantA();
+  const product = {};
+  for (const [wl, V] of Object.entries(CIE1931_2DEG.y_bar)) {
+    if (illuminant[wl] !== undefined) {
+      product[wl] = illuminant[wl] * V;
+    }
+  }
+  return product;
+}
+
+const STATUS_PRODUCTS = {};
+for (const [status, channels] of Object.entries(STATUS_LOG_PRODUCTS)) {
+  STATUS_PRODUCTS[status] = {};
+  for (const [channel, table] of Object.entries(channels)) {
+    STATUS_PRODUCTS[status][channel] = linearProduct(table);
+  }
+}
+const VISUAL_PRODUCT = visualProduct();
+
+/**
+ * Density of a spectrum for one spectral product
+ * The product is sampled at the measured wavelengths, so a truncated
+ * instrument range is weighted over the part it covers
+ * @param {Object} spectral - Percent reflectance keyed by wavelength
+ * @param {Object} product - Linear spectral product keyed by wavelength
+ * @returns {number} Density
+ */
+function bandDensity(spectral, product) {
+  const productWls = tableWavelengths(product);
+  let weighted = 0;
+  let total = 0;
+
+  for (const wl of tableWavelengths(spectral)) {
+    const weight = interpolate(product, wl, productWls);
+    weighted += weight * spectral[wl.toString()] / 100;
+    total += weight;
+  }
+
+  if (total === 0) {
+    throw new Error('No spectral data within the density response range');
+  }
+  if (weighted <= 0) {
+    return MAX_DENSITY;
+  }
+  return Math.min(MAX_DENSITY, -Math.log10(weighted / total));
+}
+
+/**
+ * ISO visual density
+ */
+function visualDensity(spectral) {
+  return bandDensity(spectral, VISUAL_PRODUCT);
+}
+
+/**
+ * Per-channel density for one status
+ * @param {Object} spectral - Percent reflectance keyed by wavelength
+ * @param {string} status - 'T', 'E', 'I' or 'A'
+ * @returns {Object} { C, M, Y, K } with K the visual density
+ */
+function statusDensity(spectral, status) {
+  const products = STATUS_PRODUCTS[status];
+  if (!products) {
+    throw new Error(`INVALID_STATUS: Unknown density status ${status}, expected one of ${STATUSES.join(', ')}`);
+  }
+
+  const density = {};
+  for (const [ink, channel] of Object.entries(CHANNELS)) {
+    density[ink] = bandDensity(spectral, products[channel]);
+  }
+  density.K = visualDensity(spectral);
+  return density;
+}
+
+/**
+ * Validate density request options
+ * @param {Object} [options] - { statuses: ['T', ...], paper: { spectral } | { results } }
+ * @returns {Object} { statuses, paper }
+ */
+function resolveDensityOptions(options = {}) {
+  const requested = options.statuses || options.status || STATUSES;
+  const statuses = (Array.isArray(requested) ? requested : [requested])
+    .map(status => String(status).toUpperCase());
+
+  for (const status of statuses) {
+    if (!STATUS_PRODUCTS[status]) {
+      throw new Error(`INVALID_STATUS: Unknown density status ${status}, expected one of ${STATUSES.join(', ')}`);
+    }
+  }
+
+  const paper = options.paper || null;
+  if (paper && !paper.spectral && !paper.results) {
+    throw new Error('INVALID_REFERENCE: Paper reference requires spectral data or a stored measurement');
+  }
+
+  return { statuses, paper };
+}
+
+/**
+ * Paper spectrum to use for a mode: the same mode of a stored paper
+ * measurement, or a bare paper spectrum
+ */
+function paperSpectral(paper, mode) {
+  if (!paper) return null;
+  if (paper.results) {
+    const result = paper.results[mode] || paper.results.M0;
+    return result ? result.spectral : null;
+  }
+  return paper.spectral;
+}
+
+/**
+ * Compute the density block of a measurement result
+ * @param {Object} spectral - Percent reflectance keyed by wavelength
+ * @param {Object} options - Output of resolveDensityOptions()
+ * @param {string} mode - Measurement mode, used to pick the paper reading
+ * @returns {Object} Densities keyed by status, plus paperRelative when a paper is given
+ */
+function computeDensity(spectral, options, mode) {
+  const density = {};
+  for (const status of options.statuses) {
+    density[status] = statusDensity(spectral, status);
+  }
+
+  const paper = paperSpectral(options.paper, mode);
+  if (paper) {
+    density.paperRelative = {};
+    for (const status of options.statuses) {
+      const paperDensity = statusDensity(paper, status);
+      density.paperRelative[status] = {};
+      for (const [ink, value] of Object.entries(density[status])) {
+        density.paperRelative[status][ink] = value - paperDensity[ink];
+      }
+    }
+  }
+
+  return density;
+}
+
+module.exports = {
+  STATUSES,
+  visualDensity,
+  statusDensity,
+  resolveDensityOptions,
+  computeDensity
+};
@@ -0,0 +1,179 @@
+const { FWACompensation } = require('./fwaCompensation');
+const { interpolate, tableWavelengths } = require('./colorimetry');
+const { toxyY, toUV } = require('./colorSpaces');
+const { computeTM30 } = require('./tm30');
+
+/**
+ * Photometry and colour of light sources (emissive and ambient readings)
+ *
+ * spotread reports emissive spectra as spectral radiance in mW/(m²·sr·nm)
+ * and ambient spectra as spectral irradiance in mW/(m²·nm). Absolute XYZ is
+ * 683 lm/W × Σ S(λ)·cmf(λ)·Δλ, so Y is the luminance in cd/m² (emissive) or
+ * the illuminance in lux (ambient). spotread's own XYZ is used when present.
+ *
+ * CCT and Duv are found by minimising the CIE 1960 uv distance to the
+ * Planckian locus. CRI (CIE 13.3) and TLCI come from spotread's -T report.
+ * ANSI/IES TM-30 Rf and Rg are computed from the spectrum when the colour
+ * evaluation samples are installed (see tm30.js).
+ */
+
+// Maximum luminous efficacy (lm/W)
+const KM = 683;
+
+// Second radiation constant (m·K, CODATA / ITS-90)
+const C2 = 1.4388e-2;
+
+// CCT search range (K); the locus is not meaningful outside it
+const CCT_RANGE = [1000, 100000];
+
+const fwaCompensation = new FWACompensation();
+
+/**
+ * Absolute XYZ of an emission spectrum on a 1nm grid
+ * @param {Object} spectral - Spectral radiance/irradiance in mW, keyed by wavelength
+ * @param {Object} [observer] - Colour matching functions, 2° by default
+ * @returns {Object} XYZ with Y in cd/m² or lux
+ */
+function emissionXYZ(spectral, observer = fwaCompensation.observer_2deg) {
+  const wavelengths = tableWavelengths(spectral);
+  if (wavelengths.length === 0) {
+    throw new Error('No spectral data to integrate');
+  }
+
+  const cmfWls = tableWavelengths(observer.y_bar);
+  const XYZ = { X: 0, Y: 0, Z: 0 };
+  for (let wl = cmfWls[0]; wl <= cmfWls[cmfWls.length - 1]; wl++) {
+    const S = interpolate(spectral, wl, wavelengths) / 1000;
+    if (S === 0) continue;
+    XYZ.X += S * interpolate(observer.x_bar, wl, cmfWls);
+    XYZ.Y += S * interpolate(observer.y_bar, wl, cmfWls);
+    XYZ.Z += S * interpolate(observer.z_bar, wl, cmfWls);
+  }
+
+  return { X: KM * XYZ.X, Y: KM * XYZ.Y, Z: KM * XYZ.Z };
+}
+
+/**
+ * CIE 1960 UCS chromaticity
+ */
+function uv1960(XYZ) {
+  const { u, v } = toUV(XYZ);
+  return { u, v: v * 2 / 3 };
+}
+
+const locusCache = new Map();
+
+/**
+ * CIE 1960 uv of a Planckian radiator
+ */
+function planckianUV(temperature, observer = fwaCompensation.observer_2deg) {
+  const key = Math.round(temperature * 1000);
+  if (locusCache.has(key)) return locusCache.get(key);
+
+  const cmfWls = tableWavelengths(observer.y_bar);
+  const XYZ = { X: 0, Y: 0, Z: 0 };
+  for (let wl = cmfWls[0]; wl <= cmfWls[cmfWls.length - 1]; wl++) {
+    const lambda = wl * 1e-9;
+    const M = Math.pow(lambda, -5) / Math.expm1(C2 / (lambda * temperature));
+    XYZ.X += M * interpolate(observer.x_bar, wl, cmfWls);
+    XYZ.Y += M * interpolate(observer.y_bar, wl, cmfWls);
+    XYZ.Z += M * interpolate(observer.z_bar, wl, cmfWls);
+  }
+
+  const uv = uv1960(XYZ);
+  if (locusCache.size > 2000) locusCache.clear();
+  locusCache.set(key, uv);
+  return uv;
+}
+
+/**
+ * Correlated colour temperature and distance from the Planckian locus
+ * A coarse logarithmic scan brackets the nearest locus point, which a
+ * golden-section search then refines.
+ * @param {Object} XYZ - Tristimulus values (any scale)
+ * @returns {Object} { cct, duv } with duv positive above the locus, or
+ *   { cct: null, duv: null } when the nearest point is at the range limit
+ */
+function correlatedColourTemperature(XYZ) {
+  const { u, v } = uv1960(XYZ);
+  const distance = mired => {
+    const locus = planckianUV(1e6 / mired);
+    return Math.hypot(u - locus.u, v - locus.v);
+  };
+
+  // Search in mired, where the locus is close to evenly spaced
+  const [low, high] = [1e6 / CCT_RANGE[1], 1e6 / CCT_RANGE[0]];
+  const steps = 100;
+  const step = (high - low) / steps;
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i <= steps; i++) {
+    const d = distance(low + i * step);
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = i;
+    }
+  }
+  if (best === 0 || best === steps) {
+    return { cct: null, duv: null };
+  }
+
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = low + (best - 1) * step;
+  let b = low + (best + 1) * step;
+  while (b - a > 1e-4) {
+    const c = b - ratio * (b - a);
+    const d = a + ratio * (b - a);
+    if (distance(c) < distance(d)) {
+      b = d;
+    } else {
+      a = c;
+    }
+  }
+
+  const cct = 1e6 / ((a + b) / 2);
+  const locus = planckianUV(cct);
+  const duv = Math.hypot(u - locus.u, v - locus.v);
+  return { cct, duv: v >= locus.v ? duv : -duv };
+}
+
+/**
+ * Light-source result for an emissive or ambient reading
+ * @param {Object} measured - Parsed reading { XYZ, spectral, lightSource }
+ * @param {string} geometry - 'emissive' or 'ambient'
+ * @param {Object} [options] - { tm30Samples }: TM-30 colour evaluation samples
+ * @returns {Object} { XYZ, luminance|illuminance, xyY, uv, cct, duv, cri, tlci, tm30, spectral }
+ */
+function computeEmission(measured, geometry, { tm30Samples = null } = {}) {
+  const spectral = measured.spectral || {};
+  const hasSpectrum = Object.keys(spectral).length > 0;
+  const XYZ = measured.XYZ || (hasSpectrum ? emissionXYZ(spectral) : null);
+  if (!XYZ) {
+    throw new Error('No measurement data found in output');
+  }
+
+  const lightSource = measured.lightSource || {};
+  const { cct, duv } = correlatedColourTemperature(XYZ);
+  const result = {
+    XYZ,
+    [geometry === 'ambient' ? 'illuminance' : 'luminance']: XYZ.Y,
+    xyY: toxyY(XYZ),
+    uv: toUV(XYZ),
+    cct,
+    duv,
+    cri: lightSource.cri ?? null,
+    tlci: lightSource.tlci ?? null,
+    tm30: tm30Samples && hasSpectrum && cct !== null ? computeTM30(spectral, cct, tm30Samples) : null
+  };
+  if (hasSpectrum) {
+    result.spectral = spectral;
+  }
+  return result;
+}
+
+module.exports = {
+  emissionXYZ,
+  planckianUV,
+  correlatedColourTemperature,
+  computeEmission
+};
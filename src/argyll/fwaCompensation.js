@@ -1,4 +1,29 @@
 const { logger } = require('../utils/logger');
+const {
+  tabulate,
+  CIE1931_2DEG,
+  CIE1964_10DEG,
+  DAYLIGHT_CCT,
+  ILLUMINANT_F2,
+  ILLUMINANT_F11,
+  illuminantA,
+  daylightIlluminant
+} = require('./cieTables');
+const { spectralToXYZ, whitePoint, interpolate, tableWavelengths } = require('./colorimetry');
+
+// OBA absorption (UV excitation) and emission bands used by the fluorescence model (nm)
+const EXCITATION_BAND = { start: 320, end: 400 };
+const EMISSION_BAND = { start: 410, end: 500 };
+
+// Band where OBAs neither absorb nor emit, used as the single-pass reflectance baseline (nm)
+const BASELINE_BAND = { start: 500, end: 560 };
+
+// Minimum excess over the baseline (percent reflectance) treated as fluorescence
+const FLUORESCENCE_THRESHOLD = 0.5;
+
+// UV-cut filter model for simulated M2: logistic long-pass edge, 50% transmission
+// at 400nm and 10-90% over ~22nm, typical of the GG400-class filters used for M2
+const UV_CUT_FILTER = { edge: 400, slope: 5 };
 
 /**
  * FWA (Fluorescent Whitening Agent) compensation for computing M0, M1, M2 modes
@@ -6,23 +31,21 @@ const { logger } = require('../utils/logger');
  */
 class FWACompensation {
   constructor() {
-    // CIE 1931 2° Standard Observer (simplified - would need full tables)
-    this.observer_2deg = this.loadObserver();
+    // CIE Standard Observers, keyed by field size in degrees
+    this.observers = this.loadObservers();
+    this.observer_2deg = this.observers['2'];
     
     // Illuminant SPDs
     this.illuminants = this.loadIlluminants();
   }
 
   /**
-   * Load CIE 1931 2° Standard Observer data
+   * Load CIE Standard Observer data (360-780nm @ 5nm)
    */
-  loadObserver() {
-    // Simplified observer data (380-730nm @ 10nm intervals)
-    // In production, load full tables
+  loadObservers() {
     return {
-      x_bar: {}, // X tristimulus
-      y_bar: {}, // Y tristimulus (luminosity)
-      z_bar: {}  // Z tristimulus
+      '2': CIE1931_2DEG,  // CIE 1931 2° (graphic arts, ISO 13655)
+      '10': CIE1964_10DEG // CIE 1964 10° (textiles, paints)
     };
   }
 
@@ -31,46 +54,183 @@ class FWACompensation {
    */
   loadIlluminants() {
     return {
-      A: {},     // Illuminant A (tungsten)
-      D50: {},   // D50 (horizon daylight)
-      D50M2: {}, // D50 with UV excluded
-      D65: {}    // D65 (noon daylight)
+      A: illuminantA(),                          // Illuminant A (tungsten)
+      D50: daylightIlluminant(DAYLIGHT_CCT.D50), // D50 (horizon daylight)
+      D55: daylightIlluminant(DAYLIGHT_CCT.D55), // D55 (mid-morning daylight)
+      D65: daylightIlluminant(DAYLIGHT_CCT.D65), // D65 (noon daylight)
+      D75: daylightIlluminant(DAYLIGHT_CCT.D75), // D75 (north sky daylight)
+      F2: ILLUMINANT_F2,                         // F2 (cool white fluorescent)
+      F11: ILLUMINANT_F11                        // F11 (TL84 tri-band fluorescent)
+    };
+  }
+
+  /**
+   * List the observer and illuminant tables available for colorimetry
+   */
+  getAvailableTables() {
+    return {
+      observers: Object.keys(this.observers),
+      illuminants: Object.keys(this.illuminants),
+      customIlluminants: true
     };
   }
 
+  /**
+   * Resolve an observer request value ('2', '10', 2 or 10)
+   */
+  resolveObserver(observer) {
+    const key = String(observer).replace(/\s*(deg|°)$/i, '');
+    if (!this.observers[key]) {
+      throw new Error(`INVALID_OBSERVER: Unsupported observer: ${observer}`);
+    }
+    return { name: key, table: this.observers[key] };
+  }
+
+  /**
+   * Resolve an illuminant request value
+   * Accepts a standard illuminant name, or a custom SPD given either as
+   * { name, spd: { wavelength: value } } or { name, start, interval, values }
+   */
+  resolveIlluminant(illuminant) {
+    if (typeof illuminant === 'string') {
+      const key = illuminant.toUpperCase();
+      if (!this.illuminants[key]) {
+        throw new Error(`INVALID_ILLUMINANT: Unknown illuminant: ${illuminant}`);
+      }
+      return { name: key, table: this.illuminants[key] };
+    }
+
+    if (!illuminant || typeof illuminant !== 'object' || !illuminant.name) {
+      throw new Error('INVALID_ILLUMINANT: Custom illuminants require a name and SPD');
+    }
+
+    const table = illuminant.spd
+      ? illuminant.spd
+      : tabulate(illuminant.start, illuminant.interval, illuminant.values || []);
+    const values = Object.entries(table);
+
+    if (values.length < 3 || values.some(([wl, v]) => isNaN(parseFloat(wl)) || typeof v !== 'number' || v < 0)) {
+      throw new Error(`INVALID_ILLUMINANT: Custom illuminant ${illuminant.name} has an invalid SPD`);
+    }
+
+    return { name: illuminant.name, table, custom: true };
+  }
+
+  /**
+   * Resolve the observer/illuminant combinations requested for a measurement
+   * @param {Object} options - { observers: [], illuminants: [] }
+   * @returns {Object[]|null} Resolved combinations, or null when none requested
+   */
+  resolveColorimetry(options) {
+    if (!options || (!options.observers && !options.illuminants)) {
+      return null;
+    }
+
+    const observers = (options.observers || ['2']).map(o => this.resolveObserver(o));
+    const illuminants = (options.illuminants || ['D50']).map(i => this.resolveIlluminant(i));
+
+    const combinations = [];
+    for (const illuminant of illuminants) {
+      for (const observer of observers) {
+        combinations.push({ illuminant, observer });
+      }
+    }
+    return combinations;
+  }
+
+  /**
+   * Compute XYZ/Lab of a spectrum for each resolved observer/illuminant combination
+   * @param {Object} spectral - Spectral reflectance keyed by wavelength
+   * @param {Object[]} combinations - Output of resolveColorimetry()
+   * @returns {Object} Results keyed by "illuminant/observer", e.g. "D65/10"
+   */
+  computeColorimetry(spectral, combinations) {
+    const results = {};
+    for (const { illuminant, observer } of combinations) {
+      const white = whitePoint(illuminant.table, observer.table);
+      const XYZ = this.computeXYZ(spectral, illuminant.table, observer.table);
+      results[`${illuminant.name}/${observer.name}`] = {
+        illuminant: illuminant.name,
+        observer: observer.name,
+        XYZ,
+        Lab: this.xyzToLab(XYZ, white),
+        whitePoint: white
+      };
+    }
+    return results;
+  }
+
+  /**
+   * Lab of a colour given as { Lab } and/or { spectral }
+   * With a combination, spectral data is recomputed for that observer/illuminant
+   * (a bare Lab is taken as already being for it); without one, D50 / 2° is used.
+   * @param {Object} color - { Lab, spectral }
+   * @param {Object} [combination] - One entry of resolveColorimetry()
+   * @returns {Object} Lab
+   */
+  resolveLab(color, combination = null) {
+    const hasLab = color && color.Lab &&
+      ['L', 'a', 'b'].every(key => typeof color.Lab[key] === 'number');
+    const hasSpectral = color && color.spectral && Object.keys(color.spectral).length > 0;
+
+    if (combination && hasSpectral) {
+      const key = `${combination.illuminant.name}/${combination.observer.name}`;
+      return this.computeColorimetry(color.spectral, [combination])[key].Lab;
+    }
+    if (hasLab) {
+      return color.Lab;
+    }
+    if (hasSpectral) {
+      const illuminant = this.illuminants.D50;
+      const XYZ = this.computeXYZ(color.spectral, illuminant);
+      return this.xyzToLab(XYZ, whitePoint(illuminant, this.observer_2deg));
+    }
+    throw new Error('INVALID_REFERENCE: Colour requires Lab {L, a, b} or spectral data');
+  }
+
   /**
    * Compute Lab/XYZ values for a specific measurement mode
    * @param {Object} rawSpectral - Raw spectral reflectance data
    * @param {string} mode - 'M0', 'M1', or 'M2'
+   * @param {Object[]} [colorimetry] - Extra observer/illuminant combinations from resolveColorimetry()
    * @returns {Object} Computed Lab, XYZ, and adjusted spectral
    */
-  computeMode(rawSpectral, mode) {
+  computeMode(rawSpectral, mode, colorimetry = null) {
     try {
       logger.debug(`Computing ${mode} values from spectral data`);
 
       let spectral = { ...rawSpectral.spectral };
-      let illuminant;
+      let compensation = null;
+
+      // M0/M1/M2 describe the measurement illumination (ISO 13655); the
+      // colorimetry itself is always computed for D50 / 2°
+      const illuminant = this.illuminants.D50;
 
       switch (mode) {
         case 'M0':
-          // M0: Use instrument illuminant (typically A) with full UV content
-          illuminant = this.illuminants.A;
+          // M0: Instrument illuminant (typically A) with uncontrolled UV content
           // No FWA compensation needed - raw spectral data
           break;
 
-        case 'M1':
+        case 'M1': {
           // M1: D50 with defined UV content
           // Apply FWA compensation to simulate D50 illumination
-          illuminant = this.illuminants.D50;
-          spectral = this.applyFWACompensation(spectral, 'D50');
+          const fluorescence = this.extractFluorescence(rawSpectral);
+          spectral = this.applyFWACompensation(spectral, 'D50', fluorescence.spectral);
+          compensation = this.describeCompensation(
+            fluorescence, 'D50', this.uvExcitation('D50') / this.uvExcitation('A'));
           break;
+        }
 
-        case 'M2':
-          // M2: UV-excluded D50
-          // Apply UV cut compensation
-          illuminant = this.illuminants.D50M2;
-          spectral = this.applyUVCut(spectral);
+        case 'M2': {
+          // M2: UV-excluded illumination
+          // Remove the UV-excited fluorescence contained in the M0 reading
+          const fluorescence = this.extractFluorescence(rawSpectral);
+          const uvCut = this.applyUVCut(spectral, fluorescence);
+          spectral = uvCut.spectral;
+          compensation = this.describeCompensation(fluorescence, 'UV-cut', uvCut.excitationRatio);
           break;
+        }
 
         default:
           throw new Error(`Unsupported mode: ${mode}`);
@@ -80,81 +240,240 @@ class FWACompensation {
       const XYZ = this.computeXYZ(spectral, illuminant);
 
       // Convert XYZ to Lab
-      const Lab = this.xyzToLab(XYZ);
+      const Lab = this.xyzToLab(XYZ, whitePoint(illuminant, this.observer_2deg));
 
       logger.debug(`${mode} computed: Lab(${Lab.L.toFixed(2)}, ${Lab.a.toFixed(2)}, ${Lab.b.toFixed(2)})`);
 
-      return { Lab, XYZ, spectral };
+      const computed = { Lab, XYZ, spectral };
+      if (compensation) {
+        computed.compensation = compensation;
+      }
+      if (colorimetry) {
+        computed.colorimetry = this.computeColorimetry(spectral, colorimetry);
+      }
+      return computed;
     } catch (error) {
       logger.error(`Failed to compute ${mode}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Relative UV excitation of an illuminant
+   *
+   * Mean SPD over the OBA absorption band divided by mean SPD over the OBA
+   * emission band. The fluorescent contribution to a reflectance factor scales
+   * with this ratio, so ratios between illuminants convert fluorescence seen
+   * under one illumination into fluorescence under another.
+   */
+  uvExcitation(illuminantName, transmission = () => 1) {
+    const illuminant = this.illuminants[illuminantName];
+    const wavelengths = tableWavelengths(illuminant);
+    const mean = ({ start, end }) => {
+      let sum = 0;
+      let count = 0;
+      for (let wl = start; wl <= end; wl += 10) {
+        sum += interpolate(illuminant, wl, wavelengths) * transmission(wl);
+        count++;
+      }
+      return sum / count;
+    };
+    return mean(EXCITATION_BAND) / mean(EMISSION_BAND);
+  }
+
+  /**
+   * Transmission of the modelled UV-cut filter at a wavelength
+   */
+  uvCutTransmission(wavelength) {
+    return 1 / (1 + Math.exp(-(wavelength - UV_CUT_FILTER.edge) / UV_CUT_FILTER.slope));
+  }
+
+  /**
+   * Determine the fluorescent component F(λ) contained in an M0 reading
+   *
+   * Dual-pass (i1Pro2/i1Pro3 with spotread -U): the UV LED pass contains only
+   * the sample's fluorescent emission above the LED band. Argyll scales it to
+   * the UV content of the instrument's tungsten lamp, so it equals the
+   * fluorescence contained in the M0 reading.
+   *
+   * Single pass (i1Pro): see estimateFluorescence().
+   *
+   * @param {Object} rawSpectral - Parsed reading { spectral, uvSpectral }
+   * @returns {Object} { method, spectral } with F(λ) keyed like the reading
+   */
+  extractFluorescence(rawSpectral) {
+    if (rawSpectral.uvSpectral && Object.keys(rawSpectral.uvSpectral).length > 0) {
+      const fluorescence = {};
+      for (const wavelength of Object.keys(rawSpectral.spectral)) {
+        const wl = parseFloat(wavelength);
+        const uv = rawSpectral.uvSpectral[wavelength];
+        fluorescence[wavelength] = wl >= EMISSION_BAND.start && uv !== undefined ? Math.max(0, uv) : 0;
+      }
+      return { method: 'uv-dual-pass', spectral: fluorescence };
+    }
+
+    return { method: 'single-pass-estimate', spectral: this.estimateFluorescence(rawSpectral.spectral) };
+  }
+
+  /**
+   * Estimate fluorescence from a single M0 reading
+   *
+   * OBAs absorb below ~400nm and re-emit between 410 and 500nm, raising the
+   * reflectance factor above what the paper's 500-560nm slope predicts. A
+   * least-squares line through the baseline band is extrapolated into the
+   * emission band and the excess above it is taken as fluorescence, provided
+   * the reading also shows the UV absorption edge (reflectance at or below
+   * 400nm lower than the emission peak). Non-fluorescent samples yield zero.
+   */
+  estimateFluorescence(spectral) {
+    const wavelengths = tableWavelengths(spectral);
+    const fluorescence = {};
+    for (const wl of wavelengths) {
+      fluorescence[wl.toString()] = 0;
+    }
+
+    const baseline = wavelengths.filter(wl => wl >= BASELINE_BAND.start && wl <= BASELINE_BAND.end);
+    if (baseline.length < 2) {
+      return fluorescence;
+    }
+
+    // Least-squares line through the baseline band
+    const n = baseline.length;
+    const meanWl = baseline.reduce((sum, wl) => sum + wl, 0) / n;
+    const meanR = baseline.reduce((sum, wl) => sum + spectral[wl.toString()], 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    for (const wl of baseline) {
+      sxy += (wl - meanWl) * (spectral[wl.toString()] - meanR);
+      sxx += (wl - meanWl) ** 2;
+    }
+    const slope = sxy / sxx;
+
+    let peak = 0;
+    for (const wl of wavelengths) {
+      if (wl < EMISSION_BAND.start || wl >= EMISSION_BAND.end) continue;
+      const excess = spectral[wl.toString()] - (meanR + slope * (wl - meanWl));
+      fluorescence[wl.toString()] = Math.max(0, excess);
+      peak = Math.max(peak, excess);
+    }
+
+    // Require the UV absorption edge, otherwise the excess is the paper's own colour
+    const uvSide = wavelengths.filter(wl => wl <= EXCITATION_BAND.end);
+    const emissionPeak = Math.max(...wavelengths
+      .filter(wl => wl >= EMISSION_BAND.start && wl < EMISSION_BAND.end)
+      .map(wl => spectral[wl.toString()]));
+    const hasAbsorptionEdge = uvSide.length > 0 &&
+      spectral[uvSide[uvSide.length - 1].toString()] < emissionPeak - FLUORESCENCE_THRESHOLD;
+
+    if (peak < FLUORESCENCE_THRESHOLD || !hasAbsorptionEdge) {
+      for (const wl of Object.keys(fluorescence)) {
+        fluorescence[wl] = 0;
+      }
+    }
+
+    return fluorescence;
+  }
+
   /**
    * Apply FWA compensation to simulate different illuminant
+   *
+   * The M0 reading already contains the fluorescence F(λ) excited by the
+   * instrument's tungsten lamp (illuminant A). Under the target illuminant
+   * the fluorescence scales by the ratio of UV excitations:
+   *   R_target(λ) = R_M0(λ) + (U_target / U_A - 1) * F(λ)
+   *
+   * @param {Object} spectral - M0 reflectance keyed by wavelength
+   * @param {string} targetIlluminant - Illuminant defining the UV content, e.g. 'D50'
+   * @param {Object} fluorescence - F(λ) from extractFluorescence()
    */
-  applyFWACompensation(spectral, targetIlluminant) {
-    // Simplified FWA compensation
-    // In production, this would implement proper FWA modeling
-    // based on the spectral shape in the UV region (380-420nm)
-    
+  applyFWACompensation(spectral, targetIlluminant, fluorescence = {}) {
+    const gain = this.uvExcitation(targetIlluminant) / this.uvExcitation('A') - 1;
     const compensated = { ...spectral };
-    
-    // For now, return unmodified
-    // Full implementation would adjust UV-excited fluorescence
-    
+
+    for (const [wavelength, value] of Object.entries(spectral)) {
+      compensated[wavelength] = value + gain * (fluorescence[wavelength] || 0);
+    }
+
     return compensated;
   }
 
+  /**
+   * Summarise the fluorescence compensation applied to a mode
+   * @param {Object} fluorescence - { method, spectral } from extractFluorescence()
+   * @param {string} illumination - Target illumination ('D50' for M1, 'UV-cut' for M2)
+   * @param {number} excitationRatio - UV excitation of the target relative to the M0 lamp
+   */
+  describeCompensation(fluorescence, illumination, excitationRatio) {
+    let peakWavelength = null;
+    let peakIntensity = 0;
+    for (const [wavelength, value] of Object.entries(fluorescence.spectral)) {
+      if (value > peakIntensity) {
+        peakIntensity = value;
+        peakWavelength = parseFloat(wavelength);
+      }
+    }
+
+    const measured = fluorescence.method === 'uv-dual-pass';
+
+    return {
+      method: measured ? 'uv-dual-pass' : (illumination === 'UV-cut' ? 'uv-cut-filter-model' : fluorescence.method),
+      measured,
+      simulated: !measured,
+      illumination,
+      excitationRatio,
+      fluorescent: peakIntensity > 0,
+      peakWavelength,
+      peakIntensity
+    };
+  }
+
   /**
    * Apply UV cut filter (for M2)
+   *
+   * Dual-pass: the UV LED pass measures the fluorescence excited by the
+   * lamp's UV content, so removing it leaves the UV-excluded reading:
+   *   R_M2(λ) = R_M0(λ) - F(λ)
+   *
+   * Single pass: the illumination is modelled as illuminant A through the
+   * UV-cut filter; the fluorescence left is the residual excitation passed
+   * by the filter edge:
+   *   R_M2(λ) = R_M0(λ) - (1 - U_A,filtered / U_A) * F(λ)
+   *
+   * @param {Object} spectral - M0 reflectance keyed by wavelength
+   * @param {Object} fluorescence - { method, spectral } from extractFluorescence()
+   * @returns {Object} { spectral, excitationRatio } M2 reflectance and residual UV excitation
    */
-  applyUVCut(spectral) {
-    const cutoff = 420; // UV cutoff wavelength (nm)
-    const uvCut = { ...spectral };
+  applyUVCut(spectral, fluorescence) {
+    const excitationRatio = fluorescence.method === 'uv-dual-pass'
+      ? 0
+      : this.uvExcitation('A', wl => this.uvCutTransmission(wl)) / this.uvExcitation('A');
 
-    // Attenuate wavelengths below cutoff
+    const uvCut = { ...spectral };
     for (const [wavelength, value] of Object.entries(spectral)) {
-      const wl = parseFloat(wavelength);
-      if (wl < cutoff) {
-        // Gradual attenuation below 420nm
-        const attenuation = wl / cutoff;
-        uvCut[wavelength] = value * attenuation;
-      }
+      uvCut[wavelength] = value - (1 - excitationRatio) * (fluorescence.spectral[wavelength] || 0);
     }
 
-    return uvCut;
+    return { spectral: uvCut, excitationRatio };
   }
 
   /**
-   * Compute XYZ tristimulus values
+   * Compute XYZ tristimulus values using ASTM E308 weighting factors
+   * X = k * Σ(R(λ) * S(λ) * x̄(λ) * Δλ), k = 100 / Σ(S(λ) * ȳ(λ) * Δλ)
    */
-  computeXYZ(spectral, illuminant) {
-    // Simplified computation
-    // Full implementation would integrate:
-    // X = k * Σ(R(λ) * S(λ) * x̄(λ) * Δλ)
-    // Y = k * Σ(R(λ) * S(λ) * ȳ(λ) * Δλ)
-    // Z = k * Σ(R(λ) * S(λ) * z̄(λ) * Δλ)
-    
-    // For now, use the XYZ from spotread if available
-    // or return placeholder values
-    
-    return {
-      X: 85.0,
-      Y: 90.0,
-      Z: 88.0
-    };
+  computeXYZ(spectral, illuminant, observer = this.observer_2deg) {
+    if (!spectral || Object.keys(spectral).length === 0) {
+      throw new Error('No spectral data available for XYZ computation');
+    }
+    return spectralToXYZ(spectral, illuminant, observer);
   }
 
   /**
    * Convert XYZ to Lab color space
+   * @param {Object} XYZ - Tristimulus values
+   * @param {Object} white - Reference white XYZ (defaults to D50 / 2°)
    */
-  xyzToLab(XYZ) {
-    // D50 white point
-    const Xn = 96.422;
-    const Yn = 100.0;
-    const Zn = 82.521;
+  xyzToLab(XYZ, white = { X: 96.422, Y: 100.0, Z: 82.521 }) {
+    const { X: Xn, Y: Yn, Z: Zn } = white;
 
     const fx = this.labFunction(XYZ.X / Xn);
     const fy = this.labFunction(XYZ.Y / Yn);
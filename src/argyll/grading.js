@@ -0,0 +1,165 @@
+const { FWACompensation } = require('./fwaCompensation');
+const { FORMULAS, deltaE } = require('./colorDifference');
+
+/**
+ * Tolerance-based pass/warn/fail grading of measurements against a target
+ *
+ * A target is { name, Lab | spectral, mode, formula, tolerance, warning,
+ * parameters, axes, illuminant, observer }. The verdict is:
+ *   fail - ΔE above tolerance, or any axis above its tolerance
+ *   warn - ΔE above warning, or any axis above the warning share of its tolerance
+ *   pass - otherwise
+ */
+
+// Warning threshold as a share of the tolerance when none is given
+const DEFAULT_WARNING_RATIO = 0.8;
+
+// Per-axis components and the formula that supplies them
+const AXES = {
+  dL: null, // from the target formula
+  dC: null,
+  dH: null,
+  da: 'dE76',
+  db: 'dE76'
+};
+
+const VERDICT_RANK = { pass: 0, warn: 1, fail: 2 };
+
+const fwaCompensation = new FWACompensation();
+
+/**
+ * Validate a target definition and fill in defaults
+ * @param {Object} target - Target as received from a client
+ * @returns {Object} Normalised target
+ */
+function normalizeTarget(target) {
+  if (!target || typeof target !== 'object') {
+    throw new Error('INVALID_TARGET: Target definition must be an object');
+  }
+
+  const formula = target.formula || 'dE2000';
+  if (!FORMULAS.includes(formula)) {
+    throw new Error(`INVALID_TARGET: Unknown formula ${formula}, expected one of ${FORMULAS.join(', ')}`);
+  }
+
+  const tolerance = Number(target.tolerance);
+  if (!(tolerance > 0)) {
+    throw new Error('INVALID_TARGET: Tolerance must be a positive number');
+  }
+
+  const warning = target.warning !== undefined ? Number(target.warning) : tolerance * DEFAULT_WARNING_RATIO;
+  if (!(warning > 0) || warning > tolerance) {
+    throw new Error('INVALID_TARGET: Warning must be positive and not above the tolerance');
+  }
+
+  const axes = {};
+  for (const [axis, value] of Object.entries(target.axes || {})) {
+    if (!(axis in AXES)) {
+      throw new Error(`INVALID_TARGET: Unknown axis ${axis}, expected one of ${Object.keys(AXES).join(', ')}`);
+    }
+    if (!(Number(value) > 0)) {
+      throw new Error(`INVALID_TARGET: Axis tolerance ${axis} must be a positive number`);
+    }
+    axes[axis] = Number(value);
+  }
+
+  const combination = resolveCombination(target);
+
+  // Resolve once so a malformed reference is rejected before measuring
+  const referenceLab = fwaCompensation.resolveLab(target, combination);
+
+  return {
+    name: target.name || 'Target',
+    Lab: target.Lab,
+    spectral: target.spectral,
+    mode: target.mode,
+    formula,
+    parameters: target.parameters || {},
+    tolerance,
+    warning,
+    axes,
+    illuminant: target.illuminant,
+    observer: target.observer,
+    referenceLab
+  };
+}
+
+/**
+ * Observer/illuminant combination requested by a target, or null for D50 / 2°
+ */
+function resolveCombination(target) {
+  if (target.illuminant === undefined && target.observer === undefined) {
+    return null;
+  }
+  const [combination] = fwaCompensation.resolveColorimetry({
+    observers: target.observer !== undefined ? [target.observer] : undefined,
+    illuminants: target.illuminant !== undefined ? [target.illuminant] : undefined
+  });
+  return combination;
+}
+
+/**
+ * Pick one mode's result, defaulting to M0 or the first mode measured
+ */
+function selectModeResult(results, mode) {
+  const modes = Object.keys(results || {});
+  const selected = mode || (modes.includes('M0') ? 'M0' : modes[0]);
+
+  if (!selected || !results[selected]) {
+    throw new Error(mode
+      ? `INVALID_MODE: Measurement has no ${mode} result`
+      : 'INVALID_MODE: Measurement has no results');
+  }
+  return { mode: selected, result: results[selected] };
+}
+
+/**
+ * Grade a measurement's results against a normalised target
+ * @param {Object} results - Measurement results keyed by mode
+ * @param {Object} target - Output of normalizeTarget()
+ * @returns {Object} Grading with verdict and per-axis breakdown
+ */
+function gradeMeasurement(results, target) {
+  const { mode, result } = selectModeResult(results, target.mode);
+  const combination = resolveCombination(target);
+  const sampleLab = fwaCompensation.resolveLab(result, combination);
+  const referenceLab = target.referenceLab;
+
+  const difference = deltaE(target.formula, referenceLab, sampleLab, target.parameters);
+  let verdict = difference.dE > target.tolerance ? 'fail' : difference.dE > target.warning ? 'warn' : 'pass';
+
+  const warningRatio = target.warning / target.tolerance;
+  const axes = {};
+  for (const [axis, tolerance] of Object.entries(target.axes)) {
+    const source = AXES[axis]
+      ? deltaE(AXES[axis], referenceLab, sampleLab, target.parameters)
+      : difference;
+    const value = source[axis];
+    const magnitude = Math.abs(value);
+    const axisVerdict = magnitude > tolerance ? 'fail' : magnitude > tolerance * warningRatio ? 'warn' : 'pass';
+    axes[axis] = { value, tolerance, verdict: axisVerdict };
+    verdict = worse(verdict, axisVerdict);
+  }
+
+  return {
+    target: target.name,
+    mode,
+    verdict,
+    formula: target.formula,
+    dE: difference.dE,
+    tolerance: target.tolerance,
+    warning: target.warning,
+    illuminant: combination ? combination.illuminant.name : 'D50',
+    observer: combination ? combination.observer.name : '2',
+    reference: { Lab: referenceLab },
+    sample: { Lab: sampleLab },
+    components: difference,
+    axes
+  };
+}
+
+function worse(a, b) {
+  return VERDICT_RANK[b] > VERDICT_RANK[a] ? b : a;
+}
+
+module.exports = { normalizeTarget, selectModeResult, gradeMeasurement };
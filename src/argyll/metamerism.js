@@ -0,0 +1,153 @@
+const { FWACompensation } = require('./fwaCompensation');
+const { interpolate, tableWavelengths } = require('./colorimetry');
+const { deltaE } = require('./colorDifference');
+
+/**
+ * Special metamerism index (change in illuminant, CIE 015:2018 §8.2) and
+ * spectral match statistics
+ *
+ * For each illuminant pair the sample is first matched to the reference
+ * under the reference illuminant by an additive Lab correction; the index
+ * is the colour difference that remains under the test illuminant. A pair
+ * matching only under D50 therefore shows a small match ΔE and a large index.
+ */
+
+// Reference/test illuminant pairs used when none are requested
+const DEFAULT_PAIRS = [['D50', 'A'], ['D50', 'F2'], ['D50', 'F11']];
+
+const fwaCompensation = new FWACompensation();
+
+/**
+ * Resolve requested illuminant pairs to colorimetry combinations
+ * @param {Array[]} [pairs] - [[reference, test], ...] illuminant names or custom SPDs
+ * @param {string} [observer] - '2' or '10'
+ * @returns {Object[]} [{ reference, test }] resolved combinations
+ */
+function resolvePairs(pairs = DEFAULT_PAIRS, observer = '2') {
+  if (!Array.isArray(pairs) || pairs.length === 0 ||
+      pairs.some(pair => !Array.isArray(pair) || pair.length !== 2)) {
+    throw new Error('INVALID_PARAMETERS: Illuminant pairs must be a list of [reference, test] pairs');
+  }
+
+  return pairs.map(([reference, test]) => {
+    const [referenceCombination, testCombination] = fwaCompensation.resolveColorimetry({
+      illuminants: [reference, test],
+      observers: [observer]
+    });
+    return { reference: referenceCombination, test: testCombination };
+  });
+}
+
+/**
+ * Lab of a spectrum for one resolved combination
+ */
+function labFor(spectral, combination) {
+  const key = `${combination.illuminant.name}/${combination.observer.name}`;
+  return fwaCompensation.computeColorimetry(spectral, [combination])[key].Lab;
+}
+
+/**
+ * Special metamerism index for one illuminant pair
+ * @param {Object} reference - Reference spectrum
+ * @param {Object} sample - Sample spectrum
+ * @param {Object} pair - One entry of resolvePairs()
+ * @param {string} formula - Colour difference formula name
+ * @returns {Object} { reference, test, matchDE, index }
+ */
+function metamerismIndex(reference, sample, pair, formula = 'dE76') {
+  const referenceLab = labFor(reference, pair.reference);
+  const sampleLab = labFor(sample, pair.reference);
+
+  // Additive correction so the pair matches exactly under the reference illuminant
+  const correction = {
+    L: sampleLab.L - referenceLab.L,
+    a: sampleLab.a - referenceLab.a,
+    b: sampleLab.b - referenceLab.b
+  };
+
+  const referenceTest = labFor(reference, pair.test);
+  const sampleTest = labFor(sample, pair.test);
+  const correctedTest = {
+    L: sampleTest.L - correction.L,
+    a: sampleTest.a - correction.a,
+    b: sampleTest.b - correction.b
+  };
+
+  return {
+    reference: pair.reference.illuminant.name,
+    test: pair.test.illuminant.name,
+    matchDE: deltaE(formula, referenceLab, sampleLab).dE,
+    index: deltaE(formula, referenceTest, correctedTest).dE
+  };
+}
+
+/**
+ * Spectral deviation of a sample from a reference
+ * The reference is interpolated onto the sample's wavelengths; wavelengths
+ * outside the reference range are skipped.
+ * @param {Object} reference - Reference spectrum
+ * @param {Object} sample - Sample spectrum
+ * @returns {Object} { rms, maxDeviation, maxWavelength, difference }
+ */
+function spectralDeviation(reference, sample) {
+  const referenceWls = tableWavelengths(reference);
+  const first = referenceWls[0];
+  const last = referenceWls[referenceWls.length - 1];
+
+  const difference = {};
+  let sumSquares = 0;
+  let count = 0;
+  let maxDeviation = 0;
+  let maxWavelength = null;
+
+  for (const wl of tableWavelengths(sample)) {
+    if (wl < first || wl > last) continue;
+
+    const deviation = sample[wl.toString()] - interpolate(reference, wl, referenceWls);
+    difference[wl.toString()] = deviation;
+    sumSquares += deviation * deviation;
+    count++;
+
+    if (maxWavelength === null || Math.abs(deviation) > Math.abs(maxDeviation)) {
+      maxDeviation = deviation;
+      maxWavelength = wl;
+    }
+  }
+
+  if (count === 0) {
+    throw new Error('INVALID_REFERENCE: Reference and sample spectra do not overlap');
+  }
+
+  return {
+    rms: Math.sqrt(sumSquares / count),
+    maxDeviation,
+    maxWavelength,
+    difference
+  };
+}
+
+/**
+ * Full metamerism report for a sample against a reference spectrum
+ * @param {Object} reference - Reference spectrum
+ * @param {Object} sample - Sample spectrum
+ * @param {Object} [options] - { pairs, observer, formula }
+ * @returns {Object} { observer, formula, indices, spectral }
+ */
+function compareSpectra(reference, sample, options = {}) {
+  const formula = options.formula || 'dE76';
+  const pairs = resolvePairs(options.pairs, options.observer);
+
+  return {
+    observer: pairs[0].reference.observer.name,
+    formula,
+    indices: pairs.map(pair => metamerismIndex(reference, sample, pair, formula)),
+    spectral: spectralDeviation(reference, sample)
+  };
+}
+
+module.exports = {
+  DEFAULT_PAIRS,
+  metamerismIndex,
+  spectralDeviation,
+  compareSpectra
+};
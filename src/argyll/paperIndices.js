@@ -0,0 +1,113 @@
+const { FWACompensation } = require('./fwaCompensation');
+const { whitePoint } = require('./colorimetry');
+
+/**
+ * Paper whiteness, tint, yellowness and OBA indices
+ *
+ * Whiteness and tint are evaluated on the M1 reading for D65 / 10°:
+ * - CIE whiteness and tint (ISO 11475): W = Y + 800(xn - x) + 1700(yn - y),
+ *   Tw = 900(xn - x) - 650(yn - y)
+ * - ASTM E313: the CIE whiteness and tint above, plus the yellowness index
+ *   YI = 100(Cx·X - Cz·Z) / Y
+ *
+ * Both standards assume the brighteners are excited by the UV content of
+ * D65. M1 has the UV content of D50, which excites them less, so the block
+ * is flagged as an approximation.
+ *
+ * The OBA index is ΔB = b*(M2) - b*(M1) at D50 / 2°: how much bluer the
+ * paper looks when the optical brighteners are excited, classified per
+ * ISO 15397.
+ */
+
+// ASTM E313-20 yellowness coefficients for D65 / 10°
+const YELLOWNESS_COEFFICIENTS = { Cx: 1.3013, Cz: 1.1498 };
+
+// ISO 15397 fluorescence categories by ΔB upper bound
+const OBA_CATEGORIES = [
+  { max: 1, category: 'none' },
+  { max: 4, category: 'faint' },
+  { max: 8, category: 'low' },
+  { max: 14, category: 'moderate' },
+  { max: Infinity, category: 'high' }
+];
+
+const fwaCompensation = new FWACompensation();
+
+/**
+ * Chromaticity of an XYZ value
+ */
+function chromaticity({ X, Y, Z }) {
+  const sum = X + Y + Z;
+  return { x: X / sum, y: Y / sum };
+}
+
+/**
+ * CIE whiteness and tint for D65 / 10°
+ * @param {Object} XYZ - Sample XYZ (D65 / 10°)
+ * @param {Object} white - Perfect diffuser XYZ (D65 / 10°)
+ * @returns {Object} { whiteness, tint }
+ */
+function cieWhiteness(XYZ, white) {
+  const { x, y } = chromaticity(XYZ);
+  const { x: xn, y: yn } = chromaticity(white);
+  return {
+    whiteness: XYZ.Y + 800 * (xn - x) + 1700 * (yn - y),
+    tint: 900 * (xn - x) - 650 * (yn - y)
+  };
+}
+
+/**
+ * ASTM E313 yellowness index for D65 / 10°
+ */
+function yellownessIndex(XYZ) {
+  const { Cx, Cz } = YELLOWNESS_COEFFICIENTS;
+  return 100 * (Cx * XYZ.X - Cz * XYZ.Z) / XYZ.Y;
+}
+
+/**
+ * Compute the paper block from M1 and M2 results
+ * @param {Object} m1 - M1 result { Lab, spectral }
+ * @param {Object} m2 - M2 result { Lab, spectral }
+ * @returns {Object} Whiteness, tint, yellowness and OBA index
+ */
+function computePaperIndices(m1, m2) {
+  const [combination] = fwaCompensation.resolveColorimetry({ illuminants: ['D65'], observers: ['10'] });
+  const illuminant = combination.illuminant.table;
+  const observer = combination.observer.table;
+
+  const XYZ = fwaCompensation.computeXYZ(m1.spectral, illuminant, observer);
+  const white = whitePoint(illuminant, observer);
+  const cie = cieWhiteness(XYZ, white);
+
+  const m1Lab = fwaCompensation.resolveLab(m1);
+  const m2Lab = fwaCompensation.resolveLab(m2);
+  const obaIndex = m2Lab.b - m1Lab.b;
+
+  return {
+    mode: 'M1',
+    approximation: true,
+    illuminant: 'D65',
+    observer: '10',
+    cie: {
+      whiteness: cie.whiteness,
+      tint: cie.tint
+    },
+    astmE313: {
+      whiteness: cie.whiteness,
+      tint: cie.tint,
+      yellowness: yellownessIndex(XYZ)
+    },
+    oba: {
+      index: obaIndex,
+      bM1: m1Lab.b,
+      bM2: m2Lab.b,
+      category: OBA_CATEGORIES.find(({ max }) => obaIndex <= max).category
+    }
+  };
+}
+
+module.exports = {
+  cieWhiteness,
+  yellownessIndex,
+  computePaperIndices
+};
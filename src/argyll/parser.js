@@ -1,281 +1,191 @@
 const { logger } = require('../utils/logger');
+const { Spectrum } = require('./spectrum');
+const { PATTERNS } = require('./spotreadOutput');
+
+const NUMBER = '([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?)';
+const TRIPLE = `${NUMBER}\\s+${NUMBER}\\s+${NUMBER}`;
 
 /**
- * Parse spotread spectral output file (.sp format)
- * @param {string} fileContent - Content of .sp file
+ * Grammar of a spotread reading, one pattern per line
+ *
+ *   reading  := result [spectrum [spectrum]] [lightSource...]
+ *   result   := "Result is XYZ: X Y Z" [", D50 Lab: L a b" | ", Yxy: Y x y"]
+ *   spectrum := "Spectrum from START to END nm in N steps" values...
+ *   values   := N numbers, comma separated, over one or more lines
+ *
+ * The second spectrum is the UV LED pass of spotread -U. Warnings may appear
+ * anywhere and are returned with the reading; any other line (prompts, CCT,
+ * instrument messages) is ignored.
+ */
+const GRAMMAR = {
+  result: new RegExp(`^Result is XYZ:\\s*${TRIPLE}(?:\\s*,\\s*(?:(D50 Lab)|(Yxy)):\\s*${TRIPLE})?`, 'i'),
+  spectrumHeader: new RegExp(`^Spectrum from\\s+${NUMBER}\\s+to\\s+${NUMBER}\\s+nm\\s+in\\s+(\\d+)\\s+steps`, 'i'),
+  // Comma-separated tokens; anything that isn't a number fails as PARSE_BAD_VALUE
+  values: /^[^\s,:=]+(?:\s*,\s*[^\s,:=]*)*$/,
+  lightSource: /Color Rendering Index|TLCI|Television Lighting Consistency Index/i,
+  warning: PATTERNS.warning
+};
+
+// Typed errors thrown by parseConsoleOutput
+const PARSE_ERRORS = [
+  'PARSE_NO_RESULT', // No "Result is" line
+  'PARSE_MULTIPLE_RESULTS', // More than one reading in the output
+  'PARSE_NO_SPECTRUM', // Spectrum required but not reported
+  'PARSE_GRID_MISMATCH', // Spectrum values don't match their header
+  'PARSE_UNEXPECTED_SPECTRUM', // More spectra than a reading and its UV pass
+  'PARSE_BAD_VALUE' // A value that is not a finite number
+];
+
+/**
+ * Parse the light-source report spotread -T adds to emissive and ambient readings
  * @param {string} consoleOutput - Console output from spotread
- * @returns {Object} Parsed spectral data
+ * @returns {Object|null} { cri: { Ra, R9 }, tlci }, or null when not reported
  */
-function parseSpectralOutput(fileContent, consoleOutput) {
-  try {
-    const spectral = {};
-    const lines = fileContent.split('\n');
-    
-    let spectralSection = false;
-    let wavelengths = [];
-    let values = [];
-    
-    for (const line of lines) {
-      const trimmed = line.trim();
-      
-      // Skip comments and empty lines
-      if (trimmed.startsWith('#') || trimmed === '') continue;
-      
-      // Look for spectral data section
-      if (trimmed.startsWith('SPECTRAL_BANDS')) {
-        spectralSection = true;
-        continue;
-      }
-      
-      if (spectralSection) {
-        // Parse wavelength and value pairs
-        const parts = trimmed.split(/\s+/);
-        if (parts.length >= 2) {
-          const wavelength = parseFloat(parts[0]);
-          const value = parseFloat(parts[1]);
-          
-          if (!isNaN(wavelength) && !isNaN(value)) {
-            wavelengths.push(wavelength);
-            values.push(value);
-            spectral[wavelength.toString()] = value;
-          }
-        }
-      }
-    }
-    
-    // Parse Lab values from console output
-    let Lab = null;
-    let XYZ = null;
-    
-    const labMatch = consoleOutput.match(/D50\s+Lab:\s+([\d.-]+)\s+([\d.-]+)\s+([\d.-]+)/i);
-    if (labMatch) {
-      Lab = {
-        L: parseFloat(labMatch[1]),
-        a: parseFloat(labMatch[2]),
-        b: parseFloat(labMatch[3])
-      };
-    }
-    
-    const xyzMatch = consoleOutput.match(/XYZ:\s+([\d.-]+)\s+([\d.-]+)\s+([\d.-]+)/i);
-    if (xyzMatch) {
-      XYZ = {
-        X: parseFloat(xyzMatch[1]),
-        Y: parseFloat(xyzMatch[2]),
-        Z: parseFloat(xyzMatch[3])
-      };
-    }
-    
-    if (Object.keys(spectral).length === 0) {
-      throw new Error('No spectral data found in output');
-    }
-    
-    logger.info(`Parsed spectral data: ${wavelengths.length} wavelengths from ${wavelengths[0]}nm to ${wavelengths[wavelengths.length-1]}nm`);
-    
-    return {
-      spectral,
-      Lab,
-      XYZ,
-      wavelengthRange: {
-        start: wavelengths[0],
-        end: wavelengths[wavelengths.length - 1],
-        count: wavelengths.length
-      }
-    };
-  } catch (error) {
-    logger.error('Failed to parse spectral output:', error);
-    throw error;
+function parseLightSource(consoleOutput) {
+  const number = '([\\d.-]+)';
+  const criMatch = consoleOutput.match(new RegExp(`Color Rendering Index \\(Ra\\)\\s*=\\s*${number}(?:\\s*\\[\\s*R9\\s*=\\s*${number})?`, 'i'));
+  const tlciMatch = consoleOutput.match(new RegExp(`(?:TLCI|Television Lighting Consistency Index)[^=\\r\\n]*=\\s*${number}`, 'i'));
+
+  if (!criMatch && !tlciMatch) {
+    return null;
   }
+
+  return {
+    cri: criMatch ? { Ra: parseFloat(criMatch[1]), R9: criMatch[2] !== undefined ? parseFloat(criMatch[2]) : null } : null,
+    tlci: tlciMatch ? parseFloat(tlciMatch[1]) : null
+  };
 }
 
 /**
- * Parse spotread output directly from console (when -O flag is not used)
- * @param {string} consoleOutput - Full console output from spotread (stdout + stderr)
- * @returns {Object} Parsed spectral data with Lab, XYZ, and spectral values
+ * Finite number from a matched token
  */
-function parseConsoleOutput(consoleOutput) {
-  try {
-    // DEBUG: Log raw console output to see what we're parsing
-    logger.info('=== PARSER INPUT START ===');
-    logger.info(consoleOutput.substring(0, 2000));
-    logger.info('=== PARSER INPUT END ===');
-    
-    const spectral = {};
-    const wavelengths = [];
-    const values = [];
-    
-    // Parse Lab values - "D50 Lab: L a b"
-    let Lab = null;
-    const labMatch = consoleOutput.match(/D50\s+Lab:\s+([\d.-]+)\s+([\d.-]+)\s+([\d.-]+)/i);
-    if (labMatch) {
-      Lab = {
-        L: parseFloat(labMatch[1]),
-        a: parseFloat(labMatch[2]),
-        b: parseFloat(labMatch[3])
-      };
-    }
-    
-    // Parse XYZ values - "XYZ: X Y Z" or "Result is XYZ: X Y Z"
-    let XYZ = null;
-    const xyzMatch = consoleOutput.match(/XYZ:\s+([\d.-]+)\s+([\d.-]+)\s+([\d.-]+)/i);
-    if (xyzMatch) {
-      XYZ = {
-        X: parseFloat(xyzMatch[1]),
-        Y: parseFloat(xyzMatch[2]),
-        Z: parseFloat(xyzMatch[3])
-      };
-    }
-    
-    // Parse spectral values - various formats:
-    // Format 1: "380 nm = 0.123" or "380nm, 0.123" or "  380nm:  0.123"
-    const spectralPattern = /(\d{3})\s*nm\s*[=:,]\s*([\d.]+)/gi;
-    let match;
-    while ((match = spectralPattern.exec(consoleOutput)) !== null) {
-      const wavelength = parseInt(match[1]);
-      const value = parseFloat(match[2]);
-      if (!isNaN(wavelength) && !isNaN(value)) {
-        wavelengths.push(wavelength);
-        values.push(value);
-        spectral[wavelength.toString()] = value;
-      }
-    }
-    
-    // Format 2: "Spectral reflectance:\n 380:  0.123\n 390:  0.456"
-    if (Object.keys(spectral).length === 0) {
-      const altPattern = /^\s*(\d{3})\s*:\s*([\d.]+)/gm;
-      while ((match = altPattern.exec(consoleOutput)) !== null) {
-        const wavelength = parseInt(match[1]);
-        const value = parseFloat(match[2]);
-        if (!isNaN(wavelength) && !isNaN(value) && wavelength >= 380 && wavelength <= 730) {
-          wavelengths.push(wavelength);
-          values.push(value);
-          spectral[wavelength.toString()] = value;
-        }
-      }
+function toNumber(token, lineNumber) {
+  const value = Number(token);
+  if (token === '' || !Number.isFinite(value)) {
+    throw new Error(`PARSE_BAD_VALUE: "${token}" is not a number (line ${lineNumber})`);
+  }
+  return value;
+}
+
+function toTriple(match, offset, keys, lineNumber) {
+  return Object.fromEntries(keys.map((key, i) => [key, toNumber(match[offset + i], lineNumber)]));
+}
+
+/**
+ * Read the values of a spectrum block
+ * @param {string[]} lines - Trimmed output lines
+ * @param {number} index - Index of the header line
+ * @returns {Object} { spectrum, next } - Spectrum and the index after its values
+ */
+function parseSpectrumBlock(lines, index) {
+  const header = lines[index].match(GRAMMAR.spectrumHeader);
+  const start = toNumber(header[1], index + 1);
+  const end = toNumber(header[2], index + 1);
+  const steps = parseInt(header[3], 10);
+
+  if (steps < 1 || (steps > 1 && end <= start) || (steps === 1 && end !== start)) {
+    throw new Error(`PARSE_GRID_MISMATCH: Spectrum from ${start} to ${end}nm can't have ${steps} steps (line ${index + 1})`);
+  }
+
+  const values = [];
+  let next = index + 1;
+  while (next < lines.length && values.length < steps && GRAMMAR.values.test(lines[next])) {
+    for (const token of lines[next].split(',').map(part => part.trim())) {
+      // A trailing comma closes the line without another value
+      if (token !== '') values.push(toNumber(token, next + 1));
     }
-    
-    // Format 3: Decimal wavelengths "380.0 nm = 0.0123" or "380.0nm:0.0123"
-    if (Object.keys(spectral).length === 0) {
-      const decimalPattern = /(\d{3,4}\.?\d*)\s*nm\s*[=:]\s*([\d.]+)/gi;
-      while ((match = decimalPattern.exec(consoleOutput)) !== null) {
-        const wavelength = Math.round(parseFloat(match[1]));
-        const value = parseFloat(match[2]);
-        if (!isNaN(wavelength) && !isNaN(value) && wavelength >= 380 && wavelength <= 730) {
-          wavelengths.push(wavelength);
-          values.push(value);
-          spectral[wavelength.toString()] = value;
-        }
+    next++;
+  }
+
+  if (values.length !== steps) {
+    throw new Error(`PARSE_GRID_MISMATCH: Spectrum header announces ${steps} values, found ${values.length} (line ${index + 1})`);
+  }
+
+  const spectrum = steps > 1 ? Spectrum.fromRange(start, end, values) : new Spectrum([start], values);
+  return { spectrum, next };
+}
+
+/**
+ * Parse one reading from spotread's console output
+ * @param {string} consoleOutput - Output of one reading, from its "Result is" line
+ * @param {Object} [options]
+ * @param {boolean} [options.requireSpectrum=true] - Fail with PARSE_NO_SPECTRUM when
+ *   the reading has no spectrum (false for light sources, which report XYZ alone
+ *   without -s)
+ * @returns {Object} { spectral, uvSpectral, Lab, XYZ, Yxy, lightSource, warnings, wavelengthRange }
+ * @throws {Error} With one of the PARSE_ERRORS codes
+ */
+function parseConsoleOutput(consoleOutput, options = {}) {
+  const { requireSpectrum = true } = options;
+  const lines = consoleOutput.split(/\r\n|\r|\n/).map(line => line.trim());
+
+  let XYZ = null;
+  let Lab = null;
+  let Yxy = null;
+  const spectra = [];
+  const lightSourceLines = [];
+  const warnings = [];
+
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    const result = line.match(GRAMMAR.result);
+
+    if (result) {
+      if (XYZ) {
+        throw new Error(`PARSE_MULTIPLE_RESULTS: Second "Result is" line in one reading (line ${index + 1})`);
       }
-    }
-    
-    // Format 4: Spectrum block - space-separated values after "Spectrum:" or "Spectral:"
-    if (Object.keys(spectral).length === 0) {
-      const spectrumBlockMatch = consoleOutput.match(/Spectr(?:um|al)[:\s]+([0-9.\s]+)/i);
-      if (spectrumBlockMatch) {
-        const values_raw = spectrumBlockMatch[1].trim().split(/\s+/);
-        // Assume 10nm steps from 380-730nm (36 values)
-        let wl = 380;
-        for (const val of values_raw) {
-          const value = parseFloat(val);
-          if (!isNaN(value) && wl <= 730) {
-            wavelengths.push(wl);
-            values.push(value);
-            spectral[wl.toString()] = value;
-            wl += 10;
-          }
-        }
+      XYZ = toTriple(result, 1, ['X', 'Y', 'Z'], index + 1);
+      if (result[4]) Lab = toTriple(result, 6, ['L', 'a', 'b'], index + 1);
+      if (result[5]) Yxy = toTriple(result, 6, ['Y', 'x', 'y'], index + 1);
+      index++;
+    } else if (GRAMMAR.spectrumHeader.test(line)) {
+      if (!XYZ) {
+        throw new Error(`PARSE_NO_RESULT: Spectrum before the "Result is" line (line ${index + 1})`);
       }
-    }
-    
-    // Format 5: Tab or space-separated columns (wavelength, value)
-    if (Object.keys(spectral).length === 0) {
-      const lines = consoleOutput.split('\n');
-      for (const line of lines) {
-        const trimmed = line.trim();
-        // Match lines like "380\t0.123" or "380  0.123"
-        const colMatch = trimmed.match(/^(\d{3,4})\s+(\d+\.?\d*)/);
-        if (colMatch) {
-          const wavelength = parseInt(colMatch[1]);
-          const value = parseFloat(colMatch[2]);
-          if (!isNaN(wavelength) && !isNaN(value) && wavelength >= 380 && wavelength <= 730) {
-            wavelengths.push(wavelength);
-            values.push(value);
-            spectral[wavelength.toString()] = value;
-          }
-        }
+      if (spectra.length === 2) {
+        throw new Error(`PARSE_UNEXPECTED_SPECTRUM: Third spectrum in one reading (line ${index + 1})`);
       }
-    }
-    
-    // Format 6: spotread -s output - "Spectrum from X to Y nm in N steps" header
-    // followed by comma-separated values on next line(s)
-    // Example: "Spectrum from 380.000 to 730.000 nm in 36 steps\n1.87554, 1.89404, ..."
-    if (Object.keys(spectral).length === 0) {
-      const headerMatch = consoleOutput.match(/Spectrum from\s+([\d.]+)\s+to\s+([\d.]+)\s+nm\s+in\s+(\d+)\s+steps/i);
-      if (headerMatch) {
-        const startWl = Math.round(parseFloat(headerMatch[1]));
-        const endWl = Math.round(parseFloat(headerMatch[2]));
-        const numSteps = parseInt(headerMatch[3]);
-        
-        logger.info(`Found spectral header: ${startWl}-${endWl}nm in ${numSteps} steps`);
-        
-        // Find comma-separated values after the header
-        const headerIndex = consoleOutput.indexOf(headerMatch[0]);
-        const afterHeader = consoleOutput.substring(headerIndex + headerMatch[0].length);
-        
-        // Match comma-separated numbers (possibly spanning multiple lines before "Peak value" or other text)
-        const valuesMatch = afterHeader.match(/^\s*([\d.,\s\n]+?)(?=\s*Peak|\s*Result|\s*Place|\s*$)/is);
-        if (valuesMatch) {
-          const valuesStr = valuesMatch[1].trim();
-          // Split by comma or whitespace, filter valid numbers
-          const valuesArr = valuesStr.split(/[,\s]+/).filter(v => v && !isNaN(parseFloat(v)));
-          
-          logger.info(`Found ${valuesArr.length} comma-separated values`);
-          
-          if (valuesArr.length > 0) {
-            // Calculate step size from the header info
-            const step = numSteps > 1 ? Math.round((endWl - startWl) / (numSteps - 1)) : 10;
-            let wl = startWl;
-            
-            for (const val of valuesArr) {
-              const value = parseFloat(val);
-              if (!isNaN(value) && wl <= endWl) {
-                wavelengths.push(wl);
-                values.push(value);
-                spectral[wl.toString()] = value;
-                wl += step;
-              }
-            }
-            
-            logger.info(`Parsed ${Object.keys(spectral).length} spectral values from comma-separated format (${startWl}-${endWl}nm, step=${step}nm)`);
-          }
-        }
+      const { spectrum, next } = parseSpectrumBlock(lines, index);
+      spectra.push(spectrum);
+      index = next;
+    } else {
+      if (GRAMMAR.lightSource.test(line)) {
+        lightSourceLines.push(line);
+      } else if (GRAMMAR.warning.test(line)) {
+        warnings.push(line);
       }
+      index++;
     }
-    
-    if (Object.keys(spectral).length === 0 && !Lab && !XYZ) {
-      logger.error('Console output:', consoleOutput);
-      throw new Error('No measurement data found in output');
-    }
-    
-    logger.info(`Parsed from console: ${wavelengths.length} wavelengths, Lab=${Lab ? 'yes' : 'no'}, XYZ=${XYZ ? 'yes' : 'no'}`);
-    logger.info(`Spectral object keys: ${Object.keys(spectral).length}`);
-    if (Object.keys(spectral).length > 0) {
-      logger.info(`First 3 spectral values: ${JSON.stringify(Object.entries(spectral).slice(0, 3))}`);
-    }
-    
-    return {
-      spectral,
-      Lab,
-      XYZ,
-      wavelengthRange: wavelengths.length > 0 ? {
-        start: Math.min(...wavelengths),
-        end: Math.max(...wavelengths),
-        count: wavelengths.length
-      } : null
-    };
-  } catch (error) {
-    logger.error('Failed to parse console output:', error);
-    throw error;
   }
+
+  if (!XYZ) {
+    throw new Error('PARSE_NO_RESULT: No "Result is" line in spotread output');
+  }
+  if (spectra.length === 0 && requireSpectrum) {
+    throw new Error('PARSE_NO_SPECTRUM: Reading has no spectrum, is spotread running with -s?');
+  }
+
+  const [spectrum, uvSpectrum] = spectra;
+  if (uvSpectrum && (uvSpectrum.start !== spectrum.start || uvSpectrum.end !== spectrum.end || uvSpectrum.count !== spectrum.count)) {
+    throw new Error(`PARSE_GRID_MISMATCH: UV pass spectrum (${uvSpectrum.start}-${uvSpectrum.end}nm, ${uvSpectrum.count} steps) ` +
+      `differs from the reading (${spectrum.start}-${spectrum.end}nm, ${spectrum.count} steps)`);
+  }
+
+  warnings.forEach(warning => logger.warn(`spotread: ${warning}`));
+  logger.debug(`Parsed reading: ${spectrum ? `${spectrum.count} values ${spectrum.start}-${spectrum.end}nm` : 'no spectrum'}` +
+    `${uvSpectrum ? ' with UV pass' : ''}, Lab=${Lab ? 'yes' : 'no'}`);
+
+  return {
+    spectral: spectrum ? spectrum.toTable() : {},
+    uvSpectral: uvSpectrum ? uvSpectrum.toTable() : null,
+    Lab,
+    XYZ,
+    Yxy,
+    lightSource: parseLightSource(lightSourceLines.join('\n')),
+    warnings,
+    wavelengthRange: spectrum ? spectrum.describe() : null
+  };
 }
 
-module.exports = { parseSpectralOutput, parseConsoleOutput };
+module.exports = { parseConsoleOutput, parseLightSource, PARSE_ERRORS };
@@ -0,0 +1,289 @@
+/**
+ * Spectral data on its native wavelength grid, with resampling
+ *
+ * Instruments report spectra on their own grid: 10nm for the i1Pro in
+ * standard mode, 3.33nm in high-resolution mode. A Spectrum keeps the
+ * wavelengths exactly as reported and converts to the wavelength-keyed
+ * objects used throughout the bridge with toTable(), whose keys are rounded.
+ *
+ * Resampling follows ASTM E308 / CIE 167: Sprague (fifth-order) or linear
+ * interpolation onto a 1, 5, 10 or 20nm grid. Ranges are extended by
+ * repeating the nearest measured value and truncated by dropping bands.
+ */
+
+const RESAMPLE_INTERVALS = [1, 5, 10, 20];
+const RESAMPLE_METHODS = ['sprague', 'linear'];
+
+// Wavelength keys keep 3 decimals so fractional grids (e.g. 3.333nm) round-trip;
+// interpolation uses the exact grid
+const WAVELENGTH_PRECISION = 1000;
+
+// Relative tolerance for treating a grid as evenly spaced
+const UNIFORM_TOLERANCE = 1e-3;
+
+/**
+ * Wavelength as used for table keys
+ */
+function roundWavelength(wavelength) {
+  return Math.round(wavelength * WAVELENGTH_PRECISION) / WAVELENGTH_PRECISION;
+}
+
+// Sprague interpolation coefficients (CIE 167:2005, Table 1)
+const SPRAGUE_COEFFICIENTS = [
+  [2, -16, 0, 16, -2, 0],
+  [-1, 16, -30, 16, -1, 0],
+  [-9, 39, -70, 66, -33, 7],
+  [13, -64, 126, -124, 61, -12],
+  [-5, 25, -50, 50, -25, 5]
+];
+
+// Sprague end-point extrapolation coefficients (CIE 167:2005, Table 2)
+const SPRAGUE_EXTRAPOLATION = [
+  [884, -1960, 3033, -2648, 1080, -180],
+  [508, -540, 488, -367, 144, -24]
+];
+
+class Spectrum {
+  /**
+   * @param {number[]} wavelengths - Ascending wavelengths (nm)
+   * @param {number[]} values - Values aligned with wavelengths
+   */
+  constructor(wavelengths, values) {
+    if (wavelengths.length !== values.length) {
+      throw new Error('Spectrum wavelengths and values differ in length');
+    }
+    this.wavelengths = wavelengths.slice();
+    this.values = values.slice();
+  }
+
+  /**
+   * Build a spectrum from a wavelength-keyed object
+   */
+  static fromTable(table) {
+    const keys = Object.keys(table).sort((a, b) => parseFloat(a) - parseFloat(b));
+    return new Spectrum(keys.map(parseFloat), keys.map(key => table[key]));
+  }
+
+  /**
+   * Build an evenly spaced spectrum from a start/end range, as in the
+   * spotread "Spectrum from X to Y nm in N steps" header
+   */
+  static fromRange(start, end, values) {
+    const interval = values.length > 1 ? (end - start) / (values.length - 1) : 0;
+    return new Spectrum(values.map((_, i) => start + i * interval), values);
+  }
+
+  get start() {
+    return this.wavelengths[0];
+  }
+
+  get end() {
+    return this.wavelengths[this.wavelengths.length - 1];
+  }
+
+  get count() {
+    return this.wavelengths.length;
+  }
+
+  /**
+   * Exact spacing of an evenly spaced grid, or null
+   * Wavelengths read from table keys are rounded, so the spacing comes from
+   * the ends of the range and band i lies at start + i·spacing
+   */
+  spacing() {
+    if (this.count < 2) return null;
+    const spacing = (this.end - this.start) / (this.count - 1);
+    const uniform = this.wavelengths.every((wl, i) =>
+      Math.abs(wl - (this.start + i * spacing)) <= spacing * UNIFORM_TOLERANCE + 1 / WAVELENGTH_PRECISION);
+    return uniform ? spacing : null;
+  }
+
+  /**
+   * Grid interval (nm) as reported, or null when the grid is not evenly spaced
+   */
+  get interval() {
+    const spacing = this.spacing();
+    return spacing === null ? null : roundWavelength(spacing);
+  }
+
+  /**
+   * Wavelength-keyed object for the rest of the bridge
+   */
+  toTable() {
+    const table = {};
+    this.wavelengths.forEach((wl, i) => {
+      table[roundWavelength(wl).toString()] = this.values[i];
+    });
+    return table;
+  }
+
+  /**
+   * Grid summary { start, end, interval, count }
+   */
+  describe() {
+    return {
+      start: roundWavelength(this.start),
+      end: roundWavelength(this.end),
+      interval: this.interval,
+      count: this.count
+    };
+  }
+
+  /**
+   * Linearly interpolated value, nearest end value outside the range
+   */
+  valueAt(wavelength) {
+    if (wavelength <= this.start) return this.values[0];
+    if (wavelength >= this.end) return this.values[this.count - 1];
+
+    let i = 1;
+    while (this.wavelengths[i] < wavelength) i++;
+    const lo = this.wavelengths[i - 1];
+    const t = (wavelength - lo) / (this.wavelengths[i] - lo);
+    return this.values[i - 1] * (1 - t) + this.values[i] * t;
+  }
+
+  /**
+   * Sprague-interpolated value within the range (evenly spaced grids only)
+   * @param {number} wavelength - Exact wavelength
+   * @param {number} spacing - Exact grid spacing, from spacing()
+   */
+  spragueAt(wavelength, spacing) {
+    const position = (wavelength - this.start) / spacing;
+    const i = Math.min(Math.floor(position + 1e-9), this.count - 2);
+    const t = position - i;
+    if (Math.abs(t) < 1e-9) return this.values[i];
+
+    // Pad two extrapolated points at each end
+    const point = j => {
+      if (j >= 0 && j < this.count) return this.values[j];
+      const n = this.count - 1;
+      const [far, near] = SPRAGUE_EXTRAPOLATION;
+      if (j < 0) {
+        const source = this.values.slice(0, 6);
+        const weights = j === -1 ? near : far;
+        return weights.reduce((sum, w, k) => sum + w * source[k], 0) / 209;
+      }
+      const source = this.values.slice(n - 5, n + 1).reverse();
+      const weights = j === n + 1 ? near : far;
+      return weights.reduce((sum, w, k) => sum + w * source[k], 0) / 209;
+    };
+
+    const p = [-2, -1, 0, 1, 2, 3].map(offset => point(i + offset));
+    const a = SPRAGUE_COEFFICIENTS.map(row => row.reduce((sum, c, k) => sum + c * p[k], 0) / 24);
+    return p[2] + t * (a[0] + t * (a[1] + t * (a[2] + t * (a[3] + t * a[4]))));
+  }
+
+  /**
+   * Extend the range by repeating the nearest measured value (ASTM E308)
+   */
+  extend(start, end) {
+    const wavelengths = [];
+    const values = [];
+    const interval = this.spacing() || 10;
+
+    for (let wl = start; wl < this.start - 1e-9; wl += interval) {
+      wavelengths.push(wl);
+      values.push(this.values[0]);
+    }
+    wavelengths.push(...this.wavelengths);
+    values.push(...this.values);
+    const tail = [];
+    for (let wl = end; wl > this.end + 1e-9; wl -= interval) {
+      tail.unshift(wl);
+    }
+    for (const wl of tail) {
+      wavelengths.push(wl);
+      values.push(this.values[this.count - 1]);
+    }
+    return new Spectrum(wavelengths, values);
+  }
+
+  /**
+   * Drop bands outside a range
+   */
+  truncate(start, end) {
+    const wavelengths = [];
+    const values = [];
+    this.wavelengths.forEach((wl, i) => {
+      if (wl >= start - 1e-9 && wl <= end + 1e-9) {
+        wavelengths.push(wl);
+        values.push(this.values[i]);
+      }
+    });
+    return new Spectrum(wavelengths, values);
+  }
+
+  /**
+   * Resample onto an evenly spaced grid
+   * @param {Object} options - Output of resolveResampling(): { interval, method, start, end }
+   *   start/end default to the native range rounded inwards to the interval;
+   *   beyond the native range values are extended from the nearest band
+   * @returns {Spectrum} Resampled spectrum
+   */
+  resample({ interval, method = 'sprague', start, end }) {
+    const from = start !== undefined ? start : Math.ceil(this.start / interval - 1e-9) * interval;
+    const to = end !== undefined ? end : Math.floor(this.end / interval + 1e-9) * interval;
+    const spacing = this.spacing();
+    const sprague = method === 'sprague' && spacing !== null && this.count >= 6;
+
+    const wavelengths = [];
+    const values = [];
+    for (let i = 0; from + i * interval <= to + 1e-9; i++) {
+      const wl = from + i * interval;
+      wavelengths.push(wl);
+      if (wl <= this.start || wl >= this.end) {
+        values.push(this.valueAt(wl));
+      } else {
+        values.push(sprague ? this.spragueAt(wl, spacing) : this.valueAt(wl));
+      }
+    }
+    return new Spectrum(wavelengths, values);
+  }
+}
+
+/**
+ * Validate a resampling request
+ * @param {Object} [options] - { interval, method, start, end }
+ * @returns {Object|null} Resolved options, or null when none requested
+ */
+function resolveResampling(options) {
+  if (!options) return null;
+
+  const interval = Number(options.interval);
+  if (!RESAMPLE_INTERVALS.includes(interval)) {
+    throw new Error(`INVALID_PARAMETERS: Resampling interval must be one of ${RESAMPLE_INTERVALS.join(', ')}nm`);
+  }
+
+  const method = options.method || 'sprague';
+  if (!RESAMPLE_METHODS.includes(method)) {
+    throw new Error(`INVALID_PARAMETERS: Unknown resampling method ${method}, expected one of ${RESAMPLE_METHODS.join(', ')}`);
+  }
+
+  const start = options.start !== undefined ? Number(options.start) : undefined;
+  const end = options.end !== undefined ? Number(options.end) : undefined;
+  if ([start, end].some(wl => wl !== undefined && !(wl > 0)) ||
+      (start !== undefined && end !== undefined && start >= end)) {
+    throw new Error('INVALID_PARAMETERS: Resampling range must be positive with start below end');
+  }
+
+  return { interval, method, start, end };
+}
+
+/**
+ * Resample a wavelength-keyed spectrum
+ * @param {Object} table - Spectrum keyed by wavelength
+ * @param {Object} resampling - Output of resolveResampling()
+ * @returns {Object} Resampled spectrum keyed by wavelength
+ */
+function resampleTable(table, resampling) {
+  return Spectrum.fromTable(table).resample(resampling).toTable();
+}
+
+module.exports = {
+  Spectrum,
+  RESAMPLE_INTERVALS,
+  roundWavelength,
+  resolveResampling,
+  resampleTable
+};
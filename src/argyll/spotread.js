@@ -1,37 +1,76 @@
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
-const { spawn } = require('child_process');
 const EventEmitter = require('events');
 const { logger } = require('../utils/logger');
-const { parseSpectralOutput, parseConsoleOutput } = require('./parser');
+const { parseConsoleOutput } = require('./parser');
+const { SpotreadOutput, PATTERNS } = require('./spotreadOutput');
 const config = require('../utils/config');
 
+// spotread measurement geometries and their mode flags (reflective has none)
+const GEOMETRY_FLAGS = {
+  reflective: null,
+  emissive: '-e',
+  ambient: '-a',
+  transmissive: '-t'
+};
+const GEOMETRIES = Object.keys(GEOMETRY_FLAGS);
+
+// Light-source readings report Yxy instead of D50 Lab on the result line
+const LIGHT_SOURCE_GEOMETRIES = ['emissive', 'ambient'];
+
+const CALIBRATION_TIMEOUT_MS = 60000;
+const MEASUREMENT_TIMEOUT_MS = 60000;
+const STOP_TIMEOUT_MS = 5000;
+
+// How long a cancelled reading may take to return to the reading prompt
+const CANCEL_TIMEOUT_MS = 10000;
+
+/**
+ * Session states and the transitions allowed from each; the process
+ * exiting returns the session to idle from any state
+ *
+ *   idle -> starting -> calibrating -> ready <-> measuring
+ *
+ * A reading started with the instrument button moves ready -> measuring
+ * just like a software-triggered one.
+ */
+const TRANSITIONS = {
+  idle: ['starting'],
+  starting: ['calibrating', 'ready', 'stopping', 'idle'],
+  calibrating: ['ready', 'stopping', 'idle'],
+  ready: ['measuring', 'stopping', 'idle'],
+  measuring: ['ready', 'stopping', 'idle'],
+  stopping: ['idle']
+};
+
 /**
  * Wrapper for ArgyllCMS spotread command-line tool
  * Maintains a persistent spotread process after calibration for fast measurements
  * Supports both software-triggered and hardware button-triggered measurements
+ *
+ * spotread runs in a pseudo-terminal (node-pty), since it reads single
+ * keystrokes from the console. Its output is split into lines and readings
+ * (SpotreadOutput), which drive the session state machine.
  */
 class SpotreadWrapper extends EventEmitter {
   constructor() {
     super();
     this.spotreadPath = this.findSpotread();
-    this.tempDir = path.join(os.tmpdir(), 'spectro-bridge');
-    
+
     // Persistent process state
-    this.expectProcess = null;
-    this.isCalibrated = false;
-    this.outputBuffer = '';
-    this.pendingResolve = null;
-    this.pendingReject = null;
-    this.scriptPath = null;
-    this.measurementPending = false;
-    this.hardwareMeasurementPending = false;
-    
-    // Ensure temp directory exists
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-    }
+    this.terminal = null;
+    this.state = 'idle';
+    this.output = new SpotreadOutput();
+    this.serialNumber = null;
+    this.calibration = null; // { resolve, reject, timeoutId } until the session is ready
+    this.reading = null; // { source, resolve, reject, timeoutId, transcript } while measuring
+    this.closeListeners = [];
+    this.sessionOptions = {};
+
+    this.output.on('line', line => this.handleLine(line));
+    this.output.on('reading-start', () => this.startReading());
+    this.output.on('reading', lines => this.completeReading(lines));
   }
 
   /**
@@ -76,457 +115,454 @@ class SpotreadWrapper extends EventEmitter {
    * Check if we have an active calibrated session
    */
   hasActiveSession() {
-    return this.expectProcess !== null && this.isCalibrated;
+    return this.terminal !== null && (this.state === 'ready' || this.state === 'measuring');
   }
 
   /**
-   * Generate expect script for persistent session with hardware button monitoring
-   * Uses blocking stdin in a while loop with expect_background for reliable detection
+   * Move the session state machine to a new state
    */
-  generatePersistentExpectScript() {
-    // Add -d flag for expect debugging in development
-    const debugFlag = process.env.NODE_ENV === 'development' ? '-d' : '';
-    
-    return `#!/usr/bin/expect ${debugFlag}
-set timeout 60
-log_user 1
-
-puts "EXPECT_SCRIPT_STARTED"
-puts "SPOTREAD_PATH: ${this.spotreadPath}"
-
-# Track measurement source
-set software_triggered 0
-
-# Start spotread
-spawn ${this.spotreadPath} -c 1 -s
-
-puts "SPAWN_COMPLETED"
-
-# === CALIBRATION PHASE ===
-expect {
-  -re "hit any key|Place instrument|press any key|calibration position|white reference" {
-    puts "CALIBRATION_PROMPT_DETECTED"
-    send "\\r"
-  }
-  timeout {
-    puts "EXPECT_TIMEOUT: waiting for calibration prompt"
-    exit 1
-  }
-}
-
-expect {
-  -re "Calibration complete" {
-    puts "CALIBRATION_COMPLETE"
-  }
-  -re "Calibration failed|Hardware Failure|reading is too low" {
-    puts "CALIBRATION_FAILED"
-    puts \$expect_out(0,string)
-    exit 1
-  }
-  timeout {
-    puts "EXPECT_TIMEOUT: waiting for calibration complete"
-    exit 1
+  setState(next) {
+    if (!TRANSITIONS[this.state].includes(next)) {
+      throw new Error(`Invalid spotread session transition: ${this.state} -> ${next}`);
+    }
+    logger.debug(`spotread session: ${this.state} -> ${next}`);
+    this.state = next;
   }
-}
 
-expect {
-  -re "any other key|key to read|Place instrument on spot" {
-    puts "READY_FOR_MEASUREMENT"
-  }
-  timeout {
-    puts "EXPECT_TIMEOUT: waiting for measurement ready"
-    exit 1
+  /**
+   * Measurement geometry of the current session
+   */
+  getGeometry() {
+    return this.sessionOptions.geometry || 'reflective';
   }
-}
 
-# === MEASUREMENT PHASE ===
-# Use expect_background to detect results (both software and hardware triggered)
-expect_background {
-  -re "(Result is XYZ:\\s*\[0-9.\\-\\]+\\s+\[0-9.\\-\\]+\\s+\[0-9.\\-\\]+.*?D50 Lab:\\s*\[0-9.\\-\\]+\\s+\[0-9.\\-\\]+\\s+\[0-9.\\-\\]+)" {
-    global software_triggered
-    if {\$software_triggered} {
-      puts "SOFTWARE_MEASUREMENT_DETECTED"
-      set software_triggered 0
-    } else {
-      puts "HARDWARE_MEASUREMENT_DETECTED"
+  /**
+   * Build spotread command-line arguments for the current session options
+   * -s prints the spectrum of each reading; -U (i1Pro2/i1Pro3) adds a UV LED
+   * pass, reported as a second spectrum after the normal reading; -H switches
+   * to high-resolution (3.333nm) spectra, which needs its own calibration.
+   * -e, -a and -t select emissive, ambient and transmissive readings; light
+   * source readings add -T for the CCT, CRI and TLCI report
+   */
+  getSpotreadArgs() {
+    const args = ['-c', '1', '-s'];
+    const geometry = this.getGeometry();
+    if (GEOMETRY_FLAGS[geometry]) {
+      args.push(GEOMETRY_FLAGS[geometry]);
     }
-    puts "MEASUREMENT_RESULT_START"
-    puts \$expect_out(1,string)
-    exp_continue
-  }
-  
-  -re "Spectrum from (\[^\r\n\]+)\r?\n(\[^\r\n\]+)" {
-    puts "SPECTRAL_DATA:"
-    puts \$expect_out(1,string)
-    puts \$expect_out(2,string)
-    exp_continue
-  }
-  
-  -re "(any other key|key to read|Place instrument on spot)" {
-    puts "MEASUREMENT_RESULT_END"
-    puts "READY_FOR_MEASUREMENT"
-    exp_continue
-  }
-}
-
-# Main stdin loop - BLOCKING reads for reliable command handling
-fconfigure stdin -blocking 1 -buffering line
-
-while {1} {
-  # Block waiting for command from stdin
-  if {[gets stdin cmd] < 0} {
-    # EOF - stdin closed
-    puts "STDIN_CLOSED"
-    send "q"
-    expect eof
-    exit 0
-  }
-  
-  set cmd [string trim \$cmd]
-  
-  if {\$cmd eq "MEASURE"} {
-    puts "SOFTWARE_TRIGGERING_MEASUREMENT"
-    set software_triggered 1
-    send "\\r"
-  } elseif {\$cmd eq "QUIT"} {
-    puts "QUITTING"
-    send "q"
-    expect eof
-    exit 0
-  }
-}
-`;
+    if (LIGHT_SOURCE_GEOMETRIES.includes(geometry)) {
+      args.push('-T');
+    }
+    if (this.sessionOptions.uvMode) {
+      args.push('-U');
+    }
+    if (this.sessionOptions.highResolution) {
+      args.push('-H');
+    }
+    return args;
   }
 
   /**
    * Start persistent spotread session and calibrate
+   * @param {Object} options - Session options
+   * @param {boolean} options.uvMode - Take a UV LED pass with each reading (dual-pass hardware)
+   * @param {boolean} options.highResolution - High-resolution spectral mode
+   * @param {string} options.geometry - reflective (default), emissive, ambient or transmissive
    */
-  async startSessionAndCalibrate() {
-    if (this.expectProcess) {
+  async startSessionAndCalibrate(options = {}) {
+    if (this.terminal) {
       logger.warn('Session already exists, stopping it first');
       await this.stopSession();
     }
 
-    logger.info('Starting persistent spotread session with hardware button monitoring');
+    // Loaded on first use: node-pty is a native module
+    const pty = require('node-pty');
+
+    this.sessionOptions = { ...options };
+    const args = this.getSpotreadArgs();
+    logger.info(`Starting persistent spotread session with hardware button monitoring (args: ${args.join(' ')})`);
 
     return new Promise((resolve, reject) => {
-      // Write expect script to temp file
-      this.scriptPath = path.join(this.tempDir, `spotread_persistent_${Date.now()}.exp`);
-      
+      this.output.reset();
+      this.serialNumber = null;
+
       try {
-        fs.writeFileSync(this.scriptPath, this.generatePersistentExpectScript(), { mode: 0o755 });
-        logger.info(`Created persistent expect script: ${this.scriptPath}`);
-      } catch (err) {
-        reject(new Error(`Failed to write expect script: ${err.message}`));
+        this.terminal = pty.spawn(this.spotreadPath, args, {
+          name: 'xterm',
+          cols: 120,
+          rows: 40,
+          env: process.env
+        });
+      } catch (error) {
+        reject(new Error(`Failed to start spotread: ${error.message}`));
         return;
       }
 
-      this.outputBuffer = '';
-      this.isCalibrated = false;
-      let serialNumber = null;
-      let calibrationComplete = false;
-      let readyForMeasurement = false;
+      this.setState('starting');
+      this.calibration = {
+        resolve,
+        reject,
+        timeoutId: setTimeout(() => {
+          logger.error(`Calibration timeout, last output:\n${this.output.getRecent(20)}`);
+          this.failCalibration(new Error('CALIBRATION_TIMEOUT: No calibration result from spotread'));
+        }, CALIBRATION_TIMEOUT_MS)
+      };
 
-      this.expectProcess = spawn('/usr/bin/expect', ['-f', this.scriptPath], {
-        stdio: ['pipe', 'pipe', 'pipe']
+      // A stopped or killed process may still report; only the current one counts
+      const terminal = this.terminal;
+      terminal.onData((data) => {
+        if (terminal === this.terminal) this.handleOutput(data);
       });
-
-      const timeoutId = setTimeout(() => {
-        if (!calibrationComplete) {
-          logger.error('Calibration timeout');
-          this.stopSession();
-          reject(new Error('Calibration timeout'));
-        }
-      }, 60000);
-
-      this.expectProcess.stdout.on('data', (data) => {
-        const text = data.toString();
-        this.outputBuffer += text;
-        logger.info(`expect stdout: ${text.substring(0, 500)}`);
-
-        // Parse serial number from spotread output
-        const serialMatch = text.match(/(?:Serial|S\/N)[:\s]+([A-Z0-9-]+)/i);
-        if (serialMatch) {
-          serialNumber = serialMatch[1];
-          logger.info(`Parsed serial number: ${serialNumber}`);
-        }
-
-        // Check for calibration complete
-        if (text.includes('CALIBRATION_COMPLETE')) {
-          calibrationComplete = true;
-          logger.info('Calibration complete detected');
+      terminal.onExit(({ exitCode }) => {
+        if (terminal === this.terminal) {
+          this.handleExit(exitCode);
+        } else {
+          logger.debug(`Ignoring exit of a previous spotread process (code ${exitCode})`);
         }
+      });
+    });
+  }
 
-        // Check for ready for measurement
-        if (text.includes('READY_FOR_MEASUREMENT') && !readyForMeasurement) {
-          readyForMeasurement = true;
-          this.isCalibrated = true;
-          clearTimeout(timeoutId);
-          logger.info('Session ready for measurements');
-          
-          // Start continuous monitoring for hardware button presses
-          this.startHardwareButtonMonitoring();
-          
-          resolve({
-            success: true,
-            deviceInfo: { serialNumber }
-          });
-        }
+  /**
+   * Feed spotread output to the line parser
+   */
+  handleOutput(data) {
+    logger.debug(`spotread: ${data.substring(0, 500)}`);
+    this.output.write(data);
+  }
 
-        // Check for hardware-triggered measurement
-        if (text.includes('HARDWARE_MEASUREMENT_DETECTED')) {
-          logger.info('Hardware button press detected!');
-          this.handleHardwareMeasurement();
-        }
+  /**
+   * Act on a line of output (or an open prompt) for the current state
+   */
+  handleLine(line) {
+    // Parse serial number from spotread output
+    const serialMatch = line.match(PATTERNS.serialNumber);
+    if (serialMatch) {
+      this.serialNumber = serialMatch[1];
+      logger.info(`Parsed serial number: ${this.serialNumber}`);
+    }
 
-        // Handle measurement results (both software and hardware triggered)
-        this.handleMeasurementOutput(text);
-      });
+    switch (this.state) {
+      case 'starting':
+        this.awaitCalibrationPrompt(line);
+        break;
+      case 'calibrating':
+        this.awaitCalibration(line);
+        break;
+      case 'ready':
+      case 'measuring':
+        this.awaitReading(line);
+        break;
+      default:
+        break;
+    }
+  }
 
-      this.expectProcess.stderr.on('data', (data) => {
-        const text = data.toString();
-        this.outputBuffer += text;
-        logger.info(`expect stderr: ${text.substring(0, 300)}`);
-      });
+  /**
+   * starting: answer the calibration prompt, or go straight to ready when
+   * the instrument needs no calibration
+   */
+  awaitCalibrationPrompt(line) {
+    if (PATTERNS.ready.test(line)) {
+      this.sessionReady();
+    } else if (PATTERNS.calibrationPrompt.test(line)) {
+      logger.info('Calibration prompt detected');
+      this.terminal.write('\r');
+      this.setState('calibrating');
+    }
+  }
 
-      this.expectProcess.on('error', (error) => {
-        clearTimeout(timeoutId);
-        logger.error(`Process error: ${error.message}`);
-        this.cleanup();
-        reject(error);
-      });
+  /**
+   * calibrating: wait for completion and the first reading prompt
+   */
+  awaitCalibration(line) {
+    const failed = line.match(PATTERNS.calibrationFailed);
+    if (failed) {
+      this.failCalibration(new Error(`CALIBRATION_FAILED: ${failed[0].trim()}`));
+    } else if (PATTERNS.calibrationComplete.test(line)) {
+      logger.info('Calibration complete detected');
+    } else if (PATTERNS.ready.test(line)) {
+      this.sessionReady();
+    } else if (this.getGeometry() !== 'reflective' && PATTERNS.calibrationFollowUp.test(line)) {
+      logger.info('Further calibration step detected');
+      this.terminal.write('\r');
+    }
+  }
 
-      this.expectProcess.on('close', (code) => {
-        clearTimeout(timeoutId);
-        logger.info(`Persistent process exited with code ${code}`);
-        
-        if (!readyForMeasurement) {
-          const hasTimeout = this.outputBuffer.includes('EXPECT_TIMEOUT');
-          this.cleanup();
-          
-          if (hasTimeout) {
-            reject(new Error('Calibration failed: timeout waiting for prompt'));
-          } else {
-            reject(new Error(`Calibration failed: process exited with code ${code}`));
-          }
-        } else {
-          this.cleanup();
-        }
-      });
-    });
+  /**
+   * ready/measuring: a reading that fails prints no result
+   */
+  awaitReading(line) {
+    const failed = this.reading && line.match(PATTERNS.readFailed);
+    if (failed) {
+      this.failReading(new Error(`Measurement failed: ${failed[0].trim()}`));
+    }
   }
 
   /**
-   * Start monitoring for hardware button presses
+   * A result line has opened a reading; one opened while ready came from
+   * the instrument button
    */
-  startHardwareButtonMonitoring() {
-    logger.info('Hardware button monitoring active');
-    // The expect script handles this continuously via expect_background
+  startReading() {
+    if (this.state === 'ready') {
+      logger.info('Hardware button press detected');
+      this.setState('measuring');
+      this.reading = { source: 'hardware' };
+    }
+  }
+
+  sessionReady() {
+    this.setState('ready');
+    logger.info('Session ready for measurements');
+
+    const { resolve, timeoutId } = this.calibration;
+    clearTimeout(timeoutId);
+    this.calibration = null;
+    resolve({
+      success: true,
+      deviceInfo: { serialNumber: this.serialNumber }
+    });
   }
 
   /**
-   * Handle hardware-triggered measurement
+   * Reject the pending calibration
+   * @param {Error} error - Calibration error
+   * @param {Object} [options] - { stop }: quit the uncalibrated session, false
+   *   when its process has already exited
    */
-  handleHardwareMeasurement() {
-    // Will be parsed when MEASUREMENT_RESULT_END is detected
-    this.hardwareMeasurementPending = true;
+  failCalibration(error, { stop = true } = {}) {
+    if (!this.calibration) return;
+
+    const { reject, timeoutId } = this.calibration;
+    clearTimeout(timeoutId);
+    this.calibration = null;
+    reject(error);
+
+    if (stop && this.terminal) {
+      this.stopSession();
+    }
   }
 
   /**
-   * Handle measurement output from expect script
+   * Parse a finished reading and hand it to whoever triggered it
+   * @param {string[]} lines - The reading's output, from its result line
    */
-  handleMeasurementOutput(text) {
-    // Track hardware vs software measurement
-    if (text.includes('HARDWARE_MEASUREMENT_DETECTED')) {
-      logger.info('=== Hardware button press detected ===');
-      this.hardwareMeasurementPending = true;
+  completeReading(lines) {
+    if (this.state !== 'measuring' || !this.reading) {
+      logger.warn('Discarding a reading outside a measurement');
+      return;
     }
-    if (text.includes('SOFTWARE_MEASUREMENT_DETECTED')) {
-      logger.info('=== Software measurement detected ===');
-      this.hardwareMeasurementPending = false;
+
+    const { source, resolve, reject, timeoutId, transcript } = this.reading;
+    clearTimeout(timeoutId);
+    this.reading = null;
+    this.setState('ready');
+
+    if (source === 'cancelled') {
+      logger.info('Discarding cancelled reading');
+      return;
     }
 
-    // Check if this is the end of a measurement result
-    if (text.includes('MEASUREMENT_RESULT_END')) {
-      const isHardware = this.hardwareMeasurementPending;
-      this.hardwareMeasurementPending = false;
-      
-      // Find the measurement data in the buffer between START and END markers
-      const resultStartIndex = this.outputBuffer.lastIndexOf('MEASUREMENT_RESULT_START');
-      const resultEndIndex = this.outputBuffer.lastIndexOf('MEASUREMENT_RESULT_END');
-      
-      if (resultStartIndex >= 0 && resultEndIndex > resultStartIndex) {
-        const measurementOutput = this.outputBuffer.substring(resultStartIndex, resultEndIndex);
-        
-        logger.info('=== RAW MEASUREMENT OUTPUT ===');
-        logger.info(measurementOutput);
-        logger.info('=== END RAW OUTPUT ===');
-        
-        // Parse the spectral data
-        const spectralData = parseConsoleOutput(measurementOutput);
-        
-        logger.info('=== PARSED SPECTRAL DATA ===');
-        logger.info(`XYZ: ${JSON.stringify(spectralData?.XYZ)}`);
-        logger.info(`Lab: ${JSON.stringify(spectralData?.Lab)}`);
-        logger.info(`Spectral points: ${spectralData?.spectral ? Object.keys(spectralData.spectral).length : 0}`);
-        
-        if (isHardware) {
-          // Emit event for hardware-triggered measurement
-          logger.info('Emitting hardware-triggered measurement event');
-          this.emit('hardware-measurement', spectralData);
-        } else if (this.pendingResolve) {
-          // Resolve software-triggered measurement promise
-          logger.info('Resolving software measurement promise');
-          this.pendingResolve(spectralData);
-          this.pendingResolve = null;
-          this.pendingReject = null;
-          this.measurementPending = false;
-        }
+    const text = lines.join('\n');
+    logger.debug(`spotread reading:\n${text}`);
+
+    let spectralData;
+    try {
+      spectralData = parseConsoleOutput(text);
+      if (transcript) {
+        spectralData.transcript = text;
+      }
+    } catch (error) {
+      if (reject) {
+        reject(error);
       } else {
-        logger.warn('Could not find measurement markers in buffer');
-        logger.info(`Buffer length: ${this.outputBuffer.length}`);
-        logger.info(`Last 500 chars: ${this.outputBuffer.slice(-500)}`);
+        logger.error('Failed to parse hardware-triggered measurement:', error);
       }
+      return;
+    }
+
+    if (source === 'hardware') {
+      logger.info('Emitting hardware-triggered measurement event');
+      this.emit('hardware-measurement', spectralData);
+    } else {
+      logger.info('Resolving software measurement promise');
+      resolve(spectralData);
+    }
+  }
+
+  failReading(error) {
+    if (!this.reading) return;
+
+    const { source, reject, timeoutId } = this.reading;
+    clearTimeout(timeoutId);
+    this.reading = null;
+    if (this.state === 'measuring') {
+      this.setState('ready');
+    }
+
+    if (reject) {
+      reject(error);
+    } else if (source === 'hardware') {
+      logger.error('Hardware-triggered measurement failed:', error);
     }
   }
 
+  /**
+   * Abort the reading in progress
+   * spotread can't interrupt the instrument, so the reading is rejected now
+   * and its output discarded when it arrives. A session that doesn't get back
+   * to the reading prompt in time is torn down and reported as 'session-lost'.
+   * @returns {boolean} Whether a reading was in progress
+   */
+  cancelMeasurement() {
+    if (this.state !== 'measuring' || !this.reading || this.reading.source === 'cancelled') {
+      return false;
+    }
+
+    logger.info('Cancelling measurement in progress');
+    const { reject, timeoutId } = this.reading;
+    clearTimeout(timeoutId);
+    this.reading = {
+      source: 'cancelled',
+      timeoutId: setTimeout(() => {
+        logger.warn('spotread did not return to the reading prompt after a cancelled reading, stopping session');
+        // The calibration ends with the session, which is no exit of its own
+        // for handleExit to report
+        const sessionOptions = { ...this.sessionOptions };
+        this.stopSession().then(() => {
+          this.emit('session-lost', { exitCode: null, sessionOptions });
+        });
+      }, CANCEL_TIMEOUT_MS)
+    };
+
+    if (reject) {
+      reject(new Error('CANCELLED: Measurement cancelled'));
+    }
+    return true;
+  }
+
+  /**
+   * Abort a calibration in progress; the half-started session is stopped
+   * @returns {boolean} Whether a calibration was in progress
+   */
+  cancelCalibration() {
+    if (!this.calibration) {
+      return false;
+    }
+
+    logger.info('Cancelling calibration in progress');
+    this.failCalibration(new Error('CANCELLED: Calibration cancelled'));
+    return true;
+  }
+
   /**
    * Perform a measurement using the existing calibrated session
+   * @param {string} [type] - Measurement type
+   * @param {Object} [options] - { transcript } to return spotread's output for the reading
    */
-  async measure(type = 'spot') {
+  async measure(type = 'spot', options = {}) {
     if (!this.hasActiveSession()) {
       throw new Error('No active calibrated session. Call calibrate() first.');
     }
 
-    if (this.measurementPending) {
+    if (this.state === 'measuring') {
       throw new Error('Measurement already in progress');
     }
 
     logger.info('Triggering software measurement in persistent session');
 
     return new Promise((resolve, reject) => {
-      this.measurementPending = true;
-      this.pendingResolve = resolve;
-      this.pendingReject = reject;
-      
-      const measurementStartIndex = this.outputBuffer.length;
-
-      const timeoutId = setTimeout(() => {
-        if (this.measurementPending) {
-          this.measurementPending = false;
-          this.pendingResolve = null;
-          this.pendingReject = null;
-          logger.error('Measurement timeout');
-          reject(new Error('Measurement timeout'));
-        }
-      }, 60000);
-
-      // Set up fallback result checker
-      const checkForResult = () => {
-        if (!this.measurementPending) {
-          clearTimeout(timeoutId);
-          return;
-        }
-        
-        const newOutput = this.outputBuffer.substring(measurementStartIndex);
-        
-        // Check for measurement result (fallback if handleMeasurementOutput didn't catch it)
-        if (newOutput.includes('MEASUREMENT_RESULT_END') || 
-            (newOutput.includes('Result is') && newOutput.includes('READY_FOR_MEASUREMENT'))) {
-          
-          if (this.measurementPending) {
-            this.measurementPending = false;
-            clearTimeout(timeoutId);
-            
-            logger.info('=== MEASUREMENT OUTPUT ===');
-            logger.info(newOutput);
-            
-            const spectralData = parseConsoleOutput(newOutput);
-            
-            if (this.pendingResolve) {
-              this.pendingResolve(spectralData);
-              this.pendingResolve = null;
-              this.pendingReject = null;
-            }
-          }
-          return;
-        }
-
-        // Check for timeout marker
-        if (newOutput.includes('MEASUREMENT_TIMEOUT')) {
-          this.measurementPending = false;
-          clearTimeout(timeoutId);
-          if (this.pendingReject) {
-            this.pendingReject(new Error('Measurement timeout from spotread'));
-            this.pendingResolve = null;
-            this.pendingReject = null;
-          }
-          return;
-        }
-
-        // Keep checking
-        setTimeout(checkForResult, 100);
+      this.setState('measuring');
+      this.reading = {
+        source: 'software',
+        resolve,
+        reject,
+        transcript: Boolean(options.transcript),
+        timeoutId: setTimeout(() => {
+          logger.error(`Measurement timeout, last output:\n${this.output.getRecent(20)}`);
+          this.failReading(new Error('Measurement timeout'));
+        }, MEASUREMENT_TIMEOUT_MS)
       };
 
-      // Send MEASURE command to stdin
-      if (this.expectProcess && this.expectProcess.stdin) {
-        this.expectProcess.stdin.write('MEASURE\n');
-        logger.info('Sent MEASURE command');
-        
-        // Start checking for result
-        setTimeout(checkForResult, 500);
-      } else {
-        clearTimeout(timeoutId);
-        this.measurementPending = false;
-        this.pendingResolve = null;
-        this.pendingReject = null;
-        reject(new Error('Process stdin not available'));
-      }
+      // Any key other than the menu letters takes a reading
+      this.terminal.write('\r');
     });
   }
 
   /**
    * Calibrate the device - starts a new session
+   * @param {Object} options - Session options, see startSessionAndCalibrate()
    */
-  async calibrate() {
+  async calibrate(options = {}) {
     logger.info('Starting calibration (new persistent session)');
-    return this.startSessionAndCalibrate();
+    return this.startSessionAndCalibrate(options);
+  }
+
+  /**
+   * The spotread process has exited
+   * Leaving a calibrated session without being asked to (a crash, or the
+   * instrument dropping off USB) is reported as a 'session-lost' event
+   * { exitCode, sessionOptions }; see also cancelMeasurement()
+   */
+  handleExit(exitCode) {
+    logger.info(`Persistent process exited with code ${exitCode}`);
+    const lost = this.state === 'ready' || this.state === 'measuring';
+
+    this.closeSession(`exited with code ${exitCode}`);
+
+    if (lost) {
+      logger.error(`spotread session lost (exit code ${exitCode}), last output:\n${this.output.getRecent(20)}`);
+      this.emit('session-lost', { exitCode, sessionOptions: { ...this.sessionOptions } });
+    }
+  }
+
+  /**
+   * Settle whatever waits on the session that has ended
+   * @param {string} reason - How the process ended, e.g. "exited with code 1"
+   */
+  closeSession(reason) {
+    this.failCalibration(new Error(`CALIBRATION_FAILED: spotread ${reason}`), { stop: false });
+    this.failReading(new Error(`SESSION_LOST: spotread ${reason}`));
+    this.cleanup();
+
+    const listeners = this.closeListeners;
+    this.closeListeners = [];
+    listeners.forEach(listener => listener());
   }
 
   /**
    * Stop the persistent session
    */
   async stopSession() {
-    if (!this.expectProcess) {
+    if (!this.terminal) {
       logger.info('No session to stop');
       return;
     }
 
     logger.info('Stopping persistent session');
+    const terminal = this.terminal;
+    if (this.state !== 'stopping') {
+      this.setState('stopping');
+    }
 
     return new Promise((resolve) => {
       const timeoutId = setTimeout(() => {
         logger.warn('Force killing process');
-        if (this.expectProcess) {
-          this.expectProcess.kill('SIGKILL');
+        terminal.kill();
+        // Its exit is ignored from here on, and a newer session is left alone
+        if (terminal === this.terminal) {
+          this.closeSession('was killed');
         }
-        this.cleanup();
         resolve();
-      }, 5000);
+      }, STOP_TIMEOUT_MS);
 
-      this.expectProcess.on('close', () => {
+      this.closeListeners.push(() => {
         clearTimeout(timeoutId);
-        this.cleanup();
         resolve();
       });
 
-      // Send QUIT command
-      if (this.expectProcess.stdin) {
-        this.expectProcess.stdin.write('QUIT\n');
-        logger.info('Sent QUIT command');
-      } else {
-        this.expectProcess.kill();
-      }
+      // q quits spotread at any of its prompts
+      terminal.write('q');
     });
   }
 
@@ -534,23 +570,18 @@ while {1} {
    * Clean up resources
    */
   cleanup() {
-    this.expectProcess = null;
-    this.isCalibrated = false;
-    this.outputBuffer = '';
-    this.measurementPending = false;
-    this.hardwareMeasurementPending = false;
-    this.pendingResolve = null;
-    this.pendingReject = null;
-    
-    // Clean up script file
-    if (this.scriptPath) {
-      try {
-        fs.unlinkSync(this.scriptPath);
-        logger.info(`Cleaned up script: ${this.scriptPath}`);
-      } catch (e) {}
-      this.scriptPath = null;
+    this.terminal = null;
+    this.state = 'idle';
+    this.output.reset();
+    if (this.calibration) {
+      clearTimeout(this.calibration.timeoutId);
+      this.calibration = null;
+    }
+    if (this.reading) {
+      clearTimeout(this.reading.timeoutId);
+      this.reading = null;
     }
   }
 }
 
-module.exports = { SpotreadWrapper };
+module.exports = { SpotreadWrapper, GEOMETRIES, LIGHT_SOURCE_GEOMETRIES };
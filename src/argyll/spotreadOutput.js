@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+
+// spotread output the session reacts to
+const PATTERNS = {
+  calibrationPrompt: /(?:white|calibration) (?:reference|position|tile)|(?:hit|press) any key to continue/i,
+  // Further calibration steps of non-reflective geometries (e.g. the transmission reference)
+  calibrationFollowUp: /light source|transmission reference|diffuser/i,
+  calibrationComplete: /Calibration complete/i,
+  calibrationFailed: /(?:Calibration failed|Hardware Failure|reading is too low)[^\r\n]*/i,
+  // "... or any other key to take a reading:"
+  ready: /(?:any other key|key) to (?:take a )?read[^\r\n]*/i,
+  result: /Result is/i,
+  readFailed: /(?:Spot read failed|read failed|misread)[^\r\n]*/i,
+  serialNumber: /(?:Serial|S\/N)[:\s]+([A-Z0-9-]+)/i,
+  // Doubts about a reading, which spotread may print before its result
+  warning: /reading is too low|too (?:dark|bright)|saturat|clipp|inconsistent|not repeatable|out of range|warning/i
+};
+
+// spotread waits for a key after these without ending the line
+const PROMPT_PATTERNS = [PATTERNS.calibrationPrompt, PATTERNS.ready];
+
+// Recent lines kept for diagnostics
+const RECENT_LINES = 200;
+
+// Longest line or reading kept; anything longer is not spotread output
+const MAX_LINE_LENGTH = 16 * 1024;
+const MAX_READING_LINES = 500;
+
+/**
+ * Fixed-size ring of the most recent lines
+ */
+class LineRing {
+  constructor(size) {
+    this.size = size;
+    this.entries = new Array(size);
+    this.next = 0;
+    this.count = 0;
+  }
+
+  push(line) {
+    this.entries[this.next] = line;
+    this.next = (this.next + 1) % this.size;
+    this.count = Math.min(this.count + 1, this.size);
+  }
+
+  /**
+   * @returns {string[]} Lines, oldest first
+   */
+  lines() {
+    const start = (this.next - this.count + this.size) % this.size;
+    return Array.from({ length: this.count }, (_, i) => this.entries[(start + i) % this.size]);
+  }
+}
+
+/**
+ * Line-oriented parser for a spotread session's output stream
+ *
+ * Output arrives in arbitrary chunks. It is split into lines, and a prompt
+ * spotread leaves open for a keystroke counts as a line of its own. Each
+ * reading, from its "Result is" line up to the next reading prompt, is
+ * emitted as one record, so nothing from one reading can be paired with
+ * another. Warnings printed since the last reading prompt open the record.
+ * Only a bounded ring of recent lines is kept, for diagnostics.
+ *
+ * Events:
+ *   'line' (line)         - A line outside a reading, including prompts
+ *   'reading-start'       - A "Result is" line opened a reading
+ *   'reading' (lines)     - The lines of a complete reading
+ */
+class SpotreadOutput extends EventEmitter {
+  constructor() {
+    super();
+    this.partial = ''; // Output after the last line break
+    this.reading = null; // Lines of the reading being collected
+    this.warnings = []; // Warning lines since the last reading prompt
+    this.recent = new LineRing(RECENT_LINES);
+  }
+
+  /**
+   * Feed a chunk of terminal output
+   */
+  write(data) {
+    const parts = (this.partial + data).split(/\r\n|\r|\n/);
+    this.partial = parts.pop();
+
+    for (const line of parts) {
+      this.handleLine(line);
+    }
+
+    // A prompt waits for a key without a line break
+    if (this.partial.trim() && PROMPT_PATTERNS.some(pattern => pattern.test(this.partial))) {
+      const prompt = this.partial;
+      this.partial = '';
+      this.handleLine(prompt);
+    } else if (this.partial.length > MAX_LINE_LENGTH) {
+      logger.warn('spotread output line too long, splitting it');
+      const line = this.partial;
+      this.partial = '';
+      this.handleLine(line);
+    }
+  }
+
+  handleLine(line) {
+    if (line.trim() === '') return;
+    this.recent.push(line);
+
+    if (this.reading) {
+      if (PATTERNS.ready.test(line)) {
+        const lines = this.reading;
+        this.reading = null;
+        this.emit('reading', lines);
+      } else if (this.reading.length < MAX_READING_LINES) {
+        this.reading.push(line);
+      }
+      return;
+    }
+
+    if (PATTERNS.result.test(line)) {
+      this.reading = [...this.warnings, line];
+      this.warnings = [];
+      this.emit('reading-start');
+      return;
+    }
+
+    if (PATTERNS.ready.test(line)) {
+      this.warnings = [];
+    } else if (PATTERNS.warning.test(line) && this.warnings.length < MAX_READING_LINES) {
+      this.warnings.push(line);
+    }
+    this.emit('line', line);
+  }
+
+  /**
+   * Recent output for error reports
+   * @param {number} [count] - Number of lines, all kept lines by default
+   */
+  getRecent(count = RECENT_LINES) {
+    return this.recent.lines().slice(-count).join('\n');
+  }
+
+  /**
+   * Drop partial output, e.g. when a new session starts
+   * The recent lines are kept so a failed start can still be diagnosed
+   */
+  reset() {
+    this.partial = '';
+    this.reading = null;
+    this.warnings = [];
+  }
+}
+
+module.exports = { SpotreadOutput, PATTERNS };
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const { CIE1964_10DEG, daylightIlluminant } = require('./cieTables');
+const { interpolate, tableWavelengths } = require('./colorimetry');
+const { Spectrum } = require('./spectrum');
+
+/**
+ * ANSI/IES TM-30-20 colour fidelity (Rf) and gamut (Rg) indices
+ *
+ * The test source is compared with a reference illuminant of the same CCT:
+ * Planckian below 4000K, CIE daylight above 5000K and a blend of the two,
+ * each normalised to Y = 100, in between. The 99 colour evaluation samples
+ * (CES) are evaluated under both with the CIE 1964 10° observer at 5nm over
+ * 380-780nm and compared in CAM02-UCS (L_A = 100 cd/m², Y_b = 20, average
+ * surround, complete adaptation). Rf is the rescaled mean colour difference;
+ * Rg is the area of the test polygon over that of the reference, from the
+ * mean a', b' of the samples in each of 16 reference hue bins.
+ *
+ * The CES reflectances are IES data and are not shipped with the bridge:
+ * loadColourEvaluationSamples() reads them from a CSV export of the IES
+ * TM-30 calculator. Spectra that stop short of 780nm (the i1Pro ends at
+ * 730nm) are extended from the nearest band, as in ASTM E308.
+ */
+
+// Second radiation constant (m·K, CODATA / ITS-90)
+const C2 = 1.4388e-2;
+
+const RANGE = { start: 380, end: 780, interval: 5 };
+const WAVELENGTHS = Array.from(
+  { length: (RANGE.end - RANGE.start) / RANGE.interval + 1 },
+  (_, i) => RANGE.start + i * RANGE.interval
+);
+
+const SAMPLE_COUNT = 99;
+const HUE_BINS = 16;
+
+// CIE 224:2017 / TM-30-20 scaling of the mean CAM02-UCS difference
+const FIDELITY_SCALE = 6.73;
+
+// CIECAM02 (CIE 159:2004), average surround
+const SURROUND = { F: 1, c: 0.69, Nc: 1 };
+const M_CAT02 = [
+  [0.7328, 0.4296, -0.1624],
+  [-0.7036, 1.6975, 0.0061],
+  [0.0030, 0.0136, 0.9834]
+];
+const M_CAT02_INVERSE = [
+  [1.096124, -0.278869, 0.182745],
+  [0.454369, 0.473533, 0.072098],
+  [-0.009628, -0.005698, 1.015326]
+];
+const M_HPE = [
+  [0.38971, 0.68898, -0.07868],
+  [-0.22981, 1.18340, 0.04641],
+  [0, 0, 1]
+];
+
+function multiply(matrix, vector) {
+  return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+/**
+ * CIECAM02 correlates of a colour
+ * @param {Object} XYZ - Tristimulus values of the colour
+ * @param {Object} white - Tristimulus values of the adopted white
+ * @param {Object} [viewing] - { LA, Yb, D }: adapting luminance (cd/m²),
+ *   background (Y), degree of adaptation (from L_A when omitted)
+ * @returns {Object} { J, C, M, h } with h in degrees
+ */
+function ciecam02(XYZ, white, { LA = 100, Yb = 20, D } = {}) {
+  const { F, c, Nc } = SURROUND;
+  const degree = D !== undefined ? D : F * (1 - Math.exp((-LA - 42) / 92) / 3.6);
+
+  const k = 1 / (5 * LA + 1);
+  const FL = 0.2 * k ** 4 * 5 * LA + 0.1 * (1 - k ** 4) ** 2 * Math.cbrt(5 * LA);
+  const n = Yb / white.Y;
+  const Nbb = 0.725 * n ** -0.2;
+  const z = 1.48 + Math.sqrt(n);
+
+  const RGBw = multiply(M_CAT02, [white.X, white.Y, white.Z]);
+  const adapt = RGB => RGB.map((value, i) => (degree * white.Y / RGBw[i] + 1 - degree) * value);
+  const compress = RGB => multiply(M_HPE, multiply(M_CAT02_INVERSE, RGB)).map((value) => {
+    const x = (FL * Math.abs(value) / 100) ** 0.42;
+    return Math.sign(value) * 400 * x / (27.13 + x) + 0.1;
+  });
+  const achromatic = ([R, G, B]) => (2 * R + G + B / 20 - 0.305) * Nbb;
+
+  const [Ra, Ga, Ba] = compress(adapt(multiply(M_CAT02, [XYZ.X, XYZ.Y, XYZ.Z])));
+  const Aw = achromatic(compress(adapt(RGBw)));
+
+  const a = Ra - 12 * Ga / 11 + Ba / 11;
+  const b = (Ra + Ga - 2 * Ba) / 9;
+  const h = (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+  const et = (Math.cos(h * Math.PI / 180 + 2) + 3.8) / 4;
+
+  const J = 100 * (achromatic([Ra, Ga, Ba]) / Aw) ** (c * z);
+  const t = (50000 / 13 * Nc * Nbb * et * Math.hypot(a, b)) / (Ra + Ga + 21 * Ba / 20);
+  const C = t ** 0.9 * Math.sqrt(J / 100) * (1.64 - 0.29 ** n) ** 0.73;
+  return { J, C, M: C * FL ** 0.25, h };
+}
+
+/**
+ * CAM02-UCS coordinates (Luo, Cui and Li, 2006)
+ * @returns {Object} { J, a, b } (J', a', b')
+ */
+function cam02ucs(XYZ, white, viewing) {
+  const { J, M, h } = ciecam02(XYZ, white, viewing);
+  const Mp = Math.log(1 + 0.0228 * M) / 0.0228;
+  const hue = h * Math.PI / 180;
+  return {
+    J: 1.7 * J / (1 + 0.007 * J),
+    a: Mp * Math.cos(hue),
+    b: Mp * Math.sin(hue)
+  };
+}
+
+/**
+ * Spectral exitance of a Planckian radiator (relative)
+ */
+function planckian(temperature) {
+  const spd = {};
+  for (const wl of WAVELENGTHS) {
+    const lambda = wl * 1e-9;
+    spd[wl] = Math.pow(lambda, -5) / Math.expm1(C2 / (lambda * temperature));
+  }
+  return spd;
+}
+
+/**
+ * TM-30 reference illuminant on the 5nm grid, normalised to Y = 100 (10°)
+ * @param {number} cct - CCT of the test source (K)
+ * @returns {Object} SPD keyed by wavelength
+ */
+function referenceIlluminant(cct) {
+  const normalised = (spd) => {
+    const Y = WAVELENGTHS.reduce((sum, wl) => sum + spd[wl] * CIE1964_10DEG.y_bar[wl], 0);
+    const result = {};
+    for (const wl of WAVELENGTHS) {
+      result[wl] = 100 * spd[wl] / Y;
+    }
+    return result;
+  };
+  const daylight = () => {
+    const table = daylightIlluminant(Math.max(cct, 4000));
+    const wavelengths = tableWavelengths(table);
+    const spd = {};
+    for (const wl of WAVELENGTHS) {
+      spd[wl] = interpolate(table, wl, wavelengths);
+    }
+    return normalised(spd);
+  };
+
+  if (cct < 4000) return normalised(planckian(cct));
+  if (cct > 5000) return daylight();
+
+  const m = (cct - 4000) / 1000;
+  const P = normalised(planckian(cct));
+  const D = daylight();
+  const spd = {};
+  for (const wl of WAVELENGTHS) {
+    spd[wl] = (1 - m) * P[wl] + m * D[wl];
+  }
+  return spd;
+}
+
+/**
+ * CAM02-UCS coordinates of the samples under a source, relative to its white
+ */
+function evaluateSamples(spd, samples) {
+  const tristimulus = (reflectance) => {
+    const XYZ = { X: 0, Y: 0, Z: 0 };
+    for (const wl of WAVELENGTHS) {
+      const S = spd[wl] * (reflectance ? reflectance[wl] : 1);
+      XYZ.X += S * CIE1964_10DEG.x_bar[wl];
+      XYZ.Y += S * CIE1964_10DEG.y_bar[wl];
+      XYZ.Z += S * CIE1964_10DEG.z_bar[wl];
+    }
+    return XYZ;
+  };
+
+  const white = tristimulus(null);
+  const k = 100 / white.Y;
+  const scale = XYZ => ({ X: XYZ.X * k, Y: XYZ.Y * k, Z: XYZ.Z * k });
+  const whiteXYZ = scale(white);
+  return samples.map(sample => cam02ucs(scale(tristimulus(sample)), whiteXYZ, { LA: 100, Yb: 20, D: 1 }));
+}
+
+/**
+ * Area of a closed polygon of { a, b } points
+ */
+function polygonArea(points) {
+  let area = 0;
+  points.forEach((point, i) => {
+    const next = points[(i + 1) % points.length];
+    area += point.a * next.b - next.a * point.b;
+  });
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Samples on the TM-30 grid, interpolated from their own wavelengths
+ */
+function onGrid(samples) {
+  return samples.map((sample) => {
+    const wavelengths = tableWavelengths(sample);
+    const table = {};
+    for (const wl of WAVELENGTHS) {
+      table[wl] = interpolate(sample, wl, wavelengths);
+    }
+    return table;
+  });
+}
+
+/**
+ * TM-30 Rf and Rg of a light source
+ * @param {Object} spectral - Spectral radiance or irradiance keyed by wavelength
+ * @param {number} cct - CCT of the source (K)
+ * @param {Object[]} samples - Colour evaluation sample reflectances (0-1) keyed by wavelength
+ * @returns {Object} { Rf, Rg }
+ */
+function computeTM30(spectral, cct, samples) {
+  const test = Spectrum.fromTable(spectral)
+    .resample({ interval: RANGE.interval, start: RANGE.start, end: RANGE.end })
+    .toTable();
+  const reflectances = onGrid(samples);
+  const underTest = evaluateSamples(test, reflectances);
+  const underReference = evaluateSamples(referenceIlluminant(cct), reflectances);
+
+  const meanDifference = underTest.reduce((sum, t, i) => {
+    const r = underReference[i];
+    return sum + Math.hypot(t.J - r.J, t.a - r.a, t.b - r.b);
+  }, 0) / samples.length;
+  const Rf = 10 * Math.log(Math.exp((100 - FIDELITY_SCALE * meanDifference) / 10) + 1);
+
+  // Bins by the hue of each sample under the reference; empty bins are left out
+  const bins = Array.from({ length: HUE_BINS }, () => ({ count: 0, test: { a: 0, b: 0 }, reference: { a: 0, b: 0 } }));
+  underReference.forEach((r, i) => {
+    const hue = (Math.atan2(r.b, r.a) + 2 * Math.PI) % (2 * Math.PI);
+    const bin = bins[Math.min(HUE_BINS - 1, Math.floor(hue / (2 * Math.PI / HUE_BINS)))];
+    bin.count++;
+    bin.reference.a += r.a;
+    bin.reference.b += r.b;
+    bin.test.a += underTest[i].a;
+    bin.test.b += underTest[i].b;
+  });
+  const filled = bins.filter(bin => bin.count > 0);
+  const mean = (bin, source) => ({ a: bin[source].a / bin.count, b: bin[source].b / bin.count });
+  const referenceArea = polygonArea(filled.map(bin => mean(bin, 'reference')));
+  const Rg = referenceArea > 0
+    ? 100 * polygonArea(filled.map(bin => mean(bin, 'test'))) / referenceArea
+    : null;
+
+  return { Rf, Rg };
+}
+
+const sampleCache = new Map();
+
+/**
+ * Read the 99 colour evaluation samples from a CSV file
+ * One row per wavelength: the wavelength (nm) then the reflectance factor
+ * (0-1) of CES 1-99. Rows that don't start with a number (headers) are
+ * skipped. Files are read once.
+ * @param {string} file - Path of the CSV file
+ * @returns {Object[]} Reflectances keyed by wavelength, one per sample
+ */
+function loadColourEvaluationSamples(file) {
+  if (sampleCache.has(file)) return sampleCache.get(file);
+
+  const rows = fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/).map(cell => cell.trim()))
+    .filter(cells => cells[0] !== '' && Number.isFinite(Number(cells[0])));
+
+  if (rows.length === 0) {
+    throw new Error(`INVALID_PARAMETERS: ${file} has no wavelength rows`);
+  }
+  const samples = Array.from({ length: SAMPLE_COUNT }, () => ({}));
+  for (const cells of rows) {
+    const values = cells.slice(1).filter(cell => cell !== '').map(Number);
+    if (values.length !== SAMPLE_COUNT || values.some(value => !Number.isFinite(value))) {
+      throw new Error(`INVALID_PARAMETERS: ${file} needs ${SAMPLE_COUNT} reflectances at ${cells[0]}nm, found ${values.length}`);
+    }
+    values.forEach((value, i) => {
+      samples[i][Number(cells[0])] = value;
+    });
+  }
+
+  const wavelengths = tableWavelengths(samples[0]);
+  if (wavelengths[0] > RANGE.start || wavelengths[wavelengths.length - 1] < RANGE.end) {
+    throw new Error(`INVALID_PARAMETERS: ${file} must cover ${RANGE.start}-${RANGE.end}nm`);
+  }
+
+  sampleCache.set(file, samples);
+  return samples;
+}
+
+module.exports = {
+  ciecam02,
+  cam02ucs,
+  referenceIlluminant,
+  computeTM30,
+  loadColourEvaluationSamples
+};
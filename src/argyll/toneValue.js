@@ -0,0 +1,146 @@
+const { FWACompensation } = require('./fwaCompensation');
+const { whitePoint } = require('./colorimetry');
+const { statusDensity } = require('./density');
+
+/**
+ * Tone value (dot area) of a tint patch from paper, solid and tint readings
+ *
+ * - Murray-Davies (ISO 12647-1): density based, ignores light scatter
+ * - Yule-Nielsen: Murray-Davies with densities divided by the n factor to
+ *   account for optical dot gain in the substrate
+ * - SCTV (ISO 20654): spot colour tone value from CIE XYZ, usable for any
+ *   ink including spot colours that have no dominant density channel
+ *
+ * Tone values are percentages; TVI is the tone value minus the nominal
+ * (file) tone value.
+ */
+
+// Typical Yule-Nielsen n for coated stock when none is requested
+const DEFAULT_YULE_NIELSEN_N = 1.7;
+
+const fwaCompensation = new FWACompensation();
+
+/**
+ * Murray-Davies tone value
+ * @param {number} tint - Paper-relative tint density
+ * @param {number} solid - Paper-relative solid density
+ * @returns {number} Tone value (%)
+ */
+function murrayDavies(tint, solid) {
+  return yuleNielsen(tint, solid, 1);
+}
+
+/**
+ * Yule-Nielsen tone value
+ * @param {number} tint - Paper-relative tint density
+ * @param {number} solid - Paper-relative solid density
+ * @param {number} n - Yule-Nielsen factor (1 reduces to Murray-Davies)
+ * @returns {number} Tone value (%)
+ */
+function yuleNielsen(tint, solid, n) {
+  const denominator = 1 - Math.pow(10, -solid / n);
+  if (denominator <= 0) {
+    throw new Error('INVALID_REFERENCE: Solid density must be above the paper density');
+  }
+  return 100 * (1 - Math.pow(10, -tint / n)) / denominator;
+}
+
+/**
+ * ISO 20654 colorimetric V values: 116·f(X/Xn) - 16 per channel
+ */
+function colorimetricValues(spectral) {
+  const illuminant = fwaCompensation.illuminants.D50;
+  const white = whitePoint(illuminant, fwaCompensation.observer_2deg);
+  const XYZ = fwaCompensation.computeXYZ(spectral, illuminant);
+  const value = (channel) => 116 * fwaCompensation.labFunction(XYZ[channel] / white[channel]) - 16;
+  return [value('X'), value('Y'), value('Z')];
+}
+
+/**
+ * ISO 20654 spot colour tone value
+ * @param {Object} paper - Paper spectrum
+ * @param {Object} solid - Solid spectrum
+ * @param {Object} tint - Tint spectrum
+ * @returns {number} Tone value (%)
+ */
+function spotColourToneValue(paper, solid, tint) {
+  const Vp = colorimetricValues(paper);
+  const Vs = colorimetricValues(solid);
+  const Vt = colorimetricValues(tint);
+  const distance = (a, b) => Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0));
+
+  const range = distance(Vs, Vp);
+  if (range === 0) {
+    throw new Error('INVALID_REFERENCE: Solid and paper readings are identical');
+  }
+  return 100 * distance(Vt, Vp) / range;
+}
+
+/**
+ * Compute tone values for a tint patch
+ * @param {Object} spectra - { paper, solid, tint } spectra of the same mode
+ * @param {Object} [options] - { status, ink, n, nominal }
+ *   ink is C, M, Y or K; by default the channel with the highest solid density
+ * @returns {Object} Tone values and the densities they were derived from
+ */
+function computeToneValue(spectra, options = {}) {
+  const status = String(options.status || 'T').toUpperCase();
+  const n = options.n !== undefined ? Number(options.n) : DEFAULT_YULE_NIELSEN_N;
+  if (!(n >= 1)) {
+    throw new Error('INVALID_PARAMETERS: Yule-Nielsen n must be a number of at least 1');
+  }
+
+  const paper = statusDensity(spectra.paper, status);
+  const solid = statusDensity(spectra.solid, status);
+  const tint = statusDensity(spectra.tint, status);
+
+  const relative = (density, ink) => density[ink] - paper[ink];
+  const ink = options.ink
+    ? String(options.ink).toUpperCase()
+    : ['C', 'M', 'Y'].reduce((best, channel) => relative(solid, channel) > relative(solid, best) ? channel : best);
+  if (!(ink in paper)) {
+    throw new Error(`INVALID_PARAMETERS: Unknown ink channel ${options.ink}, expected C, M, Y or K`);
+  }
+
+  const solidDensity = relative(solid, ink);
+  const tintDensity = relative(tint, ink);
+
+  const toneValues = {
+    murrayDavies: murrayDavies(tintDensity, solidDensity),
+    yuleNielsen: yuleNielsen(tintDensity, solidDensity, n),
+    sctv: spotColourToneValue(spectra.paper, spectra.solid, spectra.tint)
+  };
+
+  const result = {
+    status,
+    ink,
+    n,
+    density: {
+      paper: paper[ink],
+      solid: solidDensity,
+      tint: tintDensity
+    },
+    toneValue: toneValues
+  };
+
+  if (options.nominal !== undefined) {
+    const nominal = Number(options.nominal);
+    if (!(nominal >= 0 && nominal <= 100)) {
+      throw new Error('INVALID_PARAMETERS: Nominal tone value must be between 0 and 100');
+    }
+    result.nominal = nominal;
+    result.tvi = {};
+    for (const [method, value] of Object.entries(toneValues)) {
+      result.tvi[method] = value - nominal;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  murrayDavies,
+  yuleNielsen,
+  spotColourToneValue,
+  computeToneValue
+};
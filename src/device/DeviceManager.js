@@ -1,9 +1,20 @@
 const EventEmitter = require('events');
 const { DeviceDetector } = require('./DeviceDetector');
+const { RequestQueue } = require('./RequestQueue');
 const { I1ProAdapter } = require('../adapters/I1ProAdapter');
+const { VirtualAdapter } = require('../adapters/VirtualAdapter');
+const { MeasurementStore } = require('../measurement/measurementStore');
+const { gradeMeasurement } = require('../argyll/grading');
+const { LIGHT_SOURCE_GEOMETRIES } = require('../argyll/spotread');
 const { logger } = require('../utils/logger');
+const config = require('../utils/config');
 const { v4: uuidv4 } = require('uuid');
 
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const cancelledError = operation =>
+  new Error(`CANCELLED: ${operation === 'calibration' ? 'Calibration' : 'Measurement'} cancelled`);
+
 /**
  * Manages device lifecycle and adapter instances
  */
@@ -16,6 +27,16 @@ class DeviceManager extends EventEmitter {
     this.activeDeviceId = null;
     this.pendingConnections = new Set(); // Track devices currently being connected
     this.recentlyDetached = new Map(); // Track recently detached devices for debouncing
+    this.measurements = new MeasurementStore(); // Recent measurements for by-ID lookups
+    this.activeTarget = null; // Target grading measurements that don't carry their own
+    this.virtualDeviceCount = 0;
+    this.queues = new Map(); // deviceId -> RequestQueue of calibrations and measurements
+    this.accessWaits = new Map(); // deviceId -> { operation, cancelled } while USB handles are released
+
+    // Keep every completed measurement (software and hardware triggered)
+    this.on('measurement:completed', (data) => {
+      this.measurements.add(data);
+    });
   }
 
   async startDetection() {
@@ -38,6 +59,14 @@ class DeviceManager extends EventEmitter {
     await this.detector.start();
     console.log('DeviceManager: detector.start() completed');
     logger.info('=== DeviceManager: Device detection started ===');
+
+    if (config.isVirtualDeviceEnabled()) {
+      try {
+        await this.addVirtualDevice(config.getVirtualDeviceOptions());
+      } catch (error) {
+        logger.error('Failed to add the configured virtual device:', error);
+      }
+    }
   }
 
   async stopDetection() {
@@ -120,48 +149,10 @@ class DeviceManager extends EventEmitter {
       
       // Use USB-address-based ID for internal device tracking
       const deviceId = `${deviceInfo.make}_${deviceInfo.model}_${usbDevice.deviceAddress}`;
-      this.devices.set(deviceId, adapter);
-      
-      // Set up listener for hardware-triggered measurements
-      adapter.on('measurement:hardware-triggered', (data) => {
-        logger.info('DeviceManager: Forwarding hardware-triggered measurement');
-        this.emit('measurement:completed', {
-          ...data,
-          deviceId,
-          source: 'hardware'
-        });
-      });
-      
+
       // Remove from pending after successful connection
       this.pendingConnections.delete(deviceKey);
-      
-      // Set as active device if no active device
-      if (!this.activeDeviceId) {
-        this.activeDeviceId = deviceId;
-      }
-
-      // Check for existing calibration using serial-based key
-      const calibrationKey = this.getCalibrationKey(deviceInfo);
-      const calibrationStatus = this.calibrationManager.getCalibrationStatus(calibrationKey);
-      
-      // If there's a valid stored calibration, restore it to the adapter
-      if (calibrationStatus.calibrated && !calibrationStatus.expired) {
-        logger.info(`Found existing calibration for ${calibrationKey}, restoring...`);
-        adapter.calibrationTimestamp = calibrationStatus.timestamp;
-        adapter.calibrationExpiresAt = calibrationStatus.expiresAt;
-        // Note: The actual spotread session will need to be re-established on first measurement
-        // but the calibration state is preserved for UI display
-      }
-      
-      this.emit('device:connected', {
-        deviceId,
-        adapter,
-        getInfo: () => adapter.getInfo(),
-        getStatus: () => ({
-          ...adapter.getStatus(),
-          calibration: calibrationStatus
-        })
-      });
+      this.registerAdapter(deviceId, adapter);
     } catch (error) {
       logger.error('Failed to handle device attachment:', error);
       // Remove from pending on error
@@ -170,6 +161,343 @@ class DeviceManager extends EventEmitter {
     }
   }
 
+  /**
+   * Track a connected adapter and forward its events
+   * Restores a stored calibration and announces the device
+   */
+  registerAdapter(deviceId, adapter) {
+    const deviceInfo = adapter.deviceInfo;
+    this.devices.set(deviceId, adapter);
+
+    // Set up listener for hardware-triggered measurements
+    adapter.on('measurement:hardware-triggered', (data) => {
+      logger.info('DeviceManager: Forwarding hardware-triggered measurement');
+      const grading = this.gradeResults(data.results, this.activeTarget, data.geometry);
+      this.emit('measurement:completed', {
+        ...data,
+        ...(grading && { grading }),
+        deviceId,
+        source: 'hardware'
+      });
+    });
+
+    // Forward chart scan progress and patches; patches are stored like spot readings
+    adapter.on('measurement:scan:progress', (progress) => {
+      this.emit('measurement:scan:progress', { ...progress, deviceId });
+    });
+    adapter.on('measurement:scan:patch', (patch) => {
+      this.measurements.add(patch);
+      this.emit('measurement:scan:patch', { ...patch, deviceId });
+    });
+
+    // Averaged measurements ask the user to move on between readings
+    adapter.on('measurement:averaging:prompt', (prompt) => {
+      this.emit('measurement:averaging:prompt', { ...prompt, deviceId });
+    });
+
+    // Calibration steps guide the user, including through a recovery
+    adapter.on('calibration:progress', (progress) => {
+      this.emit('calibration:progress', { ...progress, deviceId });
+    });
+
+    adapter.on('session:lost', (session) => {
+      this.handleSessionLost(deviceId, adapter, session);
+    });
+
+    // Set as active device if no active device
+    if (!this.activeDeviceId) {
+      this.activeDeviceId = deviceId;
+    }
+
+    // Check for existing calibration using serial-based key
+    const calibrationKey = this.getCalibrationKey(deviceInfo);
+    let calibrationStatus = this.calibrationManager.getCalibrationStatus(calibrationKey);
+
+    // If there's a valid stored calibration, restore it to the adapter
+    if (calibrationStatus.calibrated) {
+      logger.info(`Found existing calibration for ${calibrationKey}, restoring...`);
+      adapter.calibrationTimestamp = calibrationStatus.timestamp;
+      adapter.calibrationExpiresAt = calibrationStatus.expiresAt;
+
+      // A spotread calibration belongs to the session that made it, so a new
+      // adapter without one has to be calibrated again
+      if (!adapter.getStatus().calibrated) {
+        logger.info(`Stored calibration for ${calibrationKey} has no session, calibrate again`);
+        adapter.calibrationTimestamp = null;
+        adapter.calibrationExpiresAt = null;
+        this.calibrationManager.clearCalibration(calibrationKey);
+        calibrationStatus = this.calibrationManager.getCalibrationStatus(calibrationKey);
+      }
+    }
+
+    this.emit('device:connected', {
+      deviceId,
+      adapter,
+      getInfo: () => adapter.getInfo(),
+      getStatus: () => ({
+        ...adapter.getStatus(),
+        calibration: calibrationStatus
+      })
+    });
+  }
+
+  /**
+   * Register a simulated device (VirtualAdapter)
+   * @param {Object} [options] - VirtualAdapter options, plus activate to make it the active device
+   * @returns {Promise<Object>} { deviceId, make, model, serialNumber, firmwareVersion }
+   */
+  async addVirtualDevice(options = {}) {
+    const { activate, ...adapterOptions } = options;
+    const number = this.virtualDeviceCount + 1;
+    const deviceInfo = {
+      make: 'Virtual',
+      model: 'Virtual Spectrophotometer',
+      serialNumber: `VIRTUAL-${number}`,
+      firmwareVersion: '1.0.0',
+      usbAddress: null
+    };
+
+    const adapter = new VirtualAdapter(deviceInfo, adapterOptions);
+    await adapter.connect();
+    this.virtualDeviceCount = number;
+
+    const deviceId = `Virtual_${number}`;
+    this.registerAdapter(deviceId, adapter);
+    if (activate) {
+      this.setActiveDevice(deviceId);
+    }
+
+    logger.info(`Virtual device ${deviceId} added`);
+    return { deviceId, ...adapter.getInfo() };
+  }
+
+  /**
+   * Simulate an instrument button press on a virtual device
+   * @param {string} [deviceId] - Virtual device, the active device by default
+   * @returns {Object|null} The measurement, also emitted as measurement:completed;
+   *   null when the press took a reading of an averaged measurement
+   */
+  pressVirtualButton(deviceId = this.activeDeviceId) {
+    const adapter = deviceId ? this.devices.get(deviceId) : null;
+    if (!adapter) {
+      throw new Error('DEVICE_NOT_CONNECTED: No device available');
+    }
+    if (!adapter.isVirtual()) {
+      throw new Error(`INVALID_PARAMETERS: ${deviceId} is not a virtual device`);
+    }
+    return adapter.pressButton();
+  }
+
+  /**
+   * A calibrated session ended unexpectedly
+   * The stored calibration is cleared so status matches the instrument, and
+   * the session is recalibrated straight away when session.autoRecover is set
+   */
+  handleSessionLost(deviceId, adapter, session) {
+    this.calibrationManager.clearCalibration(this.getCalibrationKey(adapter.deviceInfo));
+
+    const autoRecover = config.isSessionAutoRecoverEnabled();
+    this.emit('session:lost', {
+      deviceId,
+      ...session,
+      autoRecover,
+      timestamp: new Date().toISOString()
+    });
+
+    if (autoRecover) {
+      this.recoverSession(deviceId).catch((error) => {
+        logger.error(`Automatic recovery of ${deviceId} failed:`, error);
+      });
+    }
+  }
+
+  /**
+   * Recalibrate a lost session with its original geometry and resolution
+   * Emits session:recovered, or session:recovery-failed with the error
+   * @param {string} [deviceId] - The active device by default
+   * @returns {Promise<Object>} Calibration result
+   */
+  async recoverSession(deviceId = this.activeDeviceId) {
+    const adapter = deviceId ? this.devices.get(deviceId) : null;
+    if (!adapter) {
+      throw new Error('DEVICE_NOT_CONNECTED: No device available');
+    }
+    if (!adapter.lostSession) {
+      throw new Error(`INVALID_PARAMETERS: ${deviceId} has no lost session to recover`);
+    }
+
+    logger.info(`Recovering ${adapter.lostSession.geometry} session on ${deviceId}`);
+    try {
+      const result = await this.calibrateAdapter(deviceId, adapter, adapter.lostSession);
+      this.emit('session:recovered', { deviceId, calibration: result });
+      return result;
+    } catch (error) {
+      this.emit('session:recovery-failed', { deviceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a calibration and store its result
+   * @param {Object} [request] - Queue options, see enqueue()
+   */
+  calibrateAdapter(deviceId, adapter, options, request) {
+    return this.enqueue(deviceId, 'calibration', () => this.withDeviceAccess(deviceId, adapter, 'calibration', async () => {
+      const result = await adapter.calibrate(options);
+
+      // Store calibration using serial-based key (persists across reconnects)
+      const calibrationKey = this.getCalibrationKey(adapter.deviceInfo);
+      this.calibrationManager.setCalibration(calibrationKey, result);
+
+      return result;
+    }), request);
+  }
+
+  /**
+   * Queue of instrument operations for a device
+   * Queue positions are emitted as measurement:queued
+   */
+  getQueue(deviceId) {
+    if (!this.queues.has(deviceId)) {
+      const queue = new RequestQueue();
+      queue.on('queued', (data) => {
+        this.emit('measurement:queued', { ...data, deviceId });
+      });
+      this.queues.set(deviceId, queue);
+    }
+    return this.queues.get(deviceId);
+  }
+
+  /**
+   * Run an operation once every earlier request for the device has finished
+   * @param {string} deviceId - Device the operation uses
+   * @param {string} operation - 'calibration' or 'measurement'
+   * @param {Function} run - Starts the operation, returning a promise
+   * @param {Object} [request] - { requestId, priority, timeoutMs }; the wait
+   *   defaults to the queue.timeoutMs setting
+   */
+  enqueue(deviceId, operation, run, request = {}) {
+    const timeoutMs = request.timeoutMs ?? (config.getQueueTimeoutMs() || null);
+    return this.getQueue(deviceId).enqueue(operation, run, { ...request, timeoutMs });
+  }
+
+  /**
+   * Cancel a calibration or measurement on a device
+   * Without a request ID the operation in progress is aborted; with one, that
+   * request is withdrawn from the queue, or aborted only if it is the one in
+   * progress. The cancelled request rejects with CANCELLED; the cancellation
+   * is emitted as calibration:cancelled or measurement:cancelled for other clients
+   * @param {string} operation - 'calibration' or 'measurement'
+   * @param {string} [deviceId] - The active device by default
+   * @param {string} [requestId] - Request to cancel
+   * @returns {Promise<boolean>} Whether anything was cancelled
+   */
+  async cancelOperation(operation, deviceId = this.activeDeviceId, requestId = null) {
+    const adapter = deviceId ? this.devices.get(deviceId) : null;
+    if (!adapter) {
+      throw new Error('DEVICE_NOT_CONNECTED: No device available');
+    }
+
+    const queue = this.getQueue(deviceId);
+    if (requestId && queue.cancel(requestId, operation, cancelledError(operation))) {
+      logger.info(`Withdrew queued ${operation} ${requestId} on ${deviceId}`);
+      this.emitCancelled(deviceId, operation, requestId);
+      return true;
+    }
+
+    const running = queue.getRunning();
+    if (requestId && !(running && running.requestId === requestId && running.operation === operation)) {
+      logger.info(`${operation} ${requestId} is neither queued nor in progress on ${deviceId}`);
+      return false;
+    }
+
+    let cancelled = await adapter.cancel(operation);
+
+    // Not started yet: still waiting for the USB handles
+    const access = this.accessWaits.get(deviceId);
+    if (!cancelled && access && access.operation === operation && !access.cancelled) {
+      access.cancelled = true;
+      cancelled = true;
+    }
+
+    if (!cancelled) {
+      logger.info(`No ${operation} in progress on ${deviceId}`);
+      return false;
+    }
+
+    // A cancelled calibration (or a chart read) leaves no usable session
+    if (!adapter.getStatus().calibrated) {
+      this.calibrationManager.clearCalibration(this.getCalibrationKey(adapter.deviceInfo));
+    }
+
+    logger.info(`Cancelled ${operation} on ${deviceId}`);
+    this.emitCancelled(deviceId, operation, running ? running.requestId : null);
+    return true;
+  }
+
+  emitCancelled(deviceId, operation, requestId) {
+    this.emit(`${operation}:cancelled`, {
+      deviceId,
+      operation,
+      requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Take the next reading of an averaged measurement waiting for a software prompt
+   * @param {string} [deviceId] - The active device by default
+   * @returns {boolean} Whether a measurement was waiting
+   */
+  continueAveraging(deviceId = this.activeDeviceId) {
+    const adapter = deviceId ? this.devices.get(deviceId) : null;
+    if (!adapter) {
+      throw new Error('DEVICE_NOT_CONNECTED: No device available');
+    }
+    return adapter.continueAveraging();
+  }
+
+  /**
+   * Run an operation that needs the instrument to itself
+   * USB monitoring is paused so spotread or chartread can claim the device;
+   * virtual devices hold no USB handles
+   * @param {string} deviceId - Device the operation uses
+   * @param {Object} adapter - The device's adapter
+   * @param {string} operation - 'calibration' or 'measurement', for cancelOperation
+   * @param {Function} run - Starts the operation, returning a promise
+   */
+  async withDeviceAccess(deviceId, adapter, operation, run) {
+    if (adapter.isVirtual()) {
+      return run();
+    }
+
+    // Pause USB monitoring to release device for spotread
+    this.detector.pause();
+
+    // The adapter has nothing to cancel yet, so a cancellation during the
+    // wait is recorded here (see cancelOperation)
+    const access = { operation, cancelled: false };
+    this.accessWaits.set(deviceId, access);
+
+    try {
+      // Wait for USB handles to be released on macOS
+      // Increased to 3s for more reliable release
+      logger.info('Waiting 3s for USB handles to release...');
+      await sleep(3000);
+      this.accessWaits.delete(deviceId);
+
+      if (access.cancelled) {
+        throw cancelledError(operation);
+      }
+      return await run();
+    } finally {
+      // Always resume monitoring, even on error
+      // Small delay to ensure spotread has fully released device
+      await sleep(500);
+      this.detector.resume();
+    }
+  }
+
   handleDeviceDetached(usbDevice) {
     const deviceKey = `${usbDevice.vendorId}_${usbDevice.productId}_${usbDevice.deviceAddress}`;
     
@@ -189,6 +517,12 @@ class DeviceManager extends EventEmitter {
         if (this.activeDeviceId === deviceId) {
           this.activeDeviceId = null;
         }
+
+        const queue = this.queues.get(deviceId);
+        if (queue) {
+          queue.clear(new Error('DEVICE_DISCONNECTED: Device was removed'));
+          this.queues.delete(deviceId);
+        }
         
         this.emit('device:disconnected', deviceId);
         break;
@@ -241,9 +575,11 @@ class DeviceManager extends EventEmitter {
     if (!adapter) return null;
 
     const self = this;
+    const deviceId = this.activeDeviceId;
 
+    // Calibrations, measurements and scans wait their turn in the device's queue
     return {
-      deviceId: this.activeDeviceId,
+      deviceId,
       adapter,
       getInfo: () => adapter.getInfo(),
       getStatus: () => {
@@ -251,70 +587,93 @@ class DeviceManager extends EventEmitter {
         const calibrationStatus = this.calibrationManager.getCalibrationStatus(calibrationKey);
         return {
           ...adapter.getStatus(),
-          calibration: calibrationStatus
+          calibration: calibrationStatus,
+          queueLength: this.getQueue(deviceId).getLength()
         };
       },
-      calibrate: async () => {
-        // Pause USB monitoring to release device for spotread
-        this.detector.pause();
-        
-        // Wait for USB handles to be released on macOS
-        // Increased to 3s for more reliable release
-        logger.info('Waiting 3s for USB handles to release...');
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        try {
-          const result = await adapter.calibrate();
-          
-          // Store calibration using serial-based key (persists across reconnects)
-          const calibrationKey = this.getCalibrationKey(adapter.deviceInfo);
-          this.calibrationManager.setCalibration(calibrationKey, result);
-          
-          return result;
-        } finally {
-          // Always resume monitoring, even on error
-          // Small delay to ensure spotread has fully released device
-          await new Promise(resolve => setTimeout(resolve, 500));
-          this.detector.resume();
-        }
-      },
-      measure: async (options) => {
-        // Check calibration before measurement
+      calibrate: (options, request) => this.calibrateAdapter(deviceId, adapter, options, request),
+      measure: (options, request) => this.enqueue(deviceId, 'measurement', async () => {
+        // Check calibration before measurement, once any calibration queued ahead has run
         const calibrationKey = this.getCalibrationKey(adapter.deviceInfo);
         const calibrationStatus = this.calibrationManager.getCalibrationStatus(calibrationKey);
         if (!calibrationStatus.calibrated) {
           throw new Error('DEVICE_NOT_CALIBRATED: Device requires calibration');
         }
-        
-        // Pause USB monitoring to release device for spotread
-        this.detector.pause();
-        
-        // Wait for USB handles to be released on macOS
-        // Increased to 3s for more reliable release
-        logger.info('Waiting 3s for USB handles to release...');
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        try {
+
+        // A stored calibration can outlive its session (a lost session, or a restart)
+        if (!adapter.getStatus().calibrated) {
+          this.calibrationManager.clearCalibration(calibrationKey);
+          throw new Error('DEVICE_NOT_CALIBRATED: The calibrated session has ended, calibrate again');
+        }
+
+        return this.withDeviceAccess(deviceId, adapter, 'measurement', async () => {
           const result = await adapter.measure(options);
+
+          // Grade against the request's target, or the active target
+          const grading = self.gradeResults(result.results, options.target || self.activeTarget, result.geometry);
+          if (grading) {
+            result.grading = grading;
+          }
           
           // Emit measurement:completed event for push notifications to web clients
           self.emit('measurement:completed', {
             measurementId: result.measurementId || uuidv4(),
             timestamp: result.timestamp || new Date().toISOString(),
-            deviceId: self.activeDeviceId,
+            deviceId,
             measurementType: options.measurementType || 'spot',
-            results: result.results
+            geometry: result.geometry,
+            results: result.results,
+            ...(grading && { grading })
           });
           
           return result;
+        });
+      }, request),
+      scan: (options, request) => this.enqueue(deviceId, 'measurement', () => this.withDeviceAccess(deviceId, adapter, 'measurement', async () => {
+        // chartread calibrates the instrument itself, so no stored calibration is required;
+        // the spot session it replaces needs a new calibration afterwards
+        try {
+          return await adapter.scan(options);
         } finally {
-          await new Promise(resolve => setTimeout(resolve, 500));
-          this.detector.resume();
+          if (!adapter.getStatus().calibrated) {
+            this.calibrationManager.clearCalibration(this.getCalibrationKey(adapter.deviceInfo));
+          }
         }
-      }
+      }), request)
     };
   }
 
+  /**
+   * Set (or clear with null) the target used to grade measurements
+   * that don't specify their own, including hardware-button readings
+   * @param {Object|null} target - Target normalised by normalizeTarget()
+   */
+  setActiveTarget(target) {
+    this.activeTarget = target;
+    logger.info(target ? `Active target set to: ${target.name}` : 'Active target cleared');
+    return target;
+  }
+
+  getActiveTarget() {
+    return this.activeTarget;
+  }
+
+  /**
+   * Grade measurement results against a target
+   * Grading failures are logged, never fail the measurement itself
+   */
+  gradeResults(results, target, geometry) {
+    // Light-source readings have no Lab to grade
+    if (!target || LIGHT_SOURCE_GEOMETRIES.includes(geometry)) return null;
+
+    try {
+      return gradeMeasurement(results, target);
+    } catch (error) {
+      logger.error(`Failed to grade measurement against ${target.name}:`, error);
+      return { target: target.name, verdict: null, error: error.message };
+    }
+  }
+
   getAllDevices() {
     const devices = [];
     for (const [deviceId, adapter] of this.devices.entries()) {
@@ -0,0 +1,170 @@
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Serialized queue of instrument operations for one device
+ *
+ * Operations run one at a time, highest priority first and in arrival order
+ * within a priority. A request that waits longer than its timeout is dropped
+ * with QUEUE_TIMEOUT; once started it is bounded by the instrument's own
+ * timeouts. Whenever a request's place changes it is emitted as a 'queued'
+ * event { requestId, operation, position, queueLength }, position 1 being
+ * next in line and 0 meaning the request has started.
+ */
+class RequestQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.pending = []; // [{ requestId, operation, priority, run, resolve, reject, timeoutId, position }]
+    this.running = null;
+  }
+
+  /**
+   * Validate queue options from a request
+   * @param {Object} [options] - { requestId, priority, timeoutMs }
+   */
+  static resolveOptions(options = {}) {
+    const priority = options.priority !== undefined ? Number(options.priority) : 0;
+    if (!Number.isInteger(priority)) {
+      throw new Error('INVALID_PARAMETERS: priority must be an integer');
+    }
+
+    const timeoutMs = options.timeoutMs !== undefined && options.timeoutMs !== null
+      ? Number(options.timeoutMs)
+      : null;
+    if (timeoutMs !== null && !(timeoutMs > 0)) {
+      throw new Error('INVALID_PARAMETERS: timeoutMs must be a positive number');
+    }
+
+    return { requestId: options.requestId || uuidv4(), priority, timeoutMs };
+  }
+
+  /**
+   * Queue an operation
+   * @param {string} operation - 'calibration' or 'measurement'
+   * @param {Function} run - Starts the operation, returning a promise
+   * @param {Object} [options] - { requestId, priority, timeoutMs }
+   * @returns {Promise} Settles with the operation
+   */
+  enqueue(operation, run, options = {}) {
+    const { requestId, priority, timeoutMs } = RequestQueue.resolveOptions(options);
+
+    return new Promise((resolve, reject) => {
+      const entry = { requestId, operation, priority, run, resolve, reject, timeoutId: null, position: null };
+      if (timeoutMs !== null) {
+        entry.timeoutId = setTimeout(() => {
+          this.remove(entry);
+          reject(new Error(`QUEUE_TIMEOUT: Request waited more than ${timeoutMs / 1000}s for the device`));
+        }, timeoutMs);
+      }
+
+      // After every request of the same or higher priority
+      const index = this.pending.findIndex(queued => queued.priority < priority);
+      this.pending.splice(index === -1 ? this.pending.length : index, 0, entry);
+
+      this.process();
+      this.announce();
+    });
+  }
+
+  /**
+   * Start the next request when the device is free
+   */
+  process() {
+    if (this.running || this.pending.length === 0) {
+      return;
+    }
+
+    const entry = this.pending.shift();
+    clearTimeout(entry.timeoutId);
+    this.running = entry;
+    this.emit('queued', this.describe(entry, 0));
+
+    Promise.resolve()
+      .then(() => entry.run())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running = null;
+        this.process();
+        this.announce();
+      });
+  }
+
+  remove(entry) {
+    const index = this.pending.indexOf(entry);
+    if (index === -1) return;
+
+    this.pending.splice(index, 1);
+    clearTimeout(entry.timeoutId);
+    logger.info(`Request ${entry.requestId} left the queue`);
+    this.announce();
+  }
+
+  /**
+   * Withdraw a waiting request
+   * @param {string} requestId - Request to withdraw
+   * @param {string} operation - Its operation; another operation's request is left alone
+   * @param {Error} error - Rejects the request
+   * @returns {boolean} Whether the request was waiting
+   */
+  cancel(requestId, operation, error) {
+    const entry = this.pending.find(queued => queued.requestId === requestId && queued.operation === operation);
+    if (!entry) {
+      return false;
+    }
+    this.remove(entry);
+    entry.reject(error);
+    return true;
+  }
+
+  /**
+   * Emit the position of every waiting request whose place changed
+   */
+  announce() {
+    this.pending.forEach((entry, index) => {
+      if (entry.position !== index + 1) {
+        entry.position = index + 1;
+        this.emit('queued', this.describe(entry, entry.position));
+      }
+    });
+  }
+
+  describe(entry, position) {
+    return {
+      requestId: entry.requestId,
+      operation: entry.operation,
+      position,
+      queueLength: this.pending.length
+    };
+  }
+
+  /**
+   * Reject every waiting request, e.g. when the device is removed
+   * The running operation fails on its own
+   */
+  clear(error) {
+    const pending = this.pending;
+    this.pending = [];
+    for (const entry of pending) {
+      clearTimeout(entry.timeoutId);
+      entry.reject(error);
+    }
+  }
+
+  getLength() {
+    return this.pending.length;
+  }
+
+  isBusy() {
+    return this.running !== null;
+  }
+
+  /**
+   * @returns {Object|null} { requestId, operation } of the request in progress
+   */
+  getRunning() {
+    return this.running ? { requestId: this.running.requestId, operation: this.running.operation } : null;
+  }
+}
+
+module.exports = { RequestQueue };
@@ -0,0 +1,178 @@
+const { deltaE, FORMULAS } = require('../argyll/colorDifference');
+const { LIGHT_SOURCE_GEOMETRIES } = require('../argyll/spotread');
+const { computeResults } = require('./results');
+
+/**
+ * Averaged readings for textured or uneven samples
+ *
+ * Several readings of a sample, taken in one session, are averaged spectrally.
+ * The spread is reported as the standard deviation of the readings (Lab and
+ * per wavelength), their colour differences to the mean and the MCDM (mean
+ * colour difference from the mean). Outliers may be dropped before the mean
+ * is final.
+ */
+
+// Between readings: wait for a measurement:averaging:next message, the
+// instrument button, or read straight away
+const PROMPTS = ['software', 'button', 'none'];
+
+const MAX_COUNT = 20;
+
+/**
+ * Validate averaging options
+ * @param {Object} [options] - { count, prompt, outlierThreshold, formula }
+ * @returns {Object|null} Resolved options, or null when not averaging
+ */
+function resolveAveraging(options) {
+  if (!options) {
+    return null;
+  }
+
+  const resolved = {
+    count: Number(options.count ?? 3),
+    prompt: options.prompt || 'software',
+    outlierThreshold: options.outlierThreshold !== undefined && options.outlierThreshold !== null
+      ? Number(options.outlierThreshold)
+      : null,
+    formula: options.formula || 'dE2000'
+  };
+
+  if (!Number.isInteger(resolved.count) || resolved.count < 2 || resolved.count > MAX_COUNT) {
+    throw new Error(`INVALID_PARAMETERS: Averaging count must be an integer from 2 to ${MAX_COUNT}`);
+  }
+  if (!PROMPTS.includes(resolved.prompt)) {
+    throw new Error(`INVALID_PARAMETERS: Unknown averaging prompt ${resolved.prompt}, expected one of ${PROMPTS.join(', ')}`);
+  }
+  if (resolved.outlierThreshold !== null && !(resolved.outlierThreshold > 0)) {
+    throw new Error('INVALID_PARAMETERS: outlierThreshold must be a positive colour difference');
+  }
+  if (!FORMULAS.includes(resolved.formula)) {
+    throw new Error(`INVALID_PARAMETERS: Unknown colour difference formula: ${resolved.formula}`);
+  }
+  return resolved;
+}
+
+/**
+ * Reject averaging where the spread can't be expressed as colour differences
+ */
+function checkAveragingGeometry(geometry) {
+  if (LIGHT_SOURCE_GEOMETRIES.includes(geometry)) {
+    throw new Error(`INVALID_PARAMETERS: Averaging applies to reflective and transmissive readings, not ${geometry}`);
+  }
+}
+
+/**
+ * Mean of a list of spectra on the same grid
+ */
+function meanSpectrum(spectra) {
+  const mean = {};
+  for (const wl of Object.keys(spectra[0])) {
+    mean[wl] = spectra.reduce((sum, spectrum) => sum + spectrum[wl], 0) / spectra.length;
+  }
+  return mean;
+}
+
+/**
+ * Sample standard deviation
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Mean reading, in the shape the spotread parser produces
+ */
+function meanReading(readings) {
+  const uvSpectra = readings.map(reading => reading.uvSpectral);
+  return {
+    spectral: meanSpectrum(readings.map(reading => reading.spectral)),
+    uvSpectral: uvSpectra.every(Boolean) ? meanSpectrum(uvSpectra) : null,
+    Lab: null,
+    XYZ: null,
+    lightSource: null
+  };
+}
+
+/**
+ * D50 / 2° Lab of a reading in the mode the spread is evaluated in
+ */
+function readingLab(reading, geometry, mode) {
+  const results = computeResults(reading, geometry, [mode]);
+  return results[geometry === 'reflective' ? mode : geometry].Lab;
+}
+
+/**
+ * Average readings of one sample
+ * With an outlier threshold the reading furthest from the mean is dropped and
+ * the mean recomputed while it is further than the threshold, as long as more
+ * than half of the readings remain.
+ * @param {Object[]} readings - Parsed readings on one grid
+ * @param {string} geometry - Session geometry
+ * @param {Object} options - Resolved averaging options plus the mode to evaluate
+ * @returns {Object} { mean, averaging } - mean reading and its statistics
+ */
+function averageReadings(readings, geometry, options) {
+  const { mode, outlierThreshold, formula } = options;
+  const labs = readings.map(reading => readingLab(reading, geometry, mode));
+
+  let used = readings.map((_, index) => index);
+  let mean;
+  let meanLab;
+  let differences;
+  for (;;) {
+    mean = meanReading(used.map(index => readings[index]));
+    meanLab = readingLab(mean, geometry, mode);
+    differences = labs.map(lab => deltaE(formula, meanLab, lab).dE);
+
+    if (outlierThreshold === null) break;
+    const worst = used.reduce((max, index) => (differences[index] > differences[max] ? index : max), used[0]);
+    if (differences[worst] <= outlierThreshold || used.length - 1 <= readings.length / 2) break;
+    used = used.filter(index => index !== worst);
+  }
+
+  const usedDifferences = used.map(index => differences[index]);
+  const usedLabs = used.map(index => labs[index]);
+  const spectralSD = {};
+  for (const wl of Object.keys(mean.spectral)) {
+    spectralSD[wl] = standardDeviation(used.map(index => readings[index].spectral[wl]));
+  }
+
+  return {
+    mean,
+    averaging: {
+      count: readings.length,
+      used: used.length,
+      mode,
+      formula,
+      Lab: {
+        mean: meanLab,
+        sd: {
+          L: standardDeviation(usedLabs.map(lab => lab.L)),
+          a: standardDeviation(usedLabs.map(lab => lab.a)),
+          b: standardDeviation(usedLabs.map(lab => lab.b))
+        }
+      },
+      maxDeltaE: Math.max(...usedDifferences),
+      mcdm: usedDifferences.reduce((sum, difference) => sum + difference, 0) / usedDifferences.length,
+      spectralSD,
+      readings: readings.map((reading, index) => ({
+        index,
+        ...(reading.sampleName && { sampleName: reading.sampleName }),
+        Lab: labs[index],
+        deltaE: differences[index],
+        rejected: !used.includes(index),
+        ...(reading.transcript && { transcript: reading.transcript })
+      }))
+    }
+  };
+}
+
+module.exports = {
+  PROMPTS,
+  resolveAveraging,
+  checkAveragingGeometry,
+  averageReadings
+};
@@ -0,0 +1,189 @@
+const { writeCGATS, writeSpectrumFile, spectralColumns } = require('../argyll/cgats');
+const { selectModeResult } = require('../argyll/grading');
+const { LIGHT_SOURCE_GEOMETRIES } = require('../argyll/spotread');
+
+/**
+ * Stored measurements as CGATS files for other colour tools
+ *
+ *   cgats - CGATS.17 table with sample names, XYZ, Lab and spectra, as read by
+ *           ColorPort, MeasureTool and similar tools
+ *   ti3   - ArgyllCMS .ti3 with the device values each sample was made with,
+ *           for colprof
+ *   sp    - ArgyllCMS .sp spectra
+ *
+ * Every measurement contributes the result of one mode (M0 by default) or,
+ * for other geometries, its single result. Lab is D50 / 2°.
+ */
+
+const EXPORT_FORMATS = {
+  cgats: { extension: 'txt' },
+  ti3: { extension: 'ti3' },
+  sp: { extension: 'sp' }
+};
+
+// Device channel fields of a .ti3 COLOR_REP, values in percent
+const DEVICE_CHANNELS = {
+  RGB: ['RGB_R', 'RGB_G', 'RGB_B'],
+  CMY: ['CMY_C', 'CMY_M', 'CMY_Y'],
+  CMYK: ['CMYK_C', 'CMYK_M', 'CMYK_Y', 'CMYK_K']
+};
+
+const ORIGINATOR = 'Spectro Bridge';
+
+/**
+ * Validate export options
+ * @param {Object} [options] - { format, mode, colorRep, descriptor }
+ */
+function resolveExportOptions(options = {}) {
+  const resolved = {
+    format: options.format || 'cgats',
+    mode: options.mode,
+    colorRep: options.colorRep,
+    descriptor: options.descriptor
+  };
+
+  if (!EXPORT_FORMATS[resolved.format]) {
+    throw new Error(`INVALID_PARAMETERS: Unknown export format ${resolved.format}, expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (resolved.format === 'ti3' && !DEVICE_CHANNELS[resolved.colorRep]) {
+    throw new Error(`INVALID_PARAMETERS: A .ti3 export needs colorRep, one of ${Object.keys(DEVICE_CHANNELS).join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Result of each measurement in the exported mode
+ * All of them must share the mode (or geometry), so the values are comparable
+ */
+function selectResults(entries, mode) {
+  const selected = entries.map(entry => selectModeResult(entry.measurement.results, mode));
+  const modes = [...new Set(selected.map(s => s.mode))];
+  if (modes.length > 1) {
+    throw new Error(`INVALID_PARAMETERS: Measurements to export have different modes or geometries (${modes.join(', ')})`);
+  }
+  return { mode: modes[0], results: selected.map(s => s.result) };
+}
+
+const hasSpectrum = result => Boolean(result.spectral) && Object.keys(result.spectral).length > 0;
+
+function deviceValues(entry, channels, index) {
+  const values = entry.device;
+  if (!Array.isArray(values) || values.length !== channels.length ||
+      !values.every(value => typeof value === 'number' && value >= 0 && value <= 100)) {
+    throw new Error(`INVALID_PARAMETERS: Measurement ${index + 1} needs ${channels.length} device values from 0 to 100`);
+  }
+  return Object.fromEntries(channels.map((channel, i) => [channel, values[i]]));
+}
+
+/**
+ * Data table of XYZ, Lab (when every result has it) and spectra (when every
+ * result has one), with optional extra columns before the colour values
+ */
+function buildTable(entries, results, extraColumns = null) {
+  const withLab = results.every(result => result.Lab);
+  const columns = results.every(hasSpectrum) ? spectralColumns(results[0].spectral) : null;
+
+  const fields = [
+    'SAMPLE_ID',
+    'SAMPLE_NAME',
+    ...(extraColumns ? extraColumns.fields : []),
+    'XYZ_X', 'XYZ_Y', 'XYZ_Z',
+    ...(withLab ? ['LAB_L', 'LAB_A', 'LAB_B'] : []),
+    ...(columns ? columns.fields : [])
+  ];
+
+  const rows = entries.map((entry, index) => {
+    const { XYZ, Lab } = results[index];
+    return {
+      SAMPLE_ID: entry.sampleId || String(index + 1),
+      SAMPLE_NAME: entry.sampleName || entry.measurement.sampleId || entry.measurement.measurementId,
+      ...(extraColumns && extraColumns.values(entry, index)),
+      XYZ_X: XYZ.X,
+      XYZ_Y: XYZ.Y,
+      XYZ_Z: XYZ.Z,
+      ...(withLab && { LAB_L: Lab.L, LAB_A: Lab.a, LAB_B: Lab.b }),
+      ...(columns && columns.values(results[index].spectral))
+    };
+  });
+
+  return { fields, rows, spectralKeywords: columns ? columns.keywords : {} };
+}
+
+/**
+ * Write measurements in a CGATS format
+ * @param {Object[]} entries - [{ measurement, sampleId, sampleName, device }]; device
+ *   holds the .ti3 device values in percent
+ * @param {Object} [options] - { format, mode, colorRep, descriptor }
+ * @returns {Object} { format, mode, extension, count, content }
+ */
+function exportMeasurements(entries, options = {}) {
+  const { format, mode: requestedMode, colorRep, descriptor } = resolveExportOptions(options);
+  if (entries.length === 0) {
+    throw new Error('INVALID_PARAMETERS: No measurements to export');
+  }
+
+  const { mode, results } = selectResults(entries, requestedMode);
+  const lightSource = LIGHT_SOURCE_GEOMETRIES.includes(mode);
+  const header = {
+    DESCRIPTOR: descriptor,
+    ORIGINATOR,
+    CREATED: new Date().toISOString()
+  };
+
+  let content;
+  if (format === 'sp') {
+    if (!results.every(hasSpectrum)) {
+      throw new Error('INVALID_PARAMETERS: Every measurement needs a spectrum for a .sp export');
+    }
+    // Reflective and transmissive spectra are percent, light sources absolute
+    content = writeSpectrumFile(results.map(result => result.spectral), {
+      norm: lightSource ? 1 : 100,
+      keywords: header
+    });
+  } else if (format === 'ti3') {
+    const channels = DEVICE_CHANNELS[colorRep];
+    const table = buildTable(entries, results, {
+      fields: channels,
+      values: (entry, index) => deviceValues(entry, channels, index)
+    });
+    content = writeCGATS([{
+      fileType: 'CTI3',
+      keywords: {
+        ...header,
+        DEVICE_CLASS: lightSource ? 'DISPLAY' : 'OUTPUT',
+        COLOR_REP: `${colorRep}_XYZ`,
+        INSTRUMENT_TYPE_SPECTRAL: results.every(hasSpectrum) ? 'YES' : 'NO',
+        ...table.spectralKeywords
+      },
+      fields: table.fields,
+      rows: table.rows
+    }]);
+  } else {
+    const table = buildTable(entries, results);
+    content = writeCGATS([{
+      fileType: 'CGATS.17',
+      keywords: {
+        ...header,
+        ...(/^M[0-3]$/.test(mode) && { MEASUREMENT_CONDITION: mode }),
+        ...table.spectralKeywords
+      },
+      fields: table.fields,
+      rows: table.rows
+    }]);
+  }
+
+  return {
+    format,
+    mode,
+    extension: EXPORT_FORMATS[format].extension,
+    count: entries.length,
+    content
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEVICE_CHANNELS,
+  resolveExportOptions,
+  exportMeasurements
+};
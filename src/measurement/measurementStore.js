@@ -0,0 +1,53 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * In-memory store of recent measurements, keyed by measurement ID
+ * Bounded so long sessions don't accumulate spectra indefinitely;
+ * the oldest measurements are evicted first
+ */
+class MeasurementStore {
+  constructor(capacity = 500) {
+    this.capacity = capacity;
+    this.measurements = new Map(); // measurementId -> measurement (insertion ordered)
+  }
+
+  add(measurement) {
+    if (!measurement || !measurement.measurementId) {
+      logger.warn('MeasurementStore: Ignoring measurement without ID');
+      return;
+    }
+
+    this.measurements.delete(measurement.measurementId);
+    this.measurements.set(measurement.measurementId, measurement);
+
+    while (this.measurements.size > this.capacity) {
+      const oldestId = this.measurements.keys().next().value;
+      this.measurements.delete(oldestId);
+    }
+  }
+
+  get(measurementId) {
+    return this.measurements.get(measurementId) || null;
+  }
+
+  /**
+   * Get a measurement or throw MEASUREMENT_NOT_FOUND
+   */
+  require(measurementId) {
+    const measurement = this.get(measurementId);
+    if (!measurement) {
+      throw new Error(`MEASUREMENT_NOT_FOUND: No stored measurement with ID ${measurementId}`);
+    }
+    return measurement;
+  }
+
+  getAll() {
+    return Array.from(this.measurements.values());
+  }
+
+  clear() {
+    this.measurements.clear();
+  }
+}
+
+module.exports = { MeasurementStore };
@@ -0,0 +1,146 @@
+const { FWACompensation } = require('../argyll/fwaCompensation');
+const { computeDensity, resolveDensityOptions } = require('../argyll/density');
+const { computePaperIndices } = require('../argyll/paperIndices');
+const { convertColor } = require('../argyll/colorSpaces');
+const { Spectrum, resampleTable } = require('../argyll/spectrum');
+const { computeEmission } = require('../argyll/emission');
+const { loadColourEvaluationSamples } = require('../argyll/tm30');
+const { LIGHT_SOURCE_GEOMETRIES } = require('../argyll/spotread');
+const { logger } = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Measurement results from a parsed reading, shared by the device adapters
+ *
+ * A reading is { spectral, uvSpectral, XYZ, Lab, lightSource } as produced
+ * by the spotread parser. Options are the resolved request options
+ * { colorimetry, density, conversions }.
+ */
+
+const fwaCompensation = new FWACompensation();
+
+/**
+ * Grid of a reading, or null for light-source readings without a spectrum
+ */
+function describeGrid(spectralData) {
+  const spectral = spectralData.spectral || {};
+  return Object.keys(spectral).length > 0 ? Spectrum.fromTable(spectral).describe() : null;
+}
+
+/**
+ * Resample the measured spectra before any values are derived from them,
+ * so every mode, density and stored spectrum shares the requested grid
+ */
+function resampleMeasurement(measured, resampling) {
+  return {
+    ...measured,
+    spectral: describeGrid(measured) ? resampleTable(measured.spectral, resampling) : measured.spectral,
+    uvSpectral: measured.uvSpectral ? resampleTable(measured.uvSpectral, resampling) : null
+  };
+}
+
+/**
+ * Results for each requested mode of a reflective reading
+ */
+function computeModeResults(spectralData, modes, options = {}) {
+  const { colorimetry, density, conversions } = options;
+  const results = {};
+
+  for (const mode of modes) {
+    if (mode === 'M3') {
+      logger.warn('M3 mode requires physical polarizing filter - skipping');
+      continue;
+    }
+
+    const computed = fwaCompensation.computeMode(spectralData, mode, colorimetry);
+    results[mode] = {
+      Lab: computed.Lab,
+      XYZ: computed.XYZ,
+      spectral: computed.spectral,
+      density: computeDensity(computed.spectral, density || resolveDensityOptions(), mode)
+    };
+    if (computed.compensation) {
+      results[mode].compensation = computed.compensation;
+    }
+    if (computed.colorimetry) {
+      results[mode].colorimetry = computed.colorimetry;
+    }
+    if (conversions) {
+      results[mode].colorSpaces = convertColor(computed, conversions);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * TM-30 colour evaluation samples from the configured file, or null
+ * A file that can't be read leaves TM-30 out of the result rather than
+ * failing the reading
+ */
+function tm30Samples() {
+  const file = config.getTm30SamplesFile();
+  if (!file) return null;
+  try {
+    return loadColourEvaluationSamples(file);
+  } catch (error) {
+    logger.warn(`TM-30 colour evaluation samples unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Result of an emissive, ambient or transmissive reading
+ * Light sources report luminance/illuminance, chromaticity, CCT and CRI;
+ * transmittance is evaluated like an M0 reflectance reading, as no FWA
+ * compensation applies
+ */
+function computeGeometryResult(spectralData, geometry, options = {}) {
+  if (LIGHT_SOURCE_GEOMETRIES.includes(geometry)) {
+    return computeEmission(spectralData, geometry, { tm30Samples: tm30Samples() });
+  }
+
+  const computed = fwaCompensation.computeMode(spectralData, 'M0', options.colorimetry);
+  const result = {
+    Lab: computed.Lab,
+    XYZ: computed.XYZ,
+    spectral: computed.spectral,
+    density: computeDensity(computed.spectral, options.density || resolveDensityOptions(), geometry)
+  };
+  if (computed.colorimetry) {
+    result.colorimetry = computed.colorimetry;
+  }
+  if (options.conversions) {
+    result.colorSpaces = convertColor(computed, options.conversions);
+  }
+  return result;
+}
+
+/**
+ * Results of a reading in any geometry: one entry per mode for reflective
+ * readings, a single entry keyed by the geometry otherwise
+ */
+function computeResults(spectralData, geometry, modes, options = {}) {
+  return geometry === 'reflective'
+    ? computeModeResults(spectralData, modes, options)
+    : { [geometry]: computeGeometryResult(spectralData, geometry, options) };
+}
+
+/**
+ * Paper indices of a reflective reading
+ * They need M1 and M2 even when those modes weren't requested
+ */
+function computePaperResult(spectralData, results) {
+  const modeResult = mode => results[mode] || fwaCompensation.computeMode(spectralData, mode);
+  return computePaperIndices(modeResult('M1'), modeResult('M2'));
+}
+
+module.exports = {
+  tm30Samples,
+  describeGrid,
+  resampleMeasurement,
+  computeModeResults,
+  computeGeometryResult,
+  computeResults,
+  computePaperResult
+};
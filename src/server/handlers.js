@@ -1,5 +1,22 @@
 const { logger } = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
+const { FWACompensation } = require('../argyll/fwaCompensation');
+const { compareLab } = require('../argyll/colorDifference');
+const { normalizeTarget, selectModeResult } = require('../argyll/grading');
+const { computeToneValue } = require('../argyll/toneValue');
+const { compareSpectra } = require('../argyll/metamerism');
+const { exportMeasurements } = require('../measurement/export');
+
+/**
+ * Error body of a response or event: the CODE prefix of the message and the message
+ */
+function describeError(error) {
+  const codeMatch = error.message.match(/^([A-Z][A-Z_]+):/);
+  return {
+    code: codeMatch ? codeMatch[1] : 'INTERNAL_ERROR',
+    message: error.message
+  };
+}
 
 /**
  * Handles WebSocket messages from clients
@@ -8,6 +25,7 @@ class MessageHandler {
   constructor(deviceManager, calibrationManager) {
     this.deviceManager = deviceManager;
     this.calibrationManager = calibrationManager;
+    this.fwaCompensation = new FWACompensation();
   }
 
   async handle(message) {
@@ -21,12 +39,51 @@ class MessageHandler {
         case 'device:list':
           return await this.handleDeviceList(requestId);
 
+        case 'device:virtual:add':
+          return await this.handleVirtualAdd(message);
+
+        case 'device:virtual:button':
+          return this.handleVirtualButton(message);
+
         case 'calibration:start':
-          return await this.handleCalibrationStart(requestId);
+          return await this.handleCalibrationStart(message);
+
+        case 'session:recover':
+          return this.handleSessionRecover(message);
+
+        case 'calibration:cancel':
+          return await this.handleCancel('calibration', message);
 
         case 'measurement:trigger':
           return await this.handleMeasurementTrigger(message);
 
+        case 'measurement:cancel':
+          return await this.handleCancel('measurement', message);
+
+        case 'measurement:averaging:next':
+          return this.handleAveragingNext(message);
+
+        case 'color:compare':
+          return this.handleColorCompare(message);
+
+        case 'color:metamerism':
+          return this.handleMetamerism(message);
+
+        case 'measurement:tvi':
+          return await this.handleToneValue(message);
+
+        case 'measurements:export':
+          return this.handleExport(message);
+
+        case 'target:set':
+          return this.handleTargetSet(message);
+
+        case 'target:get':
+          return this.handleTargetGet(requestId);
+
+        case 'target:clear':
+          return this.handleTargetClear(requestId);
+
         case 'bridge:info':
           return this.handleBridgeInfo(requestId);
 
@@ -45,10 +102,7 @@ class MessageHandler {
       return {
         type: 'error',
         requestId,
-        error: {
-          code: error.message.includes('DEVICE_NOT') ? error.message.split(':')[0] : 'INTERNAL_ERROR',
-          message: error.message
-        }
+        error: describeError(error)
       };
     }
   }
@@ -88,21 +142,76 @@ class MessageHandler {
     };
   }
 
-  async handleCalibrationStart(requestId) {
+  /**
+   * Register a simulated device; samples may be given inline in the
+   * sample library format, files are only read from the bridge's config
+   */
+  async handleVirtualAdd(message) {
+    const { requestId, samples, order, seed, noise, buttonIntervalMs, delayMs, activate } = message;
+
+    const added = await this.deviceManager.addVirtualDevice({
+      samples,
+      order,
+      seed,
+      noise,
+      buttonIntervalMs,
+      delayMs,
+      activate: Boolean(activate)
+    });
+
+    return {
+      type: 'device:virtual:add:response',
+      requestId,
+      device: added
+    };
+  }
+
+  /**
+   * Press the button of a virtual device; the reading is broadcast as
+   * measurement:completed like any hardware-triggered measurement, unless it
+   * is a reading of an averaged measurement waiting for the button
+   */
+  handleVirtualButton(message) {
+    const { requestId, deviceId } = message;
+    const measurement = this.deviceManager.pressVirtualButton(deviceId);
+
+    return {
+      type: 'device:virtual:button:response',
+      requestId,
+      deviceId: deviceId || this.deviceManager.activeDeviceId,
+      measurementId: measurement ? measurement.measurementId : null
+    };
+  }
+
+  async handleCalibrationStart(message) {
+    const { requestId, highResolution, geometry } = message;
     const device = this.deviceManager.getActiveDevice();
 
     if (!device) {
       throw new Error('DEVICE_NOT_CONNECTED: No device available');
     }
 
-    // Start calibration asynchronously
-    device.calibrate()
-      .then((result) => {
-        // Broadcast success
-        logger.info('Calibration complete:', result);
+    // Reject unsupported session options before calibration starts in the background
+    const { capabilities } = device.getStatus();
+    if (highResolution && !capabilities.supportsHighResolution) {
+      throw new Error('INVALID_PARAMETERS: High-resolution spectra are not supported by this device');
+    }
+    const geometries = capabilities.geometries || ['reflective'];
+    if (geometry && !geometries.includes(geometry)) {
+      throw new Error(`INVALID_PARAMETERS: Unknown measurement geometry ${geometry}, expected one of ${geometries.join(', ')}`);
+    }
+
+    // Start calibration asynchronously; a new geometry restarts the session in that mode.
+    // The outcome is broadcast, as the calibration may wait in the queue and fail there
+    const { deviceId } = device;
+    device.calibrate({ highResolution, geometry }, this.getQueueOptions(message))
+      .then((calibration) => {
+        logger.info('Calibration complete:', calibration);
+        this.deviceManager.emit('calibration:complete', { deviceId, requestId, calibration });
       })
       .catch((error) => {
         logger.error('Calibration failed:', error);
+        this.deviceManager.emit('calibration:error', { deviceId, requestId, error: describeError(error) });
       });
 
     return {
@@ -112,8 +221,154 @@ class MessageHandler {
     };
   }
 
+  /**
+   * Recalibrate a session that ended unexpectedly, in its original geometry
+   * Runs in the background like calibration:start; the outcome is broadcast
+   * as session:recovered or session:recovery-failed
+   */
+  handleSessionRecover(message) {
+    const { requestId } = message;
+    const deviceId = message.deviceId || this.deviceManager.activeDeviceId;
+    const adapter = deviceId ? this.deviceManager.devices.get(deviceId) : null;
+
+    if (!adapter) {
+      throw new Error('DEVICE_NOT_CONNECTED: No device available');
+    }
+    if (!adapter.lostSession) {
+      throw new Error(`INVALID_PARAMETERS: ${deviceId} has no lost session to recover`);
+    }
+
+    const session = adapter.lostSession;
+    this.deviceManager.recoverSession(deviceId).catch((error) => {
+      logger.error('Session recovery failed:', error);
+    });
+
+    return {
+      type: 'session:recover:started',
+      requestId,
+      deviceId,
+      ...session,
+      message: 'Recalibrating - follow the calibration:progress instructions'
+    };
+  }
+
+  /**
+   * Cancel the calibration or measurement in progress, or with targetRequestId
+   * that request, whether it is queued or in progress
+   * The cancelled request fails with CANCELLED and other clients receive
+   * calibration:cancelled or measurement:cancelled
+   */
+  async handleCancel(operation, message) {
+    const { requestId, targetRequestId = null } = message;
+    const deviceId = message.deviceId || this.deviceManager.activeDeviceId;
+    const cancelled = await this.deviceManager.cancelOperation(operation, deviceId, targetRequestId);
+
+    return {
+      type: `${operation}:cancel:response`,
+      requestId,
+      deviceId,
+      ...(targetRequestId && { targetRequestId }),
+      cancelled
+    };
+  }
+
+  /**
+   * Take the next reading of an averaged measurement with a software prompt
+   */
+  handleAveragingNext(message) {
+    const { requestId } = message;
+    const deviceId = message.deviceId || this.deviceManager.activeDeviceId;
+
+    return {
+      type: 'measurement:averaging:next:response',
+      requestId,
+      deviceId,
+      continued: this.deviceManager.continueAveraging(deviceId)
+    };
+  }
+
+  /**
+   * Place of a request in the device queue: priority (higher first) and the
+   * longest wait in ms before it fails with QUEUE_TIMEOUT
+   */
+  getQueueOptions(message) {
+    return {
+      requestId: message.requestId,
+      priority: message.priority,
+      timeoutMs: message.timeoutMs
+    };
+  }
+
+  /**
+   * Collect requested observer/illuminant tables
+   * Accepts singular (observer, illuminant) or plural (observers, illuminants) fields
+   */
+  getColorimetryOptions(message) {
+    const toList = (plural, singular) => {
+      if (plural !== undefined) return Array.isArray(plural) ? plural : [plural];
+      if (singular !== undefined) return [singular];
+      return undefined;
+    };
+
+    const observers = toList(message.observers, message.observer);
+    const illuminants = toList(message.illuminants, message.illuminant);
+
+    if (!observers && !illuminants) {
+      return undefined;
+    }
+    return { observers, illuminants };
+  }
+
+  /**
+   * Collect density options, resolving a paper reference given as a stored measurement ID
+   */
+  getDensityOptions(message) {
+    if (!message.density) {
+      return undefined;
+    }
+
+    const { paper, ...options } = message.density;
+    if (paper && paper.measurementId) {
+      const measurement = this.deviceManager.measurements.require(paper.measurementId);
+      return { ...options, paper: { results: measurement.results } };
+    }
+    return { ...options, paper };
+  }
+
+  /**
+   * Collect requested colour-space conversions
+   * colorSpaces may be a list of spaces, a single space, or true for all of
+   * them; adaptTo alone returns only the adapted XYZ
+   */
+  getColorSpaceOptions(message) {
+    const { colorSpaces } = message;
+    if (!colorSpaces && !message.adaptTo) {
+      return undefined;
+    }
+
+    let spaces;
+    if (Array.isArray(colorSpaces)) {
+      spaces = colorSpaces;
+    } else if (typeof colorSpaces === 'string') {
+      spaces = [colorSpaces];
+    } else if (colorSpaces === true) {
+      spaces = undefined;
+    } else if (!colorSpaces) {
+      spaces = [];
+    } else {
+      throw new Error('INVALID_PARAMETERS: colorSpaces must be a list of colour spaces, a colour space or true');
+    }
+    return { spaces, adaptation: message.adaptation, adaptTo: message.adaptTo };
+  }
+
   async handleMeasurementTrigger(message) {
     const { requestId, measurementType = 'spot', modes = ['M0', 'M1', 'M2'] } = message;
+    if (measurementType === 'scan') {
+      return this.handleScan(message);
+    }
+    const colorimetry = this.getColorimetryOptions(message);
+    const target = message.target ? normalizeTarget(message.target) : undefined;
+    const density = this.getDensityOptions(message);
 
     const device = this.deviceManager.getActiveDevice();
 
@@ -121,14 +376,22 @@ class MessageHandler {
       throw new Error('DEVICE_NOT_CONNECTED: No device available');
     }
 
-    // Check calibration
-    const status = device.getStatus();
-    if (!status.calibration.calibrated) {
-      throw new Error('DEVICE_NOT_CALIBRATED: Device requires calibration');
-    }
-
+    // Calibration is checked when the request reaches the front of the queue,
+    // so a measurement may be queued behind a calibration
     try {
-      const result = await device.measure({ measurementType, modes });
+      const result = await device.measure({
+        measurementType,
+        geometry: message.geometry,
+        modes,
+        colorimetry,
+        density,
+        colorSpaces: this.getColorSpaceOptions(message),
+        resample: message.resample,
+        paper: Boolean(message.paper),
+        averaging: message.averaging,
+        transcript: Boolean(message.transcript),
+        target
+      }, this.getQueueOptions(message));
 
       return {
         type: 'measurement:result',
@@ -142,6 +405,221 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Read a test chart with chartread; patches are broadcast as
+   * measurement:scan:patch events while the response carries the whole chart
+   */
+  async handleScan(message) {
+    const { requestId, modes = ['M0', 'M1', 'M2'], chart } = message;
+    if (typeof chart !== 'string' || chart.trim() === '') {
+      throw new Error('INVALID_CHART: A chart layout (.ti2) is required for scanning');
+    }
+
+    const device = this.deviceManager.getActiveDevice();
+    if (!device) {
+      throw new Error('DEVICE_NOT_CONNECTED: No device available');
+    }
+
+    const result = await device.scan({
+      measurementType: 'scan',
+      modes,
+      chart,
+      patchByPatch: Boolean(message.patchByPatch),
+      highResolution: message.highResolution,
+      colorimetry: this.getColorimetryOptions(message),
+      density: this.getDensityOptions(message),
+      colorSpaces: this.getColorSpaceOptions(message),
+      resample: message.resample
+    }, this.getQueueOptions(message));
+
+    return {
+      type: 'measurement:result',
+      requestId,
+      ...result
+    };
+  }
+
+  /**
+   * Resolve a single observer/illuminant combination from a message
+   * Returns null for the default D50 / 2° colorimetry
+   */
+  getSingleCombination(message) {
+    if (message.observer === undefined && message.illuminant === undefined) {
+      return null;
+    }
+    const [combination] = this.fwaCompensation.resolveColorimetry({
+      observers: message.observer !== undefined ? [message.observer] : undefined,
+      illuminants: message.illuminant !== undefined ? [message.illuminant] : undefined
+    });
+    return combination;
+  }
+
+  /**
+   * Compare a stored measurement against a reference (Lab or spectrum)
+   */
+  handleColorCompare(message) {
+    const { requestId, measurementId, reference, parameters = {} } = message;
+
+    if (!reference) {
+      throw new Error('INVALID_REFERENCE: A reference Lab or spectrum is required');
+    }
+
+    const measurement = this.deviceManager.measurements.require(measurementId);
+    const { mode, result } = selectModeResult(measurement.results, message.mode);
+    const combination = this.getSingleCombination(message);
+
+    const referenceLab = this.fwaCompensation.resolveLab(reference, combination);
+    const sampleLab = this.fwaCompensation.resolveLab(result, combination);
+
+    return {
+      type: 'color:compare:response',
+      requestId,
+      measurementId,
+      mode,
+      illuminant: combination ? combination.illuminant.name : 'D50',
+      observer: combination ? combination.observer.name : '2',
+      reference: { Lab: referenceLab },
+      sample: { Lab: sampleLab },
+      differences: compareLab(referenceLab, sampleLab, parameters)
+    };
+  }
+
+  /**
+   * Metamerism indices and spectral deviation of a stored measurement from a reference spectrum
+   */
+  handleMetamerism(message) {
+    const { requestId, measurementId, reference } = message;
+
+    if (!reference || !reference.spectral || Object.keys(reference.spectral).length === 0) {
+      throw new Error('INVALID_REFERENCE: A reference spectrum is required');
+    }
+
+    const measurement = this.deviceManager.measurements.require(measurementId);
+    const { mode, result } = selectModeResult(measurement.results, message.mode);
+
+    return {
+      type: 'color:metamerism:response',
+      requestId,
+      measurementId,
+      mode,
+      ...compareSpectra(reference.spectral, result.spectral, {
+        pairs: message.pairs,
+        observer: message.observer,
+        formula: message.formula
+      })
+    };
+  }
+
+  /**
+   * Tone value / TVI of a tint patch against stored paper and solid readings
+   * The tint is a stored measurement, or is measured now when no tintId is given
+   */
+  async handleToneValue(message) {
+    const { requestId, paperId, solidId, tintId } = message;
+
+    if (!paperId || !solidId) {
+      throw new Error('INVALID_REFERENCE: Paper and solid measurement IDs are required');
+    }
+
+    const paper = this.deviceManager.measurements.require(paperId);
+    const solid = this.deviceManager.measurements.require(solidId);
+
+    let tint;
+    if (tintId) {
+      tint = this.deviceManager.measurements.require(tintId);
+    } else {
+      const device = this.deviceManager.getActiveDevice();
+      if (!device) {
+        throw new Error('DEVICE_NOT_CONNECTED: No device available');
+      }
+      tint = await device.measure({ measurementType: 'spot', modes: ['M0', 'M1', 'M2'] }, this.getQueueOptions(message));
+    }
+
+    // All three readings are taken in the tint's mode
+    const { mode, result } = selectModeResult(tint.results, message.mode);
+    const spectra = {
+      paper: selectModeResult(paper.results, mode).result.spectral,
+      solid: selectModeResult(solid.results, mode).result.spectral,
+      tint: result.spectral
+    };
+
+    return {
+      type: 'measurement:tvi:response',
+      requestId,
+      paperId,
+      solidId,
+      tintId: tint.measurementId,
+      mode,
+      ...computeToneValue(spectra, {
+        status: message.status,
+        ink: message.ink,
+        n: message.n,
+        nominal: message.nominal
+      })
+    };
+  }
+
+  /**
+   * Write stored measurements as a CGATS, .ti3 or .sp file
+   * Each entry of measurements is a measurement ID, or
+   * { measurementId, sampleId, sampleName, device } to name the sample or give
+   * its .ti3 device values
+   */
+  handleExport(message) {
+    const { requestId, measurements } = message;
+    if (!Array.isArray(measurements) || measurements.length === 0) {
+      throw new Error('INVALID_PARAMETERS: measurements must list the measurements to export');
+    }
+
+    const entries = measurements.map((selection) => {
+      const entry = typeof selection === 'string' ? { measurementId: selection } : { ...selection };
+      return { ...entry, measurement: this.deviceManager.measurements.require(entry.measurementId) };
+    });
+
+    return {
+      type: 'measurements:export:response',
+      requestId,
+      ...exportMeasurements(entries, {
+        format: message.format,
+        mode: message.mode,
+        colorRep: message.colorRep,
+        descriptor: message.descriptor
+      })
+    };
+  }
+
+  /**
+   * Set the active target used to grade measurements without their own target
+   * (including hardware-button readings)
+   */
+  handleTargetSet(message) {
+    const target = this.deviceManager.setActiveTarget(normalizeTarget(message.target));
+
+    return {
+      type: 'target:set:response',
+      requestId: message.requestId,
+      target
+    };
+  }
+
+  handleTargetGet(requestId) {
+    return {
+      type: 'target:get:response',
+      requestId,
+      target: this.deviceManager.getActiveTarget()
+    };
+  }
+
+  handleTargetClear(requestId) {
+    this.deviceManager.setActiveTarget(null);
+
+    return {
+      type: 'target:clear:response',
+      requestId,
+      target: null
+    };
+  }
+
   /**
    * Get hardware measurement handler for broadcasting to WebSocket clients
    * Call this to set up the listener after WebSocket server is ready
@@ -164,11 +642,13 @@ class MessageHandler {
       requestId,
       bridge: {
         version: '1.0.0',
-        supportedDevices: ['X-Rite i1Pro', 'X-Rite i1Pro2', 'X-Rite i1Pro3'],
+        supportedDevices: ['X-Rite i1Pro', 'X-Rite i1Pro2', 'X-Rite i1Pro3', 'Virtual Spectrophotometer'],
         supportedModes: ['M0', 'M1', 'M2'],
+        colorimetry: this.fwaCompensation.getAvailableTables(),
         capabilities: {
           multiModeMeasurement: true,
-          scanning: true
+          scanning: true,
+          virtualDevices: true
         }
       }
     };
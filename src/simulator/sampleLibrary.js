@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCGATS, spectralFields, rowSpectrum } = require('../argyll/cgats');
+const { Spectrum } = require('../argyll/spectrum');
+
+/**
+ * Sample spectra for the spotread simulator and the virtual device
+ *
+ * A library is either a JSON file
+ *
+ *   { "samples": [{ "name", "geometry", "start", "interval", "values",
+ *                   "fluorescence"?, "lightSource"? }] }
+ *
+ * with values on an evenly spaced grid (percent reflectance for reflective
+ * samples, mW/(m²·sr·nm) for emissive ones), or recorded readings in a
+ * CGATS file such as a chartread .ti3, whose spectra become reflective
+ * samples named by SAMPLE_ID.
+ */
+
+const DEFAULT_LIBRARY = path.join(__dirname, 'samples.json');
+
+/**
+ * Load a sample library
+ * @param {string} [file] - .json or CGATS file, the bundled samples by default
+ * @returns {Object[]} [{ name, geometry, spectral, fluorescence, lightSource }]
+ */
+function loadSampleLibrary(file = DEFAULT_LIBRARY) {
+  const text = fs.readFileSync(file, 'utf8');
+  const samples = path.extname(file).toLowerCase() === '.json'
+    ? parseSamples(JSON.parse(text).samples)
+    : fromCGATS(text);
+
+  if (samples.length === 0) {
+    throw new Error(`INVALID_PARAMETERS: Sample library ${file} has no samples`);
+  }
+  return samples;
+}
+
+/**
+ * Samples given in the JSON library format
+ * @param {Object[]} entries - [{ name, geometry, start, interval, values, fluorescence, lightSource }]
+ * @returns {Object[]} Samples as returned by loadSampleLibrary()
+ */
+function parseSamples(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('INVALID_PARAMETERS: A sample set needs at least one sample');
+  }
+  return entries.map(fromJSON);
+}
+
+function fromJSON(sample, index) {
+  if (!sample || !Array.isArray(sample.values) || !(sample.start > 0) || !(sample.interval > 0)) {
+    throw new Error(`INVALID_PARAMETERS: Sample ${sample.name || index} needs start, interval and values`);
+  }
+  const table = values => {
+    const end = sample.start + sample.interval * (values.length - 1);
+    return Spectrum.fromRange(sample.start, end, values).toTable();
+  };
+
+  return {
+    name: sample.name || `sample-${index + 1}`,
+    geometry: sample.geometry || 'reflective',
+    spectral: table(sample.values),
+    fluorescence: sample.fluorescence ? table(sample.fluorescence) : null,
+    lightSource: sample.lightSource || null
+  };
+}
+
+function fromCGATS(text) {
+  const samples = [];
+  for (const table of parseCGATS(text)) {
+    const fields = spectralFields(table);
+    if (fields.length === 0) continue;
+
+    table.rows.forEach(row => {
+      samples.push({
+        name: row.SAMPLE_ID || `sample-${samples.length + 1}`,
+        geometry: 'reflective',
+        spectral: rowSpectrum(table, row, fields),
+        fluorescence: null,
+        lightSource: null
+      });
+    });
+  }
+  return samples;
+}
+
+/**
+ * Samples of a library that suit a measurement geometry
+ * Light-source readings use emissive samples; reflective and transmissive
+ * readings use reflective samples (read as transmittance when transmissive)
+ */
+function samplesForGeometry(samples, geometry) {
+  const lightSource = geometry === 'emissive' || geometry === 'ambient';
+  return samples.filter(sample => (sample.geometry === 'emissive') === lightSource);
+}
+
+/**
+ * Seeded uniform random numbers (mulberry32), so simulated sessions repeat
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Spectrum with gaussian measurement noise (Box-Muller), clipped at zero
+ * @param {Object} spectral - Spectrum keyed by wavelength
+ * @param {number} noise - Standard deviation: % reflectance, or percent of the value when relative
+ * @param {Function} random - Output of createRandom()
+ * @param {boolean} [relative] - Scale the noise with the value (emission spectra)
+ */
+function addNoise(spectral, noise, random, relative = false) {
+  if (!noise) return spectral;
+
+  const result = {};
+  for (const [wl, value] of Object.entries(spectral)) {
+    const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    result[wl] = Math.max(0, value + gaussian * noise * (relative ? value / 100 : 1));
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_LIBRARY,
+  loadSampleLibrary,
+  parseSamples,
+  samplesForGeometry,
+  createRandom,
+  addNoise
+};
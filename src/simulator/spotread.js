@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const { CIE1931_2DEG, DAYLIGHT_CCT, daylightIlluminant } = require('../argyll/cieTables');
+const { spectralToXYZ, whitePoint, interpolate, tableWavelengths } = require('../argyll/colorimetry');
+const { Spectrum } = require('../argyll/spectrum');
+const { loadSampleLibrary, samplesForGeometry, createRandom, addNoise } = require('./sampleLibrary');
+
+/**
+ * Offline stand-in for the ArgyllCMS spotread tool
+ *
+ * Reproduces the console dialogue the bridge relies on: the calibration
+ * prompt, "Calibration complete", the reading prompt and "Result is XYZ"
+ * lines followed by "Spectrum from ..." blocks, for the command-line options
+ * SpotreadWrapper passes (-e/-a/-t, -s, -U, -H, -T). Readings come from a
+ * sample library and an optional scripted scenario, which can also press the
+ * instrument button on a timer. SIGUSR1 presses the button as well.
+ *
+ * Scenario (JSON file named by SPOTREAD_SIMULATOR_SCENARIO):
+ *
+ *   {
+ *     "serialNumber": "9000001",
+ *     "samples": "samples.json",        // library, relative to the scenario
+ *     "order": "sequence",              // or "random" once readings run out
+ *     "seed": 1,                        // random order and noise
+ *     "noise": 0,                       // SD, % reflectance (relative for emission)
+ *     "calibration": { "delayMs": 500, "fail": false },
+ *     "readDelayMs": 300,
+ *     "readings": ["paper-oba", { "misread": true }, "cyan"],
+ *     "buttonPresses": [2000, 5000]     // ms after the first reading prompt
+ *   }
+ *
+ * Not part of the bridge itself: select it by pointing the ArgyllCMS path
+ * at src/simulator/bin.
+ */
+
+const DEFAULT_SCENARIO = path.join(__dirname, 'scenarios', 'default.json');
+
+const PROMPTS = {
+  calibration: serialNumber =>
+    `Place instrument on reflective white reference S/N ${serialNumber},\r\n` +
+    ' and then hit any key to continue,\r\n or hit Esc or Q to abort: ',
+  transmissionReference:
+    '\r\nPlace the instrument on the light source for a transmission reference,\r\n' +
+    ' and then hit any key to continue,\r\n or hit Esc or Q to abort: ',
+  reading:
+    '\r\nPlace instrument on spot to be measured,\r\n' +
+    ' and then hit [A-Z] to select an option,\r\n or any other key to take a reading: '
+};
+
+// Keys that end the session at any prompt: q, Q, Esc, Ctrl-C
+const QUIT_KEYS = ['q', 'Q', '\x1b', '\x03'];
+
+// High-resolution grid of the i1Pro (-H)
+const HIGH_RESOLUTION = { start: 380, end: 730, interval: 10 / 3 };
+
+const D50 = daylightIlluminant(DAYLIGHT_CCT.D50);
+const D50_WHITE = whitePoint(D50, CIE1931_2DEG);
+
+/**
+ * Load a scenario file, resolving its sample library
+ * @param {string} [file] - Scenario JSON, the bundled default when omitted
+ * @returns {Object} Scenario with defaults applied and samples loaded
+ */
+function loadScenario(file = DEFAULT_SCENARIO) {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const library = scenario.samples ? path.resolve(path.dirname(file), scenario.samples) : undefined;
+  const samples = loadSampleLibrary(library);
+
+  for (const step of scenario.readings || []) {
+    const name = typeof step === 'string' ? step : step.sample;
+    if (!step.misread && !samples.some(sample => sample.name === name)) {
+      throw new Error(`Scenario ${file} reads unknown sample ${name}`);
+    }
+  }
+
+  return {
+    serialNumber: String(scenario.serialNumber || '9000001'),
+    order: scenario.order === 'random' ? 'random' : 'sequence',
+    seed: scenario.seed !== undefined ? scenario.seed : 1,
+    noise: scenario.noise || 0,
+    calibration: { delayMs: 500, fail: false, ...scenario.calibration },
+    readDelayMs: scenario.readDelayMs !== undefined ? scenario.readDelayMs : 300,
+    readings: scenario.readings || [],
+    buttonPresses: scenario.buttonPresses || [],
+    samples
+  };
+}
+
+/**
+ * Parse the spotread options the simulator understands; others are ignored
+ */
+function parseArgs(args) {
+  const options = { geometry: 'reflective', spectrum: false, uv: false, highResolution: false, lightSource: false };
+  const geometries = { '-e': 'emissive', '-a': 'ambient', '-t': 'transmissive' };
+
+  args.forEach(arg => {
+    if (geometries[arg]) options.geometry = geometries[arg];
+    if (arg === '-s') options.spectrum = true;
+    if (arg === '-U') options.uv = true;
+    if (arg === '-H') options.highResolution = true;
+    if (arg === '-T') options.lightSource = true;
+  });
+  return options;
+}
+
+function format(value, digits = 6) {
+  return value.toFixed(digits);
+}
+
+/**
+ * CIELAB from XYZ (Y = 100 scale)
+ */
+function toLab(XYZ, white) {
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(XYZ.X / white.X);
+  const fy = f(XYZ.Y / white.Y);
+  const fz = f(XYZ.Z / white.Z);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * Absolute XYZ of an emission spectrum in mW, integrated on a 1nm grid
+ */
+function emissionXYZ(spectral) {
+  const wavelengths = tableWavelengths(spectral);
+  const cmfWls = tableWavelengths(CIE1931_2DEG.y_bar);
+  const XYZ = { X: 0, Y: 0, Z: 0 };
+  for (let wl = cmfWls[0]; wl <= cmfWls[cmfWls.length - 1]; wl++) {
+    const S = interpolate(spectral, wl, wavelengths) * 683 / 1000;
+    XYZ.X += S * interpolate(CIE1931_2DEG.x_bar, wl, cmfWls);
+    XYZ.Y += S * interpolate(CIE1931_2DEG.y_bar, wl, cmfWls);
+    XYZ.Z += S * interpolate(CIE1931_2DEG.z_bar, wl, cmfWls);
+  }
+  return XYZ;
+}
+
+class SpotreadSimulator {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.args - spotread command-line arguments
+   * @param {Object} options.scenario - Output of loadScenario()
+   * @param {stream.Writable} options.output - Console output
+   * @param {Function} options.exit - Called with the exit code
+   */
+  constructor({ args, scenario, output, exit }) {
+    this.options = parseArgs(args);
+    this.scenario = scenario;
+    this.output = output;
+    this.exit = exit;
+
+    this.samples = samplesForGeometry(scenario.samples, this.options.geometry);
+    this.random = createRandom(scenario.seed);
+
+    // Scripted readings of samples that don't suit the geometry are skipped
+    const names = new Set(this.samples.map(sample => sample.name));
+    this.readings = scenario.readings.filter(step =>
+      step.misread || names.has(typeof step === 'string' ? step : step.sample));
+    this.nextSample = 0;
+
+    this.state = 'calibration';
+    this.timers = new Set();
+    this.buttonsScheduled = false;
+  }
+
+  start() {
+    this.write(PROMPTS.calibration(this.scenario.serialNumber));
+  }
+
+  write(text) {
+    this.output.write(text);
+  }
+
+  later(delayMs, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Handle console input, one key at a time
+   */
+  input(data) {
+    for (const key of data.toString()) {
+      if (QUIT_KEYS.includes(key)) {
+        this.quit();
+        return;
+      }
+      this.key();
+    }
+  }
+
+  key() {
+    switch (this.state) {
+      case 'calibration':
+        this.state = 'busy';
+        this.later(this.scenario.calibration.delayMs, () => this.calibrate());
+        break;
+      case 'transmissionReference':
+        this.state = 'busy';
+        this.later(this.scenario.calibration.delayMs, () => this.calibrated());
+        break;
+      case 'ready':
+        this.read();
+        break;
+      default:
+        // Keys pressed while the instrument is busy are ignored
+        break;
+    }
+  }
+
+  /**
+   * Simulated press of the instrument button
+   */
+  pressButton() {
+    if (this.state === 'ready') {
+      this.read();
+    }
+  }
+
+  calibrate() {
+    const { fail } = this.scenario.calibration;
+    if (fail) {
+      const reason = typeof fail === 'string' ? fail : 'Instrument reading is too low';
+      this.write(`\r\nCalibration failed with error :'${reason}'\r\n`);
+      this.state = 'calibration';
+      this.start();
+      return;
+    }
+
+    if (this.options.geometry === 'transmissive') {
+      this.state = 'transmissionReference';
+      this.write(PROMPTS.transmissionReference);
+      return;
+    }
+    this.calibrated();
+  }
+
+  calibrated() {
+    this.write('\r\nCalibration complete\r\n');
+    this.ready();
+
+    if (!this.buttonsScheduled) {
+      this.buttonsScheduled = true;
+      this.scenario.buttonPresses.forEach(delayMs => this.later(delayMs, () => this.pressButton()));
+    }
+  }
+
+  ready() {
+    this.state = 'ready';
+    this.write(PROMPTS.reading);
+  }
+
+  read() {
+    this.state = 'busy';
+    this.later(this.scenario.readDelayMs, () => {
+      const step = this.nextStep();
+      if (step.misread) {
+        this.write('\r\n\r\nSpot read failed due to misread\r\n');
+      } else {
+        this.write(this.formatReading(step.sample));
+      }
+      this.ready();
+    });
+  }
+
+  /**
+   * Next scripted reading, then samples in library or random order
+   * @returns {Object} { sample } or { misread: true }
+   */
+  nextStep() {
+    const step = this.readings.shift();
+    if (step && step.misread) {
+      return { misread: true };
+    }
+
+    if (step !== undefined) {
+      const name = typeof step === 'string' ? step : step.sample;
+      return { sample: this.samples.find(sample => sample.name === name) };
+    }
+
+    // Nothing to read: the instrument reports a failed reading
+    if (this.samples.length === 0) {
+      return { misread: true };
+    }
+    const index = this.scenario.order === 'random'
+      ? Math.floor(this.random() * this.samples.length)
+      : this.nextSample++ % this.samples.length;
+    return { sample: this.samples[index] };
+  }
+
+  formatSpectrum(spectral) {
+    let spectrum = Spectrum.fromTable(spectral);
+    if (this.options.highResolution) {
+      spectrum = spectrum.resample({ ...HIGH_RESOLUTION, method: 'sprague' });
+    }
+    return ` Spectrum from ${format(spectrum.start)} to ${format(spectrum.end)} nm in ${spectrum.count} steps\r\n` +
+      `${spectrum.values.map(v => format(v)).join(', ')}\r\n`;
+  }
+
+  formatReading(sample) {
+    const lightSource = this.options.geometry === 'emissive' || this.options.geometry === 'ambient';
+    const spectral = addNoise(sample.spectral, this.scenario.noise, this.random, lightSource);
+
+    let text;
+    if (lightSource) {
+      const XYZ = emissionXYZ(spectral);
+      const sum = XYZ.X + XYZ.Y + XYZ.Z;
+      text = `\r\n Result is XYZ: ${format(XYZ.X)} ${format(XYZ.Y)} ${format(XYZ.Z)}, ` +
+        `Yxy: ${format(XYZ.Y)} ${format(XYZ.X / sum)} ${format(XYZ.Y / sum)}\r\n`;
+    } else {
+      const XYZ = spectralToXYZ(spectral, D50, CIE1931_2DEG);
+      const Lab = toLab(XYZ, D50_WHITE);
+      text = `\r\n Result is XYZ: ${format(XYZ.X)} ${format(XYZ.Y)} ${format(XYZ.Z)}, ` +
+        `D50 Lab: ${format(Lab.L)} ${format(Lab.a)} ${format(Lab.b)}\r\n`;
+    }
+
+    if (this.options.spectrum) {
+      text += `\r\n${this.formatSpectrum(spectral)}`;
+      if (this.options.uv && !lightSource) {
+        // UV LED pass: only the fluorescent emission
+        const fluorescence = sample.fluorescence ||
+          Object.fromEntries(Object.keys(sample.spectral).map(wl => [wl, 0]));
+        text += `\r\n${this.formatSpectrum(fluorescence)}`;
+      }
+    }
+
+    if (this.options.lightSource && lightSource && sample.lightSource) {
+      const { cri, tlci } = sample.lightSource;
+      if (cri) {
+        text += `\r\n Color Rendering Index (Ra) = ${cri.Ra.toFixed(1)} [ R9 = ${cri.R9.toFixed(1)} ]\r\n`;
+      }
+      if (tlci !== undefined && tlci !== null) {
+        text += ` Television Lighting Consistency Index 2012 (Qa) = ${tlci.toFixed(1)}\r\n`;
+      }
+    }
+    return text;
+  }
+
+  quit() {
+    this.state = 'exiting';
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.write('\r\n');
+    this.exit(0);
+  }
+}
+
+/**
+ * Run the simulator as the spotread executable
+ */
+function main(args = process.argv.slice(2)) {
+  const simulator = new SpotreadSimulator({
+    args,
+    scenario: loadScenario(process.env.SPOTREAD_SIMULATOR_SCENARIO || undefined),
+    output: process.stdout,
+    exit: code => process.stdout.write('', () => process.exit(code))
+  });
+
+  // Single keystrokes, as spotread reads them from the console
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+  }
+  process.stdin.on('data', data => simulator.input(data));
+  process.stdin.on('end', () => simulator.quit());
+  if (process.platform !== 'win32') {
+    process.on('SIGUSR1', () => simulator.pressButton());
+  }
+
+  simulator.start();
+}
+
+module.exports = {
+  SpotreadSimulator,
+  loadScenario,
+  main
+};
@@ -19,6 +19,27 @@ class Config {
         },
         calibration: {
           expiryHours: 8
+        },
+        measurement: {
+          dualPass: true,
+          highResolution: false
+        },
+        queue: {
+          timeoutMs: 120000
+        },
+        session: {
+          autoRecover: false
+        },
+        emission: {
+          tm30SamplesFile: ''
+        },
+        virtual: {
+          enabled: false,
+          samplesFile: '',
+          order: 'sequence',
+          seed: 1,
+          noise: 0,
+          buttonIntervalMs: 0
         }
       }
     });
@@ -85,6 +106,11 @@ class Config {
   }
 
   getArgyllPath() {
+    // Environment override, e.g. the spotread simulator (src/simulator/bin) on CI
+    if (process.env.SPECTRO_BRIDGE_ARGYLL_PATH) {
+      return process.env.SPECTRO_BRIDGE_ARGYLL_PATH;
+    }
+
     const cachedPath = this.get('argyll.path');
     // Re-detect if cached path doesn't exist
     if (cachedPath && !fs.existsSync(cachedPath)) {
@@ -106,6 +132,48 @@ class Config {
   getCalibrationExpiryHours() {
     return this.get('calibration.expiryHours');
   }
+
+  isDualPassEnabled() {
+    return this.get('measurement.dualPass') !== false;
+  }
+
+  isHighResolutionEnabled() {
+    return this.get('measurement.highResolution') === true;
+  }
+
+  /**
+   * Longest wait for a queued request before it fails, 0 to wait indefinitely
+   */
+  getQueueTimeoutMs() {
+    return this.get('queue.timeoutMs');
+  }
+
+  /**
+   * Recalibrate a spotread session that ended unexpectedly without waiting for a client
+   */
+  isSessionAutoRecoverEnabled() {
+    return this.get('session.autoRecover') === true;
+  }
+
+  /**
+   * CSV file of the TM-30 colour evaluation samples, '' when none is installed
+   */
+  getTm30SamplesFile() {
+    return this.get('emission.tm30SamplesFile') || '';
+  }
+
+  /**
+   * Register a virtual device at startup, for demos and client development
+   */
+  isVirtualDeviceEnabled() {
+    return this.get('virtual.enabled') === true || process.env.SPECTRO_BRIDGE_VIRTUAL_DEVICE === '1';
+  }
+
+  getVirtualDeviceOptions() {
+    const options = { ...this.get('virtual') };
+    delete options.enabled;
+    return options;
+  }
 }
 
 module.exports = new Config();
@@ -0,0 +1,88 @@
+const { Spectrum } = require('../../src/argyll/spectrum');
+const {
+  parseCGATS,
+  writeCGATS,
+  spectralFields,
+  rowSpectrum,
+  readSpectrumFile,
+  writeSpectrumFile
+} = require('../../src/argyll/cgats');
+
+const flat = (value, interval = 10) =>
+  Spectrum.fromRange(380, 730, Array.from({ length: 350 / interval + 1 }, (_, i) => value + i)).toTable();
+
+describe('writeCGATS', () => {
+  const table = {
+    fileType: 'CGATS.17',
+    keywords: { ORIGINATOR: 'Test', MEASUREMENT_CONDITION: 'M1', DEVICE_CLASS: 'OUTPUT' },
+    fields: ['SAMPLE_ID', 'SAMPLE_NAME', 'XYZ_Y'],
+    rows: [
+      { SAMPLE_ID: 'A1', SAMPLE_NAME: 'Paper white', XYZ_Y: 87.5 },
+      { SAMPLE_ID: 'A2', SAMPLE_NAME: 'Say "cheese"', XYZ_Y: 3 }
+    ]
+  };
+
+  test('round-trips through parseCGATS', () => {
+    const [parsed] = parseCGATS(writeCGATS([table]));
+    expect(parsed.fileType).toBe('CGATS.17');
+    expect(parsed.keywords).toMatchObject({ ORIGINATOR: 'Test', MEASUREMENT_CONDITION: 'M1', DEVICE_CLASS: 'OUTPUT' });
+    expect(parsed.fields).toEqual(table.fields);
+    expect(parsed.rows).toEqual([
+      { SAMPLE_ID: 'A1', SAMPLE_NAME: 'Paper white', XYZ_Y: '87.500000' },
+      { SAMPLE_ID: 'A2', SAMPLE_NAME: "Say 'cheese'", XYZ_Y: '3' }
+    ]);
+  });
+
+  test('declares non-standard keywords and counts fields and sets', () => {
+    const text = writeCGATS([table]);
+    expect(text).toContain('KEYWORD "DEVICE_CLASS"\nDEVICE_CLASS "OUTPUT"');
+    expect(text).not.toContain('KEYWORD "ORIGINATOR"');
+    expect(text).toContain('NUMBER_OF_FIELDS 3');
+    expect(text).toContain('NUMBER_OF_SETS 2');
+  });
+
+  test('writes several tables', () => {
+    const tables = parseCGATS(writeCGATS([table, { ...table, fileType: 'CTI3' }]));
+    expect(tables.map(t => t.fileType)).toEqual(['CGATS.17', 'CTI3']);
+  });
+
+  test('rejects values that are not numbers', () => {
+    expect(() => writeCGATS([{ ...table, rows: [{ XYZ_Y: NaN }] }])).toThrow(/^INVALID_PARAMETERS: /);
+  });
+});
+
+describe('parseCGATS', () => {
+  test('checks the declared number of sets', () => {
+    const text = 'CTI3\nNUMBER_OF_FIELDS 1\nBEGIN_DATA_FORMAT\nSAMPLE_ID\nEND_DATA_FORMAT\n' +
+      'NUMBER_OF_SETS 3\nBEGIN_DATA\n1\n2\nEND_DATA\n';
+    expect(() => parseCGATS(text)).toThrow(/declares 3 sets but has 2/);
+  });
+});
+
+describe('.sp files', () => {
+  test('round-trip spectra with their norm', () => {
+    const spectra = [flat(10), flat(20)];
+    const read = readSpectrumFile(writeSpectrumFile(spectra, { norm: 100, keywords: { DESCRIPTOR: 'Test' } }));
+    expect(read).toEqual(spectra.map(spectral => ({ spectral, norm: 100 })));
+  });
+
+  test('keep fractional grids exact', () => {
+    const highResolution = Spectrum.fromTable(flat(10)).resample({ start: 380, end: 730, interval: 10 / 3 }).toTable();
+    const text = writeSpectrumFile([highResolution]);
+    expect(text).toContain('SPEC_383 SPEC_387 SPEC_390');
+
+    const [table] = parseCGATS(text);
+    expect(spectralFields(table)[1].wavelength).toBeCloseTo(383.333, 3);
+    expect(rowSpectrum(table, table.rows[0])).toEqual(readSpectrumFile(text)[0].spectral);
+    expect(Object.keys(readSpectrumFile(text)[0].spectral)).toHaveLength(106);
+  });
+
+  test('refuse spectra on different grids', () => {
+    expect(() => writeSpectrumFile([flat(10), flat(10, 5)])).toThrow(/different grids/);
+  });
+
+  test('need a SPECT table', () => {
+    const text = writeCGATS([{ fileType: 'CTI3', keywords: {}, fields: ['SAMPLE_ID'], rows: [{ SAMPLE_ID: '1' }] }]);
+    expect(() => readSpectrumFile(text)).toThrow(/No SPECT table/);
+  });
+});
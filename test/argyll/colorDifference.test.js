@@ -0,0 +1,131 @@
+const { deltaE2000, deltaE76, deltaE94, deltaECMC } = require('../../src/argyll/colorDifference');
+
+/**
+ * Test data for the CIEDE2000 colour-difference formula from Sharma, Wu and
+ * Dalal, "The CIEDE2000 color-difference formula: implementation notes,
+ * supplementary test data, and mathematical observations", Color Research &
+ * Application 30(1), 2005, Table 1: L1 a1 b1, L2 a2 b2, ΔE00 (kL = kC = kH = 1).
+ * The pairs exercise the hue-angle wrap-around and the mean-hue cases.
+ */
+const SHARMA_PAIRS = [
+  [50.0000, 2.6772, -79.7751, 50.0000, 0.0000, -82.7485, 2.0425],
+  [50.0000, 3.1571, -77.2803, 50.0000, 0.0000, -82.7485, 2.8615],
+  [50.0000, 2.8361, -74.0200, 50.0000, 0.0000, -82.7485, 3.4412],
+  [50.0000, -1.3802, -84.2814, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, -1.1848, -84.8006, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, -0.9009, -85.5211, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, 0.0000, 0.0000, 50.0000, -1.0000, 2.0000, 2.3669],
+  [50.0000, -1.0000, 2.0000, 50.0000, 0.0000, 0.0000, 2.3669],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0009, 7.1792],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0010, 7.1792],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0011, 7.2195],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0012, 7.2195],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0009, -2.4900, 4.8045],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0010, -2.4900, 4.8045],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0011, -2.4900, 4.7461],
+  [50.0000, 2.5000, 0.0000, 50.0000, 0.0000, -2.5000, 4.3065],
+  [50.0000, 2.5000, 0.0000, 73.0000, 25.0000, -18.0000, 27.1492],
+  [50.0000, 2.5000, 0.0000, 61.0000, -5.0000, 29.0000, 22.8977],
+  [50.0000, 2.5000, 0.0000, 56.0000, -27.0000, -3.0000, 31.9030],
+  [50.0000, 2.5000, 0.0000, 58.0000, 24.0000, 15.0000, 19.4535],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.1736, 0.5854, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.2972, 0.0000, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 1.8634, 0.5757, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.2592, 0.3350, 1.0000],
+  [60.2574, -34.0099, 36.2677, 60.4626, -34.1751, 39.4387, 1.2644],
+  [63.0109, -31.0961, -5.8663, 62.8187, -29.7946, -4.0864, 1.2630],
+  [61.2901, 3.7196, -5.3901, 61.4292, 2.2480, -4.9620, 1.8731],
+  [35.0831, -44.1164, 3.7933, 35.0232, -40.0716, 1.5901, 1.8645],
+  [22.7233, 20.0904, -46.6940, 23.0331, 14.9730, -42.5619, 2.0373],
+  [36.4612, 47.8580, 18.3852, 36.2715, 50.5065, 21.2231, 1.4146],
+  [90.8027, -2.0831, 1.4410, 91.1528, -1.6435, 0.0447, 1.4441],
+  [90.9257, -0.5406, -0.9208, 88.6381, -0.8985, -0.7239, 1.5381],
+  [6.7747, -0.2908, -2.4247, 5.8714, -0.0985, -2.2286, 0.6377],
+  [2.0776, 0.0795, -1.1350, 0.9033, -0.0636, -0.5514, 0.9082]
+];
+
+const lab = (L, a, b) => ({ L, a, b });
+
+describe('deltaE2000', () => {
+  test.each(SHARMA_PAIRS.map((pair, index) => [index + 1, ...pair]))(
+    'Sharma pair %i',
+    (_, L1, a1, b1, L2, a2, b2, expected) => {
+      expect(deltaE2000(lab(L1, a1, b1), lab(L2, a2, b2)).dE).toBeCloseTo(expected, 4);
+      // The formula is symmetric in its inputs
+      expect(deltaE2000(lab(L2, a2, b2), lab(L1, a1, b1)).dE).toBeCloseTo(expected, 4);
+    }
+  );
+
+  test('identical colours have no difference', () => {
+    expect(deltaE2000(lab(50, 10, -10), lab(50, 10, -10)).dE).toBe(0);
+  });
+});
+
+describe('deltaE76', () => {
+  test('is the Euclidean distance with signed components', () => {
+    const difference = deltaE76(lab(50, 0, 0), lab(53, 4, 0));
+    expect(difference).toMatchObject({ dE: 5, dL: 3, da: 4, db: 0, dC: 4 });
+  });
+});
+
+/**
+ * Reference values from the colour-science test suite (Mansencal et al.,
+ * colour/difference/tests/test_delta_e.py): one reference against three
+ * samples. The pairs share L*, so the lightness weighting is checked on the
+ * lightness-only pairs below.
+ */
+const REFERENCE = [100, 21.57210357, 272.2281935];
+const COLOUR_SCIENCE_PAIRS = [
+  // sample, ΔE94 graphic arts, ΔE94 textiles, ΔE CMC
+  [[100, 426.67945353, 72.39590835], 83.779225500887, 88.335553057507, 172.704771286560],
+  [[100, 74.05216981, 276.45318193], 10.053931954554, 10.612657890048, 20.597327167355],
+  [[100, 8.32281957, -73.58297716], 57.535453706667, 60.368687261063, 121.718414791234]
+];
+
+describe('deltaE94', () => {
+  test.each(COLOUR_SCIENCE_PAIRS)('against %j', (sample, graphicArts, textiles) => {
+    expect(deltaE94(lab(...REFERENCE), lab(...sample)).dE).toBeCloseTo(graphicArts, 8);
+    expect(deltaE94(lab(...REFERENCE), lab(...sample), { application: 'textiles' }).dE).toBeCloseTo(textiles, 8);
+  });
+
+  test('weights lightness by kL: 1 for graphic arts, 2 for textiles', () => {
+    expect(deltaE94(lab(50, 20, 0), lab(54, 20, 0)).dE).toBeCloseTo(4, 10);
+    expect(deltaE94(lab(50, 20, 0), lab(54, 20, 0), { application: 'textiles' }).dE).toBeCloseTo(2, 10);
+    expect(deltaE94(lab(50, 20, 0), lab(54, 20, 0), { kL: 4 }).dE).toBeCloseTo(1, 10);
+  });
+
+  test('divides chroma and hue differences by kC·SC and kH·SH', () => {
+    // C*ab of the reference is 20: SC = 1 + 0.045·20 = 1.9, SH = 1 + 0.015·20 = 1.3
+    expect(deltaE94(lab(50, 20, 0), lab(50, 30, 0)).dE).toBeCloseTo(10 / 1.9, 10);
+    expect(deltaE94(lab(50, 20, 0), lab(50, 30, 0), { kC: 2 }).dE).toBeCloseTo(10 / 3.8, 10);
+    const hue = lab(50, 20 * Math.cos(0.1), 20 * Math.sin(0.1));
+    const dH = 2 * 20 * Math.sin(0.05);
+    expect(deltaE94(lab(50, 20, 0), hue).dE).toBeCloseTo(dH / 1.3, 10);
+    expect(deltaE94(lab(50, 20, 0), hue, { kH: 2 }).dE).toBeCloseTo(dH / 2.6, 10);
+  });
+});
+
+describe('deltaECMC', () => {
+  test.each(COLOUR_SCIENCE_PAIRS)('against %j', (sample, _, __, cmc) => {
+    // Without a lightness difference l:c = 2:1 and 1:1 agree
+    expect(deltaECMC(lab(...REFERENCE), lab(...sample)).dE).toBeCloseTo(cmc, 8);
+    expect(deltaECMC(lab(...REFERENCE), lab(...sample), { l: 1, c: 1 }).dE).toBeCloseTo(cmc, 8);
+  });
+
+  test.each([
+    // L1, SL: 0.040975·L / (1 + 0.01765·L), or 0.511 below L* 16
+    [50, 0.040975 * 50 / (1 + 0.01765 * 50)],
+    [10, 0.511]
+  ])('weights lightness at L* %d by l·SL (2:1 and 1:1)', (L, SL) => {
+    const reference = lab(L, 0, 0);
+    const sample = lab(L + 3, 0, 0);
+    expect(deltaECMC(reference, sample).dE).toBeCloseTo(3 / (2 * SL), 10);
+    expect(deltaECMC(reference, sample, { l: 1, c: 1 }).dE).toBeCloseTo(3 / SL, 10);
+  });
+
+  test('is not symmetric: the weights come from the reference', () => {
+    const a = lab(50, 40, 10);
+    const b = lab(55, 20, 30);
+    expect(deltaECMC(a, b).dE).not.toBeCloseTo(deltaECMC(b, a).dE, 2);
+  });
+});
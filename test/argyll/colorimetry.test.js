@@ -0,0 +1,48 @@
+const {
+  CIE1931_2DEG, CIE1964_10DEG, DAYLIGHT_CCT, ILLUMINANT_F11, illuminantA, daylightIlluminant
+} = require('../../src/argyll/cieTables');
+const { whitePoint } = require('../../src/argyll/colorimetry');
+
+const OBSERVERS = { '2°': CIE1931_2DEG, '10°': CIE1964_10DEG };
+
+const ILLUMINANTS = {
+  A: illuminantA(),
+  D50: daylightIlluminant(DAYLIGHT_CCT.D50),
+  D65: daylightIlluminant(DAYLIGHT_CCT.D65),
+  F11: ILLUMINANT_F11
+};
+
+/**
+ * Published white points (Y = 100) from ASTM E308 and CIE 015:2018. The
+ * 5nm integration reproduces them to 0.001 except D65, whose Z comes out
+ * up to 0.02 high, so D65 is checked to one decimal place.
+ */
+const WHITE_POINTS = [
+  ['A', '2°', 109.850, 35.585, 2],
+  ['A', '10°', 111.144, 35.200, 2],
+  ['D50', '2°', 96.422, 82.521, 2],
+  ['D50', '10°', 96.720, 81.427, 2],
+  ['D65', '2°', 95.047, 108.883, 1],
+  ['D65', '10°', 94.811, 107.304, 1]
+];
+
+// CIE 015:2018 chromaticities of F11
+const F11_CHROMATICITY = [
+  ['2°', 0.3805, 0.3769],
+  ['10°', 0.3854, 0.3711]
+];
+
+describe('whitePoint', () => {
+  test.each(WHITE_POINTS)('%s/%s', (illuminant, observer, X, Z, digits) => {
+    const white = whitePoint(ILLUMINANTS[illuminant], OBSERVERS[observer]);
+    expect(white.Y).toBeCloseTo(100, 10);
+    expect(white.X).toBeCloseTo(X, digits);
+    expect(white.Z).toBeCloseTo(Z, digits);
+  });
+
+  test.each(F11_CHROMATICITY)('F11/%s keeps its emission lines', (observer, x, y) => {
+    const { X, Y, Z } = whitePoint(ILLUMINANTS.F11, OBSERVERS[observer]);
+    expect(X / (X + Y + Z)).toBeCloseTo(x, 4);
+    expect(Y / (X + Y + Z)).toBeCloseTo(y, 4);
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { parseConsoleOutput, PARSE_ERRORS } = require('../../src/argyll/parser');
+const { SpotreadOutput } = require('../../src/argyll/spotreadOutput');
+
+/**
+ * Each fixture is a spotread transcript (<name>.txt) of one reading between
+ * two reading prompts, with the command line, instrument and expected parse
+ * in <name>.json. "source" says whether the transcript was captured from an
+ * instrument or synthesized in spotread's output format. Transcripts for
+ * another instrument or Argyll release are added by dropping both files into
+ * the fixtures directory.
+ */
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'spotread');
+
+const fixtures = fs.readdirSync(FIXTURES)
+  .filter(file => file.endsWith('.json'))
+  .map(file => {
+    const name = path.basename(file, '.json');
+    return {
+      name,
+      ...JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8')),
+      transcript: fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8')
+    };
+  });
+
+function expectTriple(actual, expected) {
+  expect(Object.keys(actual)).toEqual(Object.keys(expected));
+  for (const key of Object.keys(expected)) {
+    expect(actual[key]).toBeCloseTo(expected[key], 6);
+  }
+}
+
+function expectSpectrum(table, expected) {
+  const wavelengths = Object.keys(table).map(Number).sort((a, b) => a - b);
+  expect(wavelengths).toHaveLength(expected.count);
+  expect(wavelengths[0]).toBeCloseTo(expected.start, 3);
+  expect(wavelengths[wavelengths.length - 1]).toBeCloseTo(expected.end, 3);
+  expect(table[wavelengths[0]]).toBeCloseTo(expected.first, 3);
+  expect(table[wavelengths[wavelengths.length - 1]]).toBeCloseTo(expected.last, 3);
+}
+
+describe('parseConsoleOutput fixtures', () => {
+  test.each(fixtures.map(fixture => [fixture.name, fixture.source]))('%s says where it came from', (_, source) => {
+    expect(['captured', 'synthetic']).toContain(source);
+  });
+
+  const readings = fixtures.filter(fixture => !fixture.expect.error);
+  const failures = fixtures.filter(fixture => fixture.expect.error);
+
+  test.each(readings.map(fixture => [fixture.name, fixture]))('%s', (_, fixture) => {
+    const { expect: expected } = fixture;
+    const parsed = parseConsoleOutput(fixture.transcript, fixture.options);
+
+    expectTriple(parsed.XYZ, expected.XYZ);
+    if (expected.Lab) {
+      expectTriple(parsed.Lab, expected.Lab);
+    } else {
+      expect(parsed.Lab).toBeNull();
+    }
+    if (expected.Yxy) {
+      expectTriple(parsed.Yxy, expected.Yxy);
+    } else {
+      expect(parsed.Yxy).toBeNull();
+    }
+
+    if (expected.spectrum) {
+      expectSpectrum(parsed.spectral, expected.spectrum);
+      expect(parsed.wavelengthRange).toEqual({
+        start: expected.spectrum.start,
+        end: expected.spectrum.end,
+        interval: expected.spectrum.interval,
+        count: expected.spectrum.count
+      });
+    } else {
+      expect(parsed.spectral).toEqual({});
+      expect(parsed.wavelengthRange).toBeNull();
+    }
+
+    if (expected.uvSpectrum) {
+      expectSpectrum(parsed.uvSpectral, expected.uvSpectrum);
+    } else {
+      expect(parsed.uvSpectral).toBeNull();
+    }
+
+    expect(parsed.lightSource).toEqual(expected.lightSource);
+    expect(parsed.warnings).toEqual(expected.warnings);
+  });
+
+  test.each(failures.map(fixture => [fixture.name, fixture]))('%s', (_, fixture) => {
+    expect(PARSE_ERRORS).toContain(fixture.expect.error);
+    expect(() => parseConsoleOutput(fixture.transcript, fixture.options))
+      .toThrow(new RegExp(`^${fixture.expect.error}: `));
+  });
+});
+
+/**
+ * Transcripts still to be captured from an instrument, by the synthetic
+ * fixture each one stands in for. A capture is added as <name>-captured with
+ * the same command line; until then the case is listed as a todo.
+ */
+const CAPTURES = [
+  'i1pro-reflective',
+  'i1pro2-reflective-uv',
+  'i1pro3-reflective-uv-high-res',
+  'i1pro2-emissive',
+  'i1pro2-ambient',
+  'i1pro3-transmissive',
+  'i1pro-reflective-too-low'
+];
+
+describe('captured transcripts', () => {
+  for (const name of CAPTURES) {
+    const synthetic = fixtures.find(fixture => fixture.name === name);
+    const capture = fixtures.find(fixture => fixture.name === `${name}-captured`);
+    if (!capture) {
+      test.todo(`capture ${name} (${synthetic.instrument}: ${synthetic.command})`);
+      continue;
+    }
+    test(`${capture.name} comes from an instrument`, () => {
+      expect(capture.source).toBe('captured');
+      expect(capture.command).toBe(synthetic.command);
+    });
+  }
+});
+
+describe('parseConsoleOutput grammar', () => {
+  const RESULT = ' Result is XYZ: 40.0 42.0 35.0, D50 Lab: 71.0 -2.0 3.0';
+  const values = count => Array.from({ length: count }, (_, i) => (i / 10).toFixed(3)).join(', ');
+
+  test('values may wrap over several lines', () => {
+    const output = `${RESULT}\n Spectrum from 380.000000 to 730.000000 nm in 36 steps\n${values(20)},\n${values(16)}\n`;
+    const parsed = parseConsoleOutput(output);
+    expect(Object.keys(parsed.spectral)).toHaveLength(36);
+    expect(parsed.spectral['570']).toBeCloseTo(1.9, 6);
+    expect(parsed.spectral['580']).toBe(0);
+  });
+
+  test('the grid comes from the header, never a default', () => {
+    const parsed = parseConsoleOutput(`${RESULT}\n Spectrum from 400.000000 to 700.000000 nm in 31 steps\n${values(31)}\n`);
+    expect(parsed.wavelengthRange).toEqual({ start: 400, end: 700, interval: 10, count: 31 });
+  });
+
+  test('extra values after the announced count are not read as values', () => {
+    const output = `${RESULT}\n Spectrum from 380.000000 to 730.000000 nm in 36 steps\n${values(36)}\n${values(3)}\n`;
+    expect(Object.keys(parseConsoleOutput(output).spectral)).toHaveLength(36);
+  });
+
+  test('a header with an impossible grid is rejected', () => {
+    const output = `${RESULT}\n Spectrum from 730.000000 to 380.000000 nm in 36 steps\n${values(36)}\n`;
+    expect(() => parseConsoleOutput(output)).toThrow(/^PARSE_GRID_MISMATCH: /);
+  });
+
+  test('a spectrum before the result is rejected', () => {
+    const output = ` Spectrum from 380.000000 to 730.000000 nm in 36 steps\n${values(36)}\n${RESULT}\n`;
+    expect(() => parseConsoleOutput(output)).toThrow(/^PARSE_NO_RESULT: /);
+  });
+
+  test('a third spectrum is rejected', () => {
+    const block = ` Spectrum from 380.000000 to 730.000000 nm in 36 steps\n${values(36)}\n`;
+    expect(() => parseConsoleOutput(`${RESULT}\n${block}${block}${block}`)).toThrow(/^PARSE_UNEXPECTED_SPECTRUM: /);
+  });
+
+  test.each([
+    'i1pro2-reflective-uv',
+    'i1pro-reflective-too-low'
+  ])('chunked session output parses like the transcript (%s)', (name) => {
+    const fixture = fixtures.find(f => f.name === name);
+    const output = new SpotreadOutput();
+    const readings = [];
+    output.on('reading', lines => readings.push(lines.join('\n')));
+
+    const transcript = fixture.transcript.replace(/\n/g, '\r\n');
+    for (let i = 0; i < transcript.length; i += 37) {
+      output.write(transcript.slice(i, i + 37));
+    }
+
+    expect(readings).toHaveLength(1);
+    expect(parseConsoleOutput(readings[0])).toEqual(parseConsoleOutput(fixture.transcript));
+  });
+});
@@ -0,0 +1,33 @@
+const { Spectrum } = require('../../src/argyll/spectrum');
+
+// i1Pro high-resolution grid, 380-730nm in 106 steps of 10/3nm
+const highResolution = fn => Spectrum.fromRange(380, 730, Array.from({ length: 106 }, (_, i) => fn(380 + i * 10 / 3)));
+
+describe('Spectrum on a fractional grid', () => {
+  test('keys are rounded but the grid stays exact', () => {
+    const spectrum = highResolution(wl => wl);
+    const table = spectrum.toTable();
+    expect(Object.keys(table)).toEqual(expect.arrayContaining(['380', '383.333', '386.667', '726.667', '730']));
+    expect(spectrum.describe()).toEqual({ start: 380, end: 730, interval: 3.333, count: 106 });
+    expect(Spectrum.fromTable(table).spacing()).toBeCloseTo(10 / 3, 12);
+  });
+
+  test.each(['sprague', 'linear'])('%s resampling of table keys does not drift along the range', (method) => {
+    // Both methods reproduce a straight line, so any error is the grid drifting
+    const table = highResolution(wl => wl / 10).toTable();
+    const resampled = Spectrum.fromTable(table).resample({ interval: 1, method }).toTable();
+
+    expect(Object.keys(resampled)).toHaveLength(351);
+    for (const wl of [381, 500, 650, 725, 729]) {
+      expect(resampled[wl]).toBeCloseTo(wl / 10, 3);
+    }
+  });
+
+  test('resampling onto the fractional grid hits its bands', () => {
+    const spectrum = Spectrum.fromRange(380, 730, Array.from({ length: 36 }, (_, i) => i));
+    const resampled = spectrum.resample({ interval: 10 / 3, method: 'sprague' });
+    expect(resampled.count).toBe(106);
+    expect(resampled.toTable()['730']).toBe(35);
+    expect(resampled.toTable()['726.667']).toBeCloseTo(35 - 1 / 3, 9);
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../src/utils/config', () => ({ getArgyllPath: () => '/opt/argyll/bin' }));
+
+/**
+ * Pseudo-terminal whose output and exit the test drives
+ */
+const terminals = [];
+jest.mock('node-pty', () => ({
+  spawn: jest.fn(() => {
+    const terminal = {
+      written: [],
+      write: data => terminal.written.push(data),
+      kill: jest.fn(),
+      onData: (listener) => { terminal.data = listener; },
+      onExit: (listener) => { terminal.exit = exitCode => listener({ exitCode }); }
+    };
+    terminals.push(terminal);
+    return terminal;
+  })
+}));
+
+const { SpotreadWrapper } = require('../../src/argyll/spotread');
+
+describe('SpotreadWrapper calibration', () => {
+  let spotread;
+  beforeEach(() => {
+    terminals.length = 0;
+    spotread = new SpotreadWrapper();
+  });
+
+  test('spotread exiting during calibration rejects it without quitting the dead process', async () => {
+    const calibration = spotread.startSessionAndCalibrate({});
+    const [terminal] = terminals;
+    terminal.exit(1);
+
+    await expect(calibration).rejects.toThrow(/^CALIBRATION_FAILED: spotread exited with code 1/);
+    expect(terminal.written).not.toContain('q');
+    expect(spotread.state).toBe('idle');
+    expect(spotread.terminal).toBeNull();
+  });
+
+  describe('timeouts', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('a calibration that times out quits the session', async () => {
+      const calibration = spotread.startSessionAndCalibrate({});
+      const [terminal] = terminals;
+      jest.advanceTimersByTime(60000);
+
+      await expect(calibration).rejects.toThrow(/^CALIBRATION_TIMEOUT: /);
+      expect(terminal.written).toEqual(['q']);
+      expect(spotread.state).toBe('stopping');
+
+      terminal.exit(0);
+      expect(spotread.state).toBe('idle');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  ciecam02, referenceIlluminant, computeTM30, loadColourEvaluationSamples
+} = require('../../src/argyll/tm30');
+
+/**
+ * The IES colour evaluation samples are not shipped, so the indices are
+ * checked with a stand-in set of 99 smooth reflectances spread over the hue
+ * circle: a source identical to its reference must score 100 whatever the
+ * samples are.
+ */
+const SAMPLES = Array.from({ length: 99 }, (_, i) => {
+  const centre = 380 + (i % 33) * 12.5;
+  const width = [25, 50, 90][Math.floor(i / 33)];
+  const reflectance = {};
+  for (let wl = 380; wl <= 780; wl += 5) {
+    reflectance[wl] = 0.1 + 0.7 * Math.exp(-(((wl - centre) / width) ** 2));
+  }
+  return reflectance;
+});
+
+describe('ciecam02', () => {
+  test('reproduces the CIE 159 worked example', () => {
+    const colour = ciecam02({ X: 19.31, Y: 23.93, Z: 10.14 }, { X: 98.88, Y: 90, Z: 32.03 }, { LA: 200, Yb: 18 });
+    expect(colour.J).toBeCloseTo(48.0314, 4);
+    expect(colour.C).toBeCloseTo(38.7789, 4);
+    expect(colour.h).toBeCloseTo(191.0452, 4);
+  });
+});
+
+describe('referenceIlluminant', () => {
+  test.each([4000, 5000])('is continuous where the blend starts or ends (%iK)', (cct) => {
+    const below = referenceIlluminant(cct - 0.001);
+    const above = referenceIlluminant(cct + 0.001);
+    for (const wl of Object.keys(below)) {
+      expect(above[wl]).toBeCloseTo(below[wl], 3);
+    }
+  });
+});
+
+describe('computeTM30', () => {
+  test.each([2700, 4500, 6500])('a source that is its own reference scores 100 (%iK)', (cct) => {
+    const { Rf, Rg } = computeTM30(referenceIlluminant(cct), cct, SAMPLES);
+    expect(Rf).toBeCloseTo(100, 2);
+    expect(Rg).toBeCloseTo(100, 6);
+  });
+
+  test('a spectrum ending at 730nm is extended to 780nm', () => {
+    const reference = referenceIlluminant(3000);
+    const truncated = {};
+    for (let wl = 380; wl <= 730; wl += 10) {
+      truncated[wl] = reference[wl];
+    }
+    const { Rf, Rg } = computeTM30(truncated, 3000, SAMPLES);
+    expect(Rf).toBeCloseTo(100, 1);
+    expect(Rg).toBeCloseTo(100, 1);
+  });
+
+  test('narrow-band emission lowers fidelity', () => {
+    const rgb = {};
+    for (let wl = 380; wl <= 780; wl += 5) {
+      rgb[wl] = [450, 540, 610].reduce((sum, peak) => sum + Math.exp(-(((wl - peak) / 10) ** 2)), 0);
+    }
+    expect(computeTM30(rgb, 5600, SAMPLES).Rf).toBeLessThan(80);
+  });
+});
+
+describe('loadColourEvaluationSamples', () => {
+  let directory;
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tm30-'));
+  });
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (name, rows) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, rows.join('\n'));
+    return file;
+  };
+  const rows = (start, end, count) => {
+    const lines = [['nm', ...Array.from({ length: count }, (_, i) => `CES${i + 1}`)].join(',')];
+    for (let wl = start; wl <= end; wl += 5) {
+      lines.push([wl, ...Array.from({ length: count }, (_, i) => (i / 100).toFixed(2))].join(','));
+    }
+    return lines;
+  };
+
+  test('reads one reflectance table per sample and skips the header', () => {
+    const samples = loadColourEvaluationSamples(write('ces.csv', rows(380, 780, 99)));
+    expect(samples).toHaveLength(99);
+    expect(Object.keys(samples[0])).toHaveLength(81);
+    expect(samples[98]['555']).toBeCloseTo(0.98, 10);
+  });
+
+  test.each([
+    ['a sample missing', 'short.csv', rows(380, 780, 98)],
+    ['a range short of 780nm', 'range.csv', rows(380, 730, 99)]
+  ])('rejects %s', (_, name, lines) => {
+    expect(() => loadColourEvaluationSamples(write(name, lines))).toThrow(/^INVALID_PARAMETERS: /);
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { RequestQueue } = require('../../src/device/RequestQueue');
+
+/**
+ * Operation that runs until the test settles it
+ */
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestQueue', () => {
+  let queue;
+  let started;
+
+  beforeEach(() => {
+    queue = new RequestQueue();
+    started = [];
+  });
+
+  // Queue an operation that records its start and waits for the returned deferred
+  function enqueue(requestId, options = {}, operation = 'measurement') {
+    const gate = deferred();
+    const promise = queue.enqueue(operation, () => {
+      started.push(requestId);
+      return gate.promise;
+    }, { requestId, ...options });
+    return { promise, gate };
+  }
+
+  test('runs higher priorities first and arrival order within a priority', async () => {
+    const first = enqueue('first');
+    const low = enqueue('low', { priority: -1 });
+    const normal = enqueue('normal');
+    const high = enqueue('high', { priority: 5 });
+    const laterHigh = enqueue('later-high', { priority: 5 });
+
+    for (const { gate } of [first, high, laterHigh, normal, low]) {
+      await flush();
+      gate.resolve();
+    }
+    await Promise.all([first, low, normal, high, laterHigh].map(r => r.promise));
+
+    expect(started).toEqual(['first', 'high', 'later-high', 'normal', 'low']);
+  });
+
+  test('settles each request with its operation', async () => {
+    const ok = enqueue('ok');
+    const failing = enqueue('failing');
+    ok.gate.resolve('value');
+    await expect(ok.promise).resolves.toBe('value');
+    await flush();
+    failing.gate.reject(new Error('MEASUREMENT_FAILED: no reading'));
+    await expect(failing.promise).rejects.toThrow(/^MEASUREMENT_FAILED: /);
+    expect(queue.isBusy()).toBe(false);
+  });
+
+  test('announces positions when they change', async () => {
+    const events = [];
+    queue.on('queued', event => events.push(event));
+
+    const a = enqueue('a');
+    enqueue('b');
+    enqueue('c', { priority: 1 });
+
+    expect(events).toEqual([
+      { requestId: 'a', operation: 'measurement', position: 0, queueLength: 0 },
+      { requestId: 'b', operation: 'measurement', position: 1, queueLength: 1 },
+      { requestId: 'c', operation: 'measurement', position: 1, queueLength: 2 },
+      { requestId: 'b', operation: 'measurement', position: 2, queueLength: 2 }
+    ]);
+
+    events.length = 0;
+    a.gate.resolve();
+    await a.promise;
+    await flush();
+    expect(events).toEqual([
+      { requestId: 'c', operation: 'measurement', position: 0, queueLength: 1 },
+      { requestId: 'b', operation: 'measurement', position: 1, queueLength: 1 }
+    ]);
+  });
+
+  describe('timeouts', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('drops a request that waits too long with QUEUE_TIMEOUT', async () => {
+      const running = enqueue('running');
+      const waiting = enqueue('waiting', { timeoutMs: 1000 });
+      enqueue('after');
+
+      jest.advanceTimersByTime(1000);
+      await expect(waiting.promise).rejects.toThrow(/^QUEUE_TIMEOUT: /);
+      expect(queue.getLength()).toBe(1);
+
+      running.gate.resolve();
+      await running.promise;
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(started).toEqual(['running', 'after']);
+    });
+
+    test('does not time out a request once it has started', async () => {
+      const running = enqueue('running', { timeoutMs: 1000 });
+      await Promise.resolve();
+      jest.advanceTimersByTime(5000);
+      running.gate.resolve('done');
+      await expect(running.promise).resolves.toBe('done');
+    });
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => queue.enqueue('measurement', jest.fn(), { priority: 1.5 })).toThrow(/^INVALID_PARAMETERS: /);
+    expect(() => queue.enqueue('measurement', jest.fn(), { timeoutMs: 0 })).toThrow(/^INVALID_PARAMETERS: /);
+  });
+
+  test('clear() rejects every waiting request but leaves the running one', async () => {
+    const running = enqueue('running');
+    const waiting = [enqueue('a'), enqueue('b')];
+
+    queue.clear(new Error('DEVICE_NOT_FOUND: Device removed'));
+    for (const { promise } of waiting) {
+      await expect(promise).rejects.toThrow(/^DEVICE_NOT_FOUND: /);
+    }
+    expect(queue.getLength()).toBe(0);
+
+    running.gate.resolve('done');
+    await expect(running.promise).resolves.toBe('done');
+    expect(started).toEqual(['running']);
+  });
+
+  test('cancel() withdraws a waiting request of the same operation', async () => {
+    const running = enqueue('running');
+    const waiting = enqueue('waiting');
+    const calibration = enqueue('calibration', {}, 'calibration');
+
+    expect(queue.getRunning()).toEqual({ requestId: 'running', operation: 'measurement' });
+    expect(queue.cancel('running', 'measurement', new Error('CANCELLED: x'))).toBe(false);
+    expect(queue.cancel('calibration', 'measurement', new Error('CANCELLED: x'))).toBe(false);
+    expect(queue.cancel('waiting', 'measurement', new Error('CANCELLED: Measurement cancelled'))).toBe(true);
+    await expect(waiting.promise).rejects.toThrow(/^CANCELLED: /);
+
+    running.gate.resolve();
+    await running.promise;
+    await flush();
+    expect(queue.getRunning()).toEqual({ requestId: 'calibration', operation: 'calibration' });
+    calibration.gate.resolve();
+    await calibration.promise;
+    await flush();
+    expect(queue.getRunning()).toBeNull();
+    expect(started).toEqual(['running', 'calibration']);
+  });
+});
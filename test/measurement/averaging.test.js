@@ -0,0 +1,92 @@
+jest.mock('../../src/utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+// The results code loads the spotread wrapper, whose settings need electron-store
+jest.mock('../../src/utils/config', () => ({}));
+
+const { Spectrum } = require('../../src/argyll/spectrum');
+const { deltaE } = require('../../src/argyll/colorDifference');
+const { resolveAveraging, averageReadings } = require('../../src/measurement/averaging');
+
+// Reading of a flat grey of the given reflectance (%)
+const grey = reflectance => ({
+  spectral: Spectrum.fromRange(380, 730, new Array(36).fill(reflectance)).toTable(),
+  uvSpectral: null
+});
+
+const average = (reflectances, options = {}) => averageReadings(
+  reflectances.map(grey),
+  'reflective',
+  { ...resolveAveraging({ count: reflectances.length, ...options }), mode: 'M0' }
+);
+
+const rejected = ({ averaging }) => averaging.readings.filter(reading => reading.rejected).map(reading => reading.index);
+
+describe('averageReadings', () => {
+  test('averages spectrally and keeps every reading without a threshold', () => {
+    const { mean, averaging } = average([20, 30, 40]);
+    expect(mean.spectral['550']).toBeCloseTo(30, 10);
+    expect(averaging).toMatchObject({ count: 3, used: 3, mode: 'M0', formula: 'dE2000' });
+    expect(rejected({ averaging })).toEqual([]);
+  });
+
+  test('drops the furthest reading while it is beyond the threshold', () => {
+    const result = average([50, 50.2, 49.8, 50.1, 65, 58], { outlierThreshold: 1 });
+    expect(rejected(result)).toEqual([4, 5]);
+    expect(result.averaging.used).toBe(4);
+    expect(result.mean.spectral['550']).toBeCloseTo((50 + 50.2 + 49.8 + 50.1) / 4, 10);
+    expect(result.averaging.maxDeltaE).toBeLessThanOrEqual(1);
+  });
+
+  test('keeps more than half of the readings however far apart they are', () => {
+    expect(average([20, 40, 60, 80], { outlierThreshold: 0.1 }).averaging.used).toBe(3);
+    expect(average([20, 40, 60, 80, 100], { outlierThreshold: 0.1 }).averaging.used).toBe(3);
+  });
+
+  test('two readings are never rejected', () => {
+    const result = average([20, 60], { outlierThreshold: 0.1 });
+    expect(result.averaging.used).toBe(2);
+    expect(rejected(result)).toEqual([]);
+  });
+
+  test('reports the MCDM and standard deviations of the readings used', () => {
+    const { averaging } = average([40, 50, 60, 90], { outlierThreshold: 5, formula: 'dE76' });
+    const used = averaging.readings.filter(reading => !reading.rejected);
+    expect(rejected({ averaging })).toEqual([3]);
+
+    // Differences to the mean of the readings used, rejected ones included
+    for (const reading of averaging.readings) {
+      expect(reading.deltaE).toBeCloseTo(deltaE('dE76', averaging.Lab.mean, reading.Lab).dE, 10);
+    }
+    expect(averaging.mcdm).toBeCloseTo(used.reduce((sum, reading) => sum + reading.deltaE, 0) / 3, 10);
+    expect(averaging.maxDeltaE).toBeCloseTo(Math.max(...used.map(reading => reading.deltaE)), 10);
+
+    // Sample SD: 40, 50, 60 have an SD of 10 at every wavelength
+    expect(Object.values(averaging.spectralSD).every(sd => Math.abs(sd - 10) < 1e-9)).toBe(true);
+    const Ls = used.map(reading => reading.Lab.L);
+    const meanL = Ls.reduce((sum, L) => sum + L, 0) / 3;
+    const sdL = Math.sqrt(Ls.reduce((sum, L) => sum + (L - meanL) ** 2, 0) / 2);
+    expect(averaging.Lab.sd.L).toBeCloseTo(sdL, 10);
+    // Greys have no chroma to spread
+    expect(averaging.Lab.sd.a).toBeLessThan(0.01);
+    expect(averaging.Lab.sd.b).toBeLessThan(0.01);
+  });
+});
+
+describe('resolveAveraging', () => {
+  test('defaults to three readings by software prompt with CIEDE2000', () => {
+    expect(resolveAveraging({})).toEqual({ count: 3, prompt: 'software', outlierThreshold: null, formula: 'dE2000' });
+    expect(resolveAveraging(undefined)).toBeNull();
+  });
+
+  test.each([
+    [{ count: 1 }],
+    [{ count: 21 }],
+    [{ count: 2.5 }],
+    [{ prompt: 'voice' }],
+    [{ outlierThreshold: 0 }],
+    [{ formula: 'dE99' }]
+  ])('rejects %j', (options) => {
+    expect(() => resolveAveraging(options)).toThrow(/^INVALID_PARAMETERS: /);
+  });
+});
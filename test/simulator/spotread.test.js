@@ -0,0 +1,164 @@
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { SpotreadSimulator, loadScenario } = require('../../src/simulator/spotread');
+const { SpotreadOutput, PATTERNS } = require('../../src/argyll/spotreadOutput');
+const { parseConsoleOutput } = require('../../src/argyll/parser');
+
+const SCENARIOS = path.join(__dirname, '..', '..', 'src', 'simulator', 'scenarios');
+
+/**
+ * A simulator whose console output goes through the session's line parser,
+ * as SpotreadWrapper reads it from the pseudo-terminal
+ */
+function simulate(args, scenario) {
+  const output = new SpotreadOutput();
+  const session = { lines: [], readings: [], exitCode: null };
+  output.on('line', line => session.lines.push(line));
+  output.on('reading', lines => session.readings.push(parseConsoleOutput(lines.join('\n'), {
+    requireSpectrum: args.includes('-s')
+  })));
+
+  session.simulator = new SpotreadSimulator({
+    args,
+    scenario,
+    output,
+    exit: code => { session.exitCode = code; }
+  });
+  session.simulator.start();
+  return session;
+}
+
+const matching = (lines, pattern) => lines.filter(line => pattern.test(line));
+
+describe('SpotreadSimulator', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('calibrates on a key and reads a spectrum for every key at the prompt', () => {
+    const scenario = loadScenario(path.join(SCENARIOS, 'default.json'));
+    const session = simulate(['-s', '-N'], scenario);
+
+    expect(session.lines[0]).toMatch(PATTERNS.serialNumber);
+    expect(matching(session.lines, /white reference/)).toHaveLength(1);
+
+    session.simulator.input('\r');
+    jest.advanceTimersByTime(scenario.calibration.delayMs);
+    expect(matching(session.lines, PATTERNS.calibrationComplete)).toHaveLength(1);
+    expect(matching(session.lines, PATTERNS.ready)).toHaveLength(1);
+
+    session.simulator.input(' ');
+    jest.advanceTimersByTime(scenario.readDelayMs);
+    session.simulator.input(' ');
+    jest.advanceTimersByTime(scenario.readDelayMs);
+
+    expect(session.readings).toHaveLength(2);
+    const [first, second] = session.readings;
+    expect(first.wavelengthRange).toEqual({ start: 380, end: 730, interval: 10, count: 36 });
+    expect(first.Lab.L).toBeGreaterThan(0);
+    // The library is read in sequence, so the readings differ
+    expect(second.XYZ).not.toEqual(first.XYZ);
+  });
+
+  test('reports a calibration failure and asks for the white reference again', () => {
+    const scenario = loadScenario(path.join(SCENARIOS, 'calibration-failure.json'));
+    const session = simulate(['-s'], scenario);
+
+    session.simulator.input('\r');
+    jest.advanceTimersByTime(scenario.calibration.delayMs);
+
+    const failures = matching(session.lines, PATTERNS.calibrationFailed);
+    expect(failures).toHaveLength(1);
+    expect(failures[0]).toMatch(/Instrument reading is too low/);
+    expect(matching(session.lines, /white reference/)).toHaveLength(2);
+    expect(matching(session.lines, PATTERNS.calibrationComplete)).toHaveLength(0);
+  });
+
+  test('a scripted misread fails the reading and returns to the prompt', () => {
+    const scenario = {
+      ...loadScenario(path.join(SCENARIOS, 'default.json')),
+      readings: [{ misread: true }, 'cyan']
+    };
+    const session = simulate(['-s'], scenario);
+    session.simulator.input('\r');
+    jest.advanceTimersByTime(scenario.calibration.delayMs);
+
+    session.simulator.input(' ');
+    jest.advanceTimersByTime(scenario.readDelayMs);
+    expect(matching(session.lines, PATTERNS.readFailed)).toHaveLength(1);
+    expect(session.readings).toHaveLength(0);
+    expect(matching(session.lines, PATTERNS.ready)).toHaveLength(2);
+
+    session.simulator.input(' ');
+    jest.advanceTimersByTime(scenario.readDelayMs);
+    expect(session.readings).toHaveLength(1);
+  });
+
+  test('button presses read on their own once calibrated', () => {
+    const scenario = loadScenario(path.join(SCENARIOS, 'button-presses.json'));
+    const session = simulate(['-s', '-U'], scenario);
+    session.simulator.input('\r');
+    jest.advanceTimersByTime(scenario.calibration.delayMs);
+
+    const [firstPress, secondPress] = scenario.buttonPresses;
+    jest.advanceTimersByTime(firstPress + scenario.readDelayMs);
+    expect(session.readings).toHaveLength(1);
+    // With -U the UV LED pass follows as a second spectrum
+    expect(session.readings[0].uvSpectral).not.toBeNull();
+
+    jest.advanceTimersByTime(secondPress - firstPress);
+    expect(matching(session.lines, PATTERNS.readFailed)).toHaveLength(1);
+    expect(session.readings).toHaveLength(1);
+  });
+
+  test('a press while a reading is in progress is ignored', () => {
+    const scenario = loadScenario(path.join(SCENARIOS, 'default.json'));
+    const session = simulate(['-s'], scenario);
+    session.simulator.input('\r');
+    jest.advanceTimersByTime(scenario.calibration.delayMs);
+
+    session.simulator.input(' ');
+    session.simulator.pressButton();
+    jest.advanceTimersByTime(scenario.readDelayMs * 2);
+    expect(session.readings).toHaveLength(1);
+  });
+
+  test('emissive readings report absolute XYZ and the light-source indices', () => {
+    const scenario = loadScenario(path.join(SCENARIOS, 'default.json'));
+    const session = simulate(['-e', '-s', '-T'], scenario);
+    session.simulator.input('\r');
+    jest.advanceTimersByTime(scenario.calibration.delayMs);
+    session.simulator.input(' ');
+    jest.advanceTimersByTime(scenario.readDelayMs);
+
+    const [reading] = session.readings;
+    expect(reading.Yxy).not.toBeNull();
+    expect(reading.Lab).toBeNull();
+    expect(reading.lightSource).not.toBeNull();
+  });
+
+  test('high-resolution spectra are on the 10/3nm grid', () => {
+    const scenario = loadScenario(path.join(SCENARIOS, 'default.json'));
+    const session = simulate(['-s', '-H'], scenario);
+    session.simulator.input('\r');
+    jest.advanceTimersByTime(scenario.calibration.delayMs);
+    session.simulator.input(' ');
+    jest.advanceTimersByTime(scenario.readDelayMs);
+
+    expect(session.readings[0].wavelengthRange.count).toBe(106);
+  });
+
+  test('q quits at any prompt and cancels pending work', () => {
+    const scenario = loadScenario(path.join(SCENARIOS, 'default.json'));
+    const session = simulate(['-s'], scenario);
+    session.simulator.input('\r');
+    session.simulator.input('q');
+
+    expect(session.exitCode).toBe(0);
+    jest.advanceTimersByTime(scenario.calibration.delayMs);
+    expect(matching(session.lines, PATTERNS.calibrationComplete)).toHaveLength(0);
+  });
+});